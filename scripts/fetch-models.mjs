@@ -0,0 +1,29 @@
+// Downloads the COCO-SSD weights into public/models so the app can run without
+// reaching the Google CDN (air-gapped machines). Run once on a connected machine:
+//   npm run models:fetch
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const BASE_URL = 'https://storage.googleapis.com/tfjs-models/savedmodel/';
+const MODELS = ['ssdlite_mobilenet_v2', 'ssd_mobilenet_v1', 'ssd_mobilenet_v2'];
+const OUT_DIR = path.resolve('public/models/coco-ssd');
+
+async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText} for ${url}`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+for (const name of MODELS) {
+    const dir = path.join(OUT_DIR, name);
+    await mkdir(dir, { recursive: true });
+
+    const manifest = await download(`${BASE_URL}${name}/model.json`);
+    await writeFile(path.join(dir, 'model.json'), manifest);
+
+    const shards = JSON.parse(manifest).weightsManifest.flatMap(group => group.paths);
+    for (const shard of shards) {
+        await writeFile(path.join(dir, shard), await download(`${BASE_URL}${name}/${shard}`));
+    }
+    console.log(`${name}: model.json + ${shards.length} shards`);
+}
@@ -1,12 +1,37 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Eye, Brain, Activity, Upload, Camera } from 'lucide-react';
+import { Eye, Brain, Activity, Upload, Camera, Gauge } from 'lucide-react';
 import ObjectDetector from './components/ObjectDetector';
 import TransferLearner from './components/TransferLearner';
+import PerformancePanel from './components/PerformancePanel';
+import ClassifierProvider from './components/ClassifierProvider';
+import { initBackend, setBackend, setPreferredBackend } from './lib/backends';
 import { cn } from './lib/utils';
 
 function App() {
   const [activeTab, setActiveTab] = useState('detect'); // 'detect' | 'train'
+  const [backend, setBackendName] = useState(null); // Active TF.js backend (null until initialized)
+  const [backendSwitching, setBackendSwitching] = useState(false);
+  const [backendError, setBackendError] = useState(null);
+  const [showPerformance, setShowPerformance] = useState(false);
+
+  // Pick the stored backend before any model loads
+  useEffect(() => {
+    initBackend().then(setBackendName);
+  }, []);
+
+  // Tabs are keyed by backend, so switching remounts them and reloads their models on it
+  const changeBackend = async (id) => {
+    setBackendSwitching(true);
+    setBackendError(null);
+    try {
+      setBackendName(await setBackend(id));
+      setPreferredBackend(id);
+    } catch (err) {
+      setBackendError(err.message);
+    }
+    setBackendSwitching(false);
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white p-4 md:p-8 font-sans overflow-x-hidden selection:bg-purple-500/30">
@@ -43,34 +68,59 @@ function App() {
             icon={<Brain className="w-4 h-4" />}
             label="Custom Training"
           />
+          <button
+            onClick={() => setShowPerformance(!showPerformance)}
+            className={cn(
+              "px-3 rounded-lg transition-colors",
+              showPerformance ? "text-purple-300 bg-purple-500/20" : "text-gray-400 hover:text-white hover:bg-white/5"
+            )}
+            title="Backend & performance"
+          >
+            <Gauge className="w-4 h-4" />
+          </button>
         </div>
       </header>
 
-      {/* Main Content Area */}
+      {showPerformance && backend && (
+        <section className="max-w-7xl mx-auto mb-8">
+          <PerformancePanel
+            backend={backend}
+            switching={backendSwitching}
+            error={backendError}
+            onBackendChange={changeBackend}
+          />
+        </section>
+      )}
+
+      {/* Main Content Area (both tabs share the custom classifier; it reloads on backend switches) */}
       <main className="max-w-7xl mx-auto min-h-[600px] relative">
-        <AnimatePresence mode="wait">
-          {activeTab === 'detect' ? (
-            <motion.div
-              key="detect"
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: -20 }}
-              transition={{ duration: 0.3 }}
-            >
-              <ObjectDetector />
-            </motion.div>
-          ) : (
-            <motion.div
-              key="train"
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: -20 }}
-              transition={{ duration: 0.3 }}
-            >
-              <TransferLearner />
-            </motion.div>
-          )}
-        </AnimatePresence>
+        {backend && (
+          <ClassifierProvider key={backend}>
+            <AnimatePresence mode="wait">
+              {activeTab === 'detect' ? (
+                <motion.div
+                  key={`detect-${backend}`}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -20 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <ObjectDetector />
+                </motion.div>
+              ) : (
+                <motion.div
+                  key={`train-${backend}`}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -20 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <TransferLearner />
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </ClassifierProvider>
+        )}
       </main>
 
       <footer className="max-w-7xl mx-auto mt-12 text-center text-gray-500 text-sm border-t border-white/5 pt-8">
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Gamepad2, Plus, Trash2, Play } from 'lucide-react';
+import { ACTION_TYPES, SOUND_PRESETS, DEFAULT_COOLDOWN_SEC, createAction } from '../lib/classActions';
+import { cn } from '../lib/utils';
+
+const fieldClass = "bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white";
+
+const PARAM_FIELDS = {
+    key: { field: 'key', placeholder: 'ArrowRight, space, ctrl+shift+k' },
+    event: { field: 'eventName', placeholder: 'neuralvision:action' },
+    broadcast: { field: 'channel', placeholder: 'neuralvision' },
+    websocket: { field: 'url', placeholder: 'ws://localhost:8765' }
+};
+
+// The action's own setting: a sound preset or a text parameter
+function ActionParam({ action, onChange }) {
+    if (action.type === 'sound') {
+        return (
+            <select value={action.sound} onChange={(e) => onChange({ sound: e.target.value })} className={cn(fieldClass, "flex-1 min-w-0")}>
+                {SOUND_PRESETS.map(preset => <option key={preset.id} value={preset.id}>{preset.label}</option>)}
+            </select>
+        );
+    }
+    const { field, placeholder } = PARAM_FIELDS[action.type];
+    return (
+        <input
+            value={action[field]}
+            onChange={(e) => onChange({ [field]: e.target.value })}
+            placeholder={placeholder}
+            className={cn(fieldClass, "flex-1 min-w-0 font-mono")}
+        />
+    );
+}
+
+// Per-class actions fired when a class becomes the stable prediction
+export default function ActionBindingsPanel({ classes, bindings, lastFired, onChange, onTest }) {
+    const [newType, setNewType] = useState(ACTION_TYPES[0].id);
+
+    const bindingFor = (classId) => bindings[classId] ?? { cooldownSec: DEFAULT_COOLDOWN_SEC, actions: [] };
+
+    const updateBinding = (classId, changes) => {
+        onChange({ ...bindings, [classId]: { ...bindingFor(classId), ...changes } });
+    };
+
+    const updateAction = (classId, actionId, changes) => {
+        updateBinding(classId, {
+            actions: bindingFor(classId).actions.map(action => (action.id === actionId ? { ...action, ...changes } : action))
+        });
+    };
+
+    return (
+        <div className="glass-panel p-5 rounded-2xl space-y-4">
+            <div className="flex items-center justify-between gap-2">
+                <div className="flex items-center gap-2">
+                    <Gamepad2 className="w-5 h-5 text-pink-400" />
+                    <h3 className="font-bold text-white">Class Actions</h3>
+                </div>
+                <select value={newType} onChange={(e) => setNewType(e.target.value)} className={fieldClass} title="Type of action to add">
+                    {ACTION_TYPES.map(type => <option key={type.id} value={type.id} title={type.hint}>{type.label}</option>)}
+                </select>
+            </div>
+            <p className="text-xs text-gray-400">Run when a class becomes the stable prediction, at most once per cooldown.</p>
+
+            {classes.map((cls) => {
+                const binding = bindingFor(cls.id);
+                const fired = lastFired[cls.id];
+                return (
+                    <div key={cls.id} className="space-y-2">
+                        <div className="flex items-center justify-between gap-2 text-xs">
+                            <span className="flex items-center gap-2 font-bold text-white min-w-0">
+                                <span className={cn("w-2 h-2 rounded-full shrink-0", cls.color)} />
+                                <span className="truncate">{cls.name}</span>
+                            </span>
+                            <div className="flex items-center gap-1.5 shrink-0">
+                                <label className="flex items-center gap-1.5 text-gray-400">
+                                    Cooldown
+                                    <input
+                                        type="number"
+                                        min="0" max="600" step="0.5"
+                                        value={binding.cooldownSec}
+                                        onChange={(e) => updateBinding(cls.id, { cooldownSec: Math.max(0, Number(e.target.value) || 0) })}
+                                        className={cn(fieldClass, "w-14 font-mono")}
+                                    />
+                                    s
+                                </label>
+                                <button
+                                    onClick={() => updateBinding(cls.id, { actions: [...binding.actions, createAction(newType)] })}
+                                    className="p-1 text-pink-300 hover:bg-pink-500/10 border border-pink-500/20 rounded-lg"
+                                    title={`Add ${ACTION_TYPES.find(t => t.id === newType)?.label}`}
+                                >
+                                    <Plus className="w-3.5 h-3.5" />
+                                </button>
+                            </div>
+                        </div>
+
+                        {binding.actions.map(action => (
+                            <div key={action.id} className="pl-4 space-y-1">
+                                <div className="flex items-center gap-1.5">
+                                    <input
+                                        type="checkbox"
+                                        checked={action.enabled}
+                                        onChange={(e) => updateAction(cls.id, action.id, { enabled: e.target.checked })}
+                                        className="accent-pink-500"
+                                        title="Enabled"
+                                    />
+                                    <span className="w-24 shrink-0 text-[11px] text-gray-400" title={ACTION_TYPES.find(t => t.id === action.type)?.hint}>
+                                        {ACTION_TYPES.find(t => t.id === action.type)?.label}
+                                    </span>
+                                    <ActionParam action={action} onChange={(changes) => updateAction(cls.id, action.id, changes)} />
+                                    <button
+                                        onClick={() => onTest(cls, action)}
+                                        className="p-1 text-gray-400 hover:text-white"
+                                        title="Run now"
+                                    >
+                                        <Play className="w-3.5 h-3.5" />
+                                    </button>
+                                    <button
+                                        onClick={() => updateBinding(cls.id, { actions: binding.actions.filter(a => a.id !== action.id) })}
+                                        className="p-1 text-gray-500 hover:text-red-400"
+                                        title="Remove action"
+                                    >
+                                        <Trash2 className="w-3.5 h-3.5" />
+                                    </button>
+                                </div>
+                                {action.type === 'key' && (
+                                    <p className="pl-5 text-[10px] text-gray-500">
+                                        Reaches keydown listeners in this page only; browsers ignore synthetic keys for scrolling, typing and shortcuts.
+                                    </p>
+                                )}
+                            </div>
+                        ))}
+
+                        {fired && (
+                            <p className={cn("pl-4 text-[11px]", fired.errors.length > 0 ? "text-red-400" : "text-gray-500")}>
+                                {fired.errors.length > 0 ? fired.errors.join(' · ') : `Fired ${new Date(fired.time).toLocaleTimeString()}`}
+                            </p>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Camera, ImagePlus, Crosshair, Play, Square, X } from 'lucide-react';
+import {
+    MIN_BOX_SIZE,
+    createBoxId,
+    loadAnnotations,
+    saveAnnotations,
+    captureAnnotationImage,
+    readAnnotationImage,
+    buildDetectorTrainingSet
+} from '../lib/annotations';
+import { DEFAULT_DETECTOR_TRAINING, trainBoxDetector } from '../lib/boxDetector';
+import { cn } from '../lib/utils';
+
+const EPOCH_OPTIONS = [30, 60, 120, 200];
+const SAVE_DELAY_MS = 500;
+
+const countBoxes = (images) => images.reduce((sum, image) => sum + image.boxes.length, 0);
+
+// Pointer position as fractions of the element
+function relativePoint(e, element) {
+    const rect = element.getBoundingClientRect();
+    return {
+        x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+        y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    };
+}
+
+function normalizeBox(start, end) {
+    return {
+        x: Math.min(start.x, end.x),
+        y: Math.min(start.y, end.y),
+        w: Math.abs(end.x - start.x),
+        h: Math.abs(end.y - start.y)
+    };
+}
+
+// Teach a detector: freeze camera frames or upload images, drag boxes for the
+// project's classes, then fit a detection head on MobileNet's feature map
+export default function AnnotationPanel({ project, net, classes, captureSource, onTrained }) {
+    const [images, setImages] = useState([]);
+    const [loadedFor, setLoadedFor] = useState(null); // Project whose annotations `images` holds
+    const [selectedId, setSelectedId] = useState(null);
+    const [activeClassId, setActiveClassId] = useState(classes[0]?.id ?? null);
+    const [draft, setDraft] = useState(null); // { start, end } while dragging a new box
+    const [config, setConfig] = useState(DEFAULT_DETECTOR_TRAINING);
+    const [progress, setProgress] = useState(null); // Latest trainBoxDetector() progress while training
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+    const surfaceRef = useRef(null);
+    const uploadRef = useRef(null);
+    const pendingSaveRef = useRef(null); // { projectId, images } not saved yet
+
+    const projectId = project?.id;
+
+    // Writes the pending annotations now. The save below is debounced, only
+    // runs once the stored annotations have been read, and is flushed when the
+    // panel unmounts (tab or backend switch) or the project changes.
+    const flushSave = () => {
+        const pending = pendingSaveRef.current;
+        if (!pending) return;
+        pendingSaveRef.current = null;
+        saveAnnotations(pending.projectId, pending.images).catch(err => console.warn('Failed to save annotations:', err));
+    };
+
+    useEffect(() => {
+        if (!projectId) return;
+        flushSave(); // Edits still pending for the previous project
+        let cancelled = false;
+        loadAnnotations(projectId)
+            .then((stored) => {
+                if (cancelled) return;
+                setImages(stored);
+                setSelectedId(stored[0]?.id ?? null);
+                setLoadedFor(projectId);
+            })
+            .catch(err => !cancelled && setError(err.message));
+        return () => { cancelled = true; };
+    }, [projectId]);
+
+    useEffect(() => {
+        if (!projectId || loadedFor !== projectId) return;
+        pendingSaveRef.current = { projectId, images };
+        const timer = setTimeout(flushSave, SAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [projectId, loadedFor, images]);
+
+    useEffect(() => () => flushSave(), []);
+
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    // Keep the box class valid when classes are added or removed
+    useEffect(() => {
+        if (!classes.some(c => c.id === activeClassId)) setActiveClassId(classes[0]?.id ?? null);
+    }, [classes, activeClassId]);
+
+    const selected = images.find(image => image.id === selectedId) ?? null;
+    const classById = (id) => classes.find(c => c.id === id);
+    const training = progress !== null;
+
+    const addImages = (added) => {
+        setImages(prev => [...prev, ...added]);
+        setSelectedId(added[added.length - 1].id);
+    };
+
+    const captureFrame = () => {
+        const source = captureSource();
+        try {
+            if (!source) throw new Error('Camera is not ready yet');
+            addImages([captureAnnotationImage(source)]);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const onUpload = async (e) => {
+        const files = Array.from(e.target.files).filter(file => file.type.startsWith('image/'));
+        e.target.value = '';
+        const added = [];
+        for (const file of files) {
+            try {
+                added.push(await readAnnotationImage(file));
+            } catch (err) {
+                console.warn(`Skipping ${file.name}:`, err);
+            }
+        }
+        if (added.length > 0) addImages(added);
+        setError(added.length < files.length ? `${files.length - added.length} file(s) could not be read` : null);
+    };
+
+    const removeImage = (id) => {
+        setImages(prev => prev.filter(image => image.id !== id));
+        if (selectedId === id) setSelectedId(images.find(image => image.id !== id)?.id ?? null);
+    };
+
+    const updateBoxes = (imageId, update) => {
+        setImages(prev => prev.map(image => (image.id === imageId ? { ...image, boxes: update(image.boxes) } : image)));
+    };
+
+    // Drawing
+    const onPointerDown = (e) => {
+        if (!selected || activeClassId === null || training) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const point = relativePoint(e, surfaceRef.current);
+        setDraft({ start: point, end: point });
+    };
+
+    const onPointerMove = (e) => {
+        if (!draft) return;
+        setDraft(prev => ({ ...prev, end: relativePoint(e, surfaceRef.current) }));
+    };
+
+    const onPointerUp = () => {
+        if (!draft) return;
+        const box = normalizeBox(draft.start, draft.end);
+        setDraft(null);
+        if (box.w < MIN_BOX_SIZE || box.h < MIN_BOX_SIZE) return;
+        updateBoxes(selected.id, boxes => [...boxes, { id: createBoxId(), classId: activeClassId, ...box }]);
+    };
+
+    // Training
+    const train = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setError(null);
+        setProgress({ phase: 'features', done: 0, total: images.length });
+        try {
+            const { labels, images: trainingImages } = buildDetectorTrainingSet(images, classes);
+            const model = await trainBoxDetector({
+                net,
+                images: trainingImages,
+                numClasses: labels.length,
+                config,
+                onProgress: setProgress,
+                signal: controller.signal
+            });
+            await onTrained(model, { labels, trainedAt: Date.now(), images: images.length, boxes: countBoxes(images) });
+        } catch (err) {
+            if (err.name !== 'AbortError') setError(err.message);
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    const boxCount = countBoxes(images);
+    const detector = project?.detector;
+    const stale = detector && (detector.images !== images.length || detector.boxes !== boxCount);
+    const draftBox = draft && normalizeBox(draft.start, draft.end);
+
+    if (!project) {
+        return <p className="glass-panel p-4 rounded-xl text-sm text-gray-400">Taught detectors are stored per project; project storage is unavailable.</p>;
+    }
+
+    return (
+        <div className="space-y-4">
+            <div className="glass-panel p-4 rounded-xl space-y-3">
+                <div className="flex items-center justify-between gap-2">
+                    <span className="text-xs text-gray-400">
+                        {images.length} images · {boxCount} boxes
+                    </span>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={captureFrame}
+                            disabled={training}
+                            className="px-3 py-1.5 text-xs font-bold bg-blue-500/10 text-blue-300 hover:bg-blue-500/20 border border-blue-500/20 rounded-lg transition-colors flex items-center gap-2 disabled:opacity-40"
+                        >
+                            <Camera className="w-3 h-3" /> Freeze Frame
+                        </button>
+                        <button
+                            onClick={() => uploadRef.current?.click()}
+                            disabled={training}
+                            className="px-3 py-1.5 text-xs font-bold text-blue-300 hover:bg-blue-500/10 border border-blue-500/20 rounded-lg transition-colors flex items-center gap-2 disabled:opacity-40"
+                        >
+                            <ImagePlus className="w-3 h-3" /> Upload
+                        </button>
+                        <input ref={uploadRef} type="file" accept="image/*" multiple className="hidden" onChange={onUpload} />
+                    </div>
+                </div>
+
+                {images.length > 0 && (
+                    <div className="flex gap-2 overflow-x-auto pb-1">
+                        {images.map(image => (
+                            <div key={image.id} className="relative shrink-0 group">
+                                <button
+                                    onClick={() => setSelectedId(image.id)}
+                                    className={cn(
+                                        "block w-16 h-12 rounded-md overflow-hidden border-2 transition-colors",
+                                        image.id === selectedId ? "border-blue-400" : "border-transparent hover:border-white/30"
+                                    )}
+                                >
+                                    <img src={image.dataUrl} alt="" className="w-full h-full object-cover" />
+                                </button>
+                                <span className="absolute bottom-0.5 left-1 text-[10px] font-mono font-bold text-white drop-shadow">{image.boxes.length}</span>
+                                <button
+                                    onClick={() => removeImage(image.id)}
+                                    disabled={training}
+                                    className="absolute -top-1 -right-1 hidden group-hover:flex w-4 h-4 items-center justify-center rounded-full bg-red-500 text-white"
+                                    title="Remove image"
+                                >
+                                    <X className="w-3 h-3" />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {/* Class for new boxes */}
+                <div className="flex flex-wrap gap-1.5">
+                    {classes.map(cls => (
+                        <button
+                            key={cls.id}
+                            onClick={() => setActiveClassId(cls.id)}
+                            className={cn(
+                                "px-2 py-1 rounded-lg text-xs font-bold border transition-colors flex items-center gap-1.5",
+                                activeClassId === cls.id
+                                    ? "bg-white/10 border-white/40 text-white"
+                                    : "border-white/10 text-gray-400 hover:bg-white/10"
+                            )}
+                        >
+                            <span className={cn("w-2 h-2 rounded-full", cls.color)} />
+                            {cls.name}
+                        </button>
+                    ))}
+                </div>
+
+                {selected ? (
+                    <div
+                        ref={surfaceRef}
+                        onPointerDown={onPointerDown}
+                        onPointerMove={onPointerMove}
+                        onPointerUp={onPointerUp}
+                        onPointerCancel={() => setDraft(null)}
+                        className="relative rounded-lg overflow-hidden cursor-crosshair select-none touch-none"
+                    >
+                        <img src={selected.dataUrl} alt="" draggable={false} className="w-full h-auto block" />
+                        {selected.boxes.map(box => {
+                            const cls = classById(box.classId);
+                            return (
+                                <div
+                                    key={box.id}
+                                    className="absolute border-2 border-white/90 shadow-[0_0_0_1px_rgba(0,0,0,0.6)]"
+                                    style={{ left: `${box.x * 100}%`, top: `${box.y * 100}%`, width: `${box.w * 100}%`, height: `${box.h * 100}%` }}
+                                >
+                                    <span className={cn("absolute -top-5 left-0 flex items-center gap-1 px-1 rounded text-[10px] font-bold text-white whitespace-nowrap", cls?.color ?? "bg-gray-500")}>
+                                        {cls?.name ?? 'Deleted class'}
+                                        <button
+                                            onPointerDown={(e) => e.stopPropagation()}
+                                            onClick={() => updateBoxes(selected.id, boxes => boxes.filter(b => b.id !== box.id))}
+                                            disabled={training}
+                                            className="hover:text-red-200"
+                                            title="Delete box"
+                                        >
+                                            <X className="w-3 h-3" />
+                                        </button>
+                                    </span>
+                                </div>
+                            );
+                        })}
+                        {draftBox && (
+                            <div
+                                className="absolute border-2 border-dashed border-blue-300 bg-blue-400/10 pointer-events-none"
+                                style={{ left: `${draftBox.x * 100}%`, top: `${draftBox.y * 100}%`, width: `${draftBox.w * 100}%`, height: `${draftBox.h * 100}%` }}
+                            />
+                        )}
+                    </div>
+                ) : (
+                    <p className="text-xs text-gray-500 text-center py-6">
+                        Freeze a camera frame or upload images, then drag boxes around the objects.
+                    </p>
+                )}
+            </div>
+
+            <div className="glass-panel p-4 rounded-xl space-y-3">
+                <div className="flex items-center justify-between gap-2">
+                    <div className="flex items-center gap-2">
+                        <Crosshair className="w-4 h-4 text-cyan-400" />
+                        <span className="text-sm font-bold text-white">Detector</span>
+                    </div>
+                    <div className="flex items-center gap-2 text-xs">
+                        <select
+                            value={config.epochs}
+                            onChange={(e) => setConfig(prev => ({ ...prev, epochs: Number(e.target.value) }))}
+                            disabled={training}
+                            className="bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-white"
+                            title="Training epochs"
+                        >
+                            {EPOCH_OPTIONS.map(epochs => <option key={epochs} value={epochs}>{epochs} epochs</option>)}
+                        </select>
+                        {training ? (
+                            <button
+                                onClick={() => abortRef.current?.abort()}
+                                className="px-3 py-1.5 rounded-lg font-bold bg-red-500/10 text-red-400 border border-red-500/20 hover:bg-red-500/20 flex items-center gap-1.5"
+                            >
+                                <Square className="w-3 h-3" />
+                                {progress.phase === 'features' ? `Features ${progress.done}/${progress.total}` : `${progress.epoch}/${config.epochs}`}
+                            </button>
+                        ) : (
+                            <button
+                                onClick={train}
+                                disabled={!net || boxCount === 0}
+                                className="px-3 py-1.5 rounded-lg font-bold bg-cyan-600 hover:bg-cyan-500 text-white flex items-center gap-1.5 disabled:opacity-30"
+                            >
+                                <Play className="w-3 h-3" /> Train Detector
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                <p className="text-xs text-gray-400">
+                    {progress?.phase === 'training' && <>Loss <span className="font-mono text-white">{progress.loss.toFixed(3)}</span> · </>}
+                    {detector ? (
+                        <>
+                            Trained {new Date(detector.trainedAt).toLocaleString()} on {detector.labels.map(label => label.name).join(', ')}
+                            {stale && <span className="text-amber-300/80"> · boxes changed, retrain</span>}
+                            . Pick it in Live Detection under <strong>Detection Model → Taught</strong>.
+                        </>
+                    ) : (
+                        'Not trained yet. A few dozen boxes per class across varied frames work best.'
+                    )}
+                </p>
+                {error && <p className="text-xs text-red-400">{error}</p>}
+            </div>
+        </div>
+    );
+}
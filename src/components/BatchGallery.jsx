@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Images, X, ChevronLeft, ChevronRight, Square, AlertTriangle } from 'lucide-react';
+import { drawDetections } from '../lib/drawing';
+import { cn } from '../lib/utils';
+
+export default function BatchGallery({ items, total, status, onCancel, onClose }) {
+    const [classFilter, setClassFilter] = useState([]);
+    const [detailIndex, setDetailIndex] = useState(null);
+
+    const done = items.length;
+    const percent = total ? Math.round((done / total) * 100) : 0;
+
+    const classCounts = useMemo(() => {
+        const counts = {};
+        items.forEach(item => item.predictions.forEach((pred) => {
+            counts[pred.class] = (counts[pred.class] || 0) + 1;
+        }));
+        return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    }, [items]);
+
+    const visible = useMemo(() => (
+        classFilter.length === 0
+            ? items
+            : items.filter(item => item.predictions.some(pred => classFilter.includes(pred.class)))
+    ), [items, classFilter]);
+
+    const toggleClass = (name) => {
+        setClassFilter(prev => prev.includes(name) ? prev.filter(c => c !== name) : [...prev, name]);
+    };
+
+    const countFor = item => (classFilter.length === 0
+        ? item.predictions.length
+        : item.predictions.filter(pred => classFilter.includes(pred.class)).length);
+
+    return (
+        <div className="glass-panel rounded-2xl p-4 space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="font-bold text-white flex items-center gap-2">
+                    <Images className="w-5 h-5 text-blue-400" />
+                    Batch Results
+                    <span className="font-mono text-xs text-gray-400">{done} / {total}</span>
+                </h3>
+                <div className="flex gap-2">
+                    {status === 'running' && (
+                        <button onClick={onCancel} className="px-2 py-1 text-xs font-bold text-red-400 hover:bg-red-500/10 border border-red-500/20 rounded-lg flex items-center gap-1">
+                            <Square className="w-3 h-3" /> Stop
+                        </button>
+                    )}
+                    <button onClick={onClose} className="p-1.5 text-gray-400 hover:text-white hover:bg-white/10 rounded-lg" title="Close batch">
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            {status === 'running' && (
+                <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+                    <div className="h-full bg-blue-500 transition-all duration-200" style={{ width: `${percent}%` }} />
+                </div>
+            )}
+            {status === 'cancelled' && <p className="text-xs text-yellow-500">Stopped after {done} of {total} images.</p>}
+
+            {classCounts.length > 0 && (
+                <div className="flex flex-wrap gap-1.5">
+                    {classCounts.map(([name, count]) => (
+                        <button
+                            key={name}
+                            onClick={() => toggleClass(name)}
+                            className={cn(
+                                "px-2 py-0.5 rounded-full text-xs capitalize border transition-colors",
+                                classFilter.includes(name)
+                                    ? "bg-blue-500/30 border-blue-400 text-white"
+                                    : "border-white/10 text-gray-300 hover:bg-white/10"
+                            )}
+                        >
+                            {name} <span className="font-mono text-gray-400">{count}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-5 gap-2 max-h-[60vh] overflow-y-auto custom-scrollbar pr-1">
+                {visible.map(item => (
+                    <button
+                        key={item.index}
+                        onClick={() => !item.error && setDetailIndex(visible.indexOf(item))}
+                        className="relative aspect-square rounded-lg overflow-hidden bg-black/40 border border-white/10 hover:border-blue-500/60 transition-colors group"
+                        title={item.name}
+                    >
+                        {item.error ? (
+                            <div className="absolute inset-0 flex flex-col items-center justify-center text-red-400 text-[10px] p-1">
+                                <AlertTriangle className="w-4 h-4 mb-1" /> Unreadable
+                            </div>
+                        ) : (
+                            <img src={item.thumbnailUrl} alt={item.name} className="w-full h-full object-cover" />
+                        )}
+                        <span className="absolute top-1 right-1 font-mono text-[10px] font-bold bg-blue-600 text-white px-1.5 rounded">
+                            {countFor(item)}
+                        </span>
+                        <span className="absolute bottom-0 inset-x-0 text-[10px] text-gray-200 bg-black/60 px-1 truncate opacity-0 group-hover:opacity-100 transition-opacity">
+                            {item.name}
+                        </span>
+                    </button>
+                ))}
+            </div>
+
+            {detailIndex !== null && visible[detailIndex] && (
+                <BatchDetail
+                    item={visible[detailIndex]}
+                    classFilter={classFilter}
+                    onPrev={detailIndex > 0 ? () => setDetailIndex(detailIndex - 1) : null}
+                    onNext={detailIndex < visible.length - 1 ? () => setDetailIndex(detailIndex + 1) : null}
+                    onClose={() => setDetailIndex(null)}
+                />
+            )}
+        </div>
+    );
+}
+
+// Full-resolution view of one image with its boxes drawn on a canvas
+function BatchDetail({ item, classFilter, onPrev, onNext, onClose }) {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        createImageBitmap(item.file).then((bitmap) => {
+            const canvas = canvasRef.current;
+            if (cancelled || !canvas) {
+                bitmap.close();
+                return;
+            }
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(bitmap, 0, 0);
+            bitmap.close();
+            const predictions = classFilter.length === 0
+                ? item.predictions
+                : item.predictions.filter(pred => classFilter.includes(pred.class));
+            drawDetections(ctx, predictions);
+        });
+        return () => { cancelled = true; };
+    }, [item, classFilter]);
+
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            if (e.key === 'ArrowLeft') onPrev?.();
+            if (e.key === 'ArrowRight') onNext?.();
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [onPrev, onNext, onClose]);
+
+    return (
+        <div className="fixed inset-0 z-50 bg-black/85 backdrop-blur-sm flex flex-col items-center justify-center p-6" onClick={onClose}>
+            <div className="flex items-center gap-4 max-w-full" onClick={(e) => e.stopPropagation()}>
+                <button onClick={onPrev} disabled={!onPrev} className="p-2 rounded-full hover:bg-white/10 disabled:opacity-20">
+                    <ChevronLeft className="w-6 h-6 text-white" />
+                </button>
+                <canvas ref={canvasRef} className="max-w-[80vw] max-h-[80vh] rounded-lg border border-white/10" />
+                <button onClick={onNext} disabled={!onNext} className="p-2 rounded-full hover:bg-white/10 disabled:opacity-20">
+                    <ChevronRight className="w-6 h-6 text-white" />
+                </button>
+            </div>
+            <div className="mt-4 text-sm text-gray-300 flex items-center gap-3" onClick={(e) => e.stopPropagation()}>
+                <span className="font-mono">{item.name}</span>
+                <span className="text-gray-500">{item.width}×{item.height}</span>
+                <span className="text-blue-300">{item.predictions.length} objects</span>
+                <button onClick={onClose} className="p-1 hover:bg-white/10 rounded-full">
+                    <X className="w-4 h-4" />
+                </button>
+            </div>
+        </div>
+    );
+}
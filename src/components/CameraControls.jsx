@@ -0,0 +1,80 @@
+import React from 'react';
+import { Camera, FlipHorizontal, RotateCw } from 'lucide-react';
+import { RESOLUTIONS, FRAME_RATES, ROTATIONS } from '../lib/cameras';
+import { cn } from '../lib/utils';
+
+const fieldClass = "bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white";
+
+// Device picker plus resolution, frame rate and orientation for a CameraFeed
+export default function CameraControls({ settings, cameras, onChange, className }) {
+    const update = (changes) => onChange({ ...settings, ...changes });
+    const nextRotation = ROTATIONS[(ROTATIONS.indexOf(settings.rotation) + 1) % ROTATIONS.length];
+    // A saved device that is unplugged stays listed so the error state explains it
+    const missing = settings.deviceId && !cameras.some(c => c.deviceId === settings.deviceId);
+
+    return (
+        <div className={cn("glass-panel p-4 rounded-2xl space-y-3", className)}>
+            <div className="flex items-center gap-2">
+                <Camera className="w-5 h-5 text-blue-400" />
+                <h3 className="font-bold text-white">Camera</h3>
+            </div>
+
+            <select
+                value={settings.deviceId}
+                onChange={(e) => update({ deviceId: e.target.value })}
+                className={cn(fieldClass, "w-full py-1.5")}
+            >
+                <option value="">Default camera</option>
+                {cameras.map(camera => <option key={camera.deviceId} value={camera.deviceId}>{camera.label}</option>)}
+                {missing && <option value={settings.deviceId}>Disconnected camera</option>}
+            </select>
+
+            <div className="flex flex-wrap items-center gap-2">
+                <select
+                    value={settings.resolution}
+                    onChange={(e) => update({ resolution: e.target.value })}
+                    className={fieldClass}
+                    title="Requested resolution (the camera may pick the closest it supports)"
+                >
+                    {RESOLUTIONS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                </select>
+                <select
+                    value={settings.frameRate}
+                    onChange={(e) => update({ frameRate: Number(e.target.value) })}
+                    className={fieldClass}
+                    title="Requested frame rate"
+                >
+                    {FRAME_RATES.map(rate => <option key={rate} value={rate}>{rate} FPS</option>)}
+                </select>
+
+                <div className="flex gap-1 ml-auto">
+                    <button
+                        onClick={() => update({ mirrored: !settings.mirrored })}
+                        title="Mirror"
+                        className={cn(
+                            "p-1.5 rounded-lg border transition-colors",
+                            settings.mirrored
+                                ? "bg-blue-500/20 border-blue-400/50 text-blue-300"
+                                : "border-white/10 text-gray-400 hover:text-white"
+                        )}
+                    >
+                        <FlipHorizontal className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                        onClick={() => update({ rotation: nextRotation })}
+                        title={`Rotate to ${nextRotation}°`}
+                        className={cn(
+                            "px-1.5 py-1 rounded-lg border transition-colors flex items-center gap-1 text-xs font-mono",
+                            settings.rotation
+                                ? "bg-blue-500/20 border-blue-400/50 text-blue-300"
+                                : "border-white/10 text-gray-400 hover:text-white"
+                        )}
+                    >
+                        <RotateCw className="w-3.5 h-3.5" />
+                        {settings.rotation}°
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,91 @@
+import React, { useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import Webcam from 'react-webcam';
+import { CameraOff, RefreshCw } from 'lucide-react';
+import { buildVideoConstraints, describeCameraError, drawOrientedFrame, isOriented, refreshCameras } from '../lib/cameras';
+import { cn } from '../lib/utils';
+
+// Webcam opened with the picked device/constraints. The ref exposes
+//   { video, source, ready }
+// where `source` is a canvas with the mirrored/rotated frame when orientation is
+// set (so inference and overlays see what is displayed), else the video itself.
+export default function CameraFeed({ ref, settings, facingMode = 'user', className }) {
+    const [error, setError] = useState(null);
+    const [attempt, setAttempt] = useState(0); // Remounts the Webcam to retry getUserMedia
+    const webcamRef = useRef(null);
+    const canvasRef = useRef(null);
+    const frameReadyRef = useRef(false); // Oriented canvas holds at least one frame
+
+    const { mirrored, rotation } = settings;
+    const oriented = isOriented(settings);
+    const constraints = useMemo(
+        () => buildVideoConstraints(settings, facingMode),
+        [settings, facingMode]
+    );
+
+    useImperativeHandle(ref, () => ({
+        get video() {
+            return webcamRef.current?.video ?? null;
+        },
+        get source() {
+            return oriented ? canvasRef.current : webcamRef.current?.video ?? null;
+        },
+        get ready() {
+            return webcamRef.current?.video?.readyState === 4 && (!oriented || frameReadyRef.current);
+        }
+    }), [oriented]);
+
+    useEffect(() => {
+        if (!oriented) return;
+        let handle = null;
+        const draw = () => {
+            const video = webcamRef.current?.video;
+            if (video?.readyState >= 2 && canvasRef.current) {
+                frameReadyRef.current = drawOrientedFrame(canvasRef.current, video, { mirrored, rotation });
+            }
+            handle = requestAnimationFrame(draw);
+        };
+        draw();
+        return () => {
+            cancelAnimationFrame(handle);
+            frameReadyRef.current = false;
+        };
+    }, [oriented, mirrored, rotation]);
+
+    const message = error && describeCameraError(error);
+
+    return (
+        <>
+            <Webcam
+                key={attempt}
+                ref={webcamRef}
+                audio={false}
+                muted={true}
+                className={cn(className, oriented && "opacity-0")}
+                videoConstraints={constraints}
+                onUserMedia={() => {
+                    setError(null);
+                    refreshCameras(); // Device labels become readable once permission is granted
+                }}
+                onUserMediaError={setError}
+            />
+            {oriented && <canvas ref={canvasRef} className={className} />}
+
+            {message && (
+                <div className="absolute inset-0 z-30 flex flex-col items-center justify-center gap-2 bg-black/80 backdrop-blur-sm p-6 text-center">
+                    <CameraOff className="w-10 h-10 text-red-400" />
+                    <p className="text-white font-bold">{message.title}</p>
+                    <p className="text-gray-400 text-sm max-w-sm">{message.detail}</p>
+                    <button
+                        onClick={() => {
+                            setError(null);
+                            setAttempt(n => n + 1);
+                        }}
+                        className="mt-2 px-3 py-1.5 text-xs font-bold text-blue-300 hover:bg-blue-500/10 border border-blue-500/20 rounded-lg transition-colors flex items-center gap-2"
+                    >
+                        <RefreshCw className="w-3 h-3" /> Retry
+                    </button>
+                </div>
+            )}
+        </>
+    );
+}
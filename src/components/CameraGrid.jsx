@@ -0,0 +1,222 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { LayoutGrid, RotateCw, X } from 'lucide-react';
+import { detectCandidates } from '../lib/detection';
+import { postprocessDetections, minimumScore } from '../lib/postprocess';
+import { createTracker } from '../lib/tracker';
+import { getDisplayTransform } from '../lib/viewport';
+import { DEFAULT_CAMERA_SETTINGS, ROTATIONS } from '../lib/cameras';
+import { createInferenceScheduler, runScheduledLoop } from '../lib/scheduler';
+import { profiler } from '../lib/profiler';
+import { formatLabel } from '../lib/drawing';
+import { cn } from '../lib/utils';
+import CameraFeed from './CameraFeed';
+
+const GRID_SIZES = [2, 3, 4];
+const MAX_TILES = GRID_SIZES[GRID_SIZES.length - 1];
+// Several USB cameras on one bus rarely have bandwidth for HD each
+const TILE_CAMERA = { ...DEFAULT_CAMERA_SETTINGS, resolution: '480p', frameRate: 15 };
+
+function countByClass(predictions) {
+    const counts = {};
+    predictions.forEach(p => { counts[p.class] = (counts[p.class] ?? 0) + 1; });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+function TileBoxes({ predictions, transform }) {
+    if (!transform) return null;
+    const { scale, offsetX, offsetY } = transform;
+    return (
+        <div className="absolute inset-0 pointer-events-none overflow-hidden">
+            {predictions.map((pred, i) => (
+                <div
+                    key={pred.trackId ?? i}
+                    className="absolute border-2 border-blue-500 bg-blue-500/10 rounded"
+                    style={{
+                        left: pred.bbox[0] * scale + offsetX,
+                        top: pred.bbox[1] * scale + offsetY,
+                        width: pred.bbox[2] * scale,
+                        height: pred.bbox[3] * scale
+                    }}
+                >
+                    <span className="absolute top-0.5 left-0.5 bg-blue-600 text-white text-[9px] font-bold px-1 rounded whitespace-nowrap">
+                        {formatLabel(pred)}
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// Runs the loaded detector over 2-4 camera streams, one frame per tile per tick,
+// each tile with its own tracker, overlay and counts. Counting regions and alert
+// rules stay with the single-camera view.
+export default function CameraGrid({ model, settings, schedule, cameras, onExit }) {
+    const [size, setSize] = useState(2);
+    const [tiles, setTiles] = useState(() => Array.from({ length: MAX_TILES }, (_, i) => ({
+        ...TILE_CAMERA,
+        deviceId: cameras[i]?.deviceId ?? ''
+    })));
+    const [results, setResults] = useState([]); // Per tile: { predictions, transform }
+    const [fps, setFps] = useState(0);
+
+    const feedRefs = useRef([]);
+    const trackersRef = useRef(null);
+    if (trackersRef.current === null) trackersRef.current = Array.from({ length: MAX_TILES }, () => createTracker());
+    const schedulerRef = useRef(null);
+    if (schedulerRef.current === null) schedulerRef.current = createInferenceScheduler();
+    const fpsRef = useRef({ lastFpsTime: 0, frameCount: 0 });
+    const tilesRef = useRef(tiles);
+    const knownCamerasRef = useRef(new Set(cameras.map(camera => camera.deviceId)));
+
+    // Motion and resolution skipping track a single stream, so the grid only uses the pacing
+    useEffect(() => {
+        schedulerRef.current.configure({ mode: 'fixed', targetFps: schedule.targetFps });
+    }, [schedule.targetFps]);
+
+    useEffect(() => {
+        if (!model) return;
+        return runScheduledLoop(schedulerRef.current, async () => {
+            const now = performance.now();
+            if (now - fpsRef.current.lastFpsTime >= 1000) {
+                setFps(fpsRef.current.frameCount);
+                fpsRef.current.frameCount = 0;
+                fpsRef.current.lastFpsTime = now;
+            }
+
+            // Tiles run one after another so worker and main-thread detectors see one frame at a time
+            const frameResults = [];
+            for (let i = 0; i < size; i++) {
+                const feed = feedRefs.current[i];
+                if (!feed?.ready) {
+                    frameResults.push(null);
+                    continue;
+                }
+                const started = performance.now();
+                const candidates = await detectCandidates(model, feed.source, minimumScore(settings));
+                profiler.record('detect', performance.now() - started);
+                const detections = postprocessDetections(candidates, settings);
+                frameResults.push({
+                    predictions: settings.tracking ? trackersRef.current[i].update(detections) : detections,
+                    transform: getDisplayTransform(feed.source, 'cover')
+                });
+            }
+            fpsRef.current.frameCount++;
+            setResults(prev => frameResults.map((result, i) => result ?? prev[i] ?? null));
+        });
+    }, [model, settings, size]);
+
+    const updateTile = (index, changes) => {
+        trackersRef.current[index].reset();
+        setResults(prev => prev.map((result, i) => (i === index ? null : result)));
+        setTiles(prev => prev.map((tile, i) => (i === index ? { ...tile, ...changes } : tile)));
+    };
+
+    useEffect(() => {
+        tilesRef.current = tiles;
+    }, [tiles]);
+
+    // Cameras can be enumerated after mount (ids and labels arrive with the permission) or
+    // unplugged: tiles on a missing camera fall back to the default one, and newly seen
+    // cameras go to tiles without their own device. Known cameras left unassigned stay so.
+    useEffect(() => {
+        const available = new Set(cameras.map(camera => camera.deviceId));
+        const fresh = cameras.map(camera => camera.deviceId).filter(id => !knownCamerasRef.current.has(id));
+        knownCamerasRef.current = available;
+
+        const current = tilesRef.current.map(tile => tile.deviceId);
+        const kept = current.map(id => (available.has(id) ? id : ''));
+        const unused = fresh.filter(id => !kept.includes(id));
+        kept.map(id => id || (unused.shift() ?? '')).forEach((id, i) => {
+            if (id !== current[i]) updateTile(i, { deviceId: id });
+        });
+    }, [cameras]);
+
+    const tileElements = tiles.slice(0, size).map((tile, i) => {
+        const { predictions, transform } = results[i] ?? { predictions: [], transform: null };
+        const nextRotation = ROTATIONS[(ROTATIONS.indexOf(tile.rotation) + 1) % ROTATIONS.length];
+
+        return (
+            <div key={i} className="space-y-2">
+                <div className="relative rounded-xl overflow-hidden bg-black/40 border border-white/10 aspect-video">
+                    <CameraFeed
+                        ref={(feed) => { feedRefs.current[i] = feed; }}
+                        settings={tile}
+                        facingMode="environment"
+                        className="absolute inset-0 w-full h-full object-cover"
+                    />
+                    <TileBoxes predictions={predictions} transform={transform} />
+                    <div className="absolute top-2 right-2 bg-black/60 backdrop-blur-md border border-white/10 rounded-lg px-2 py-0.5 text-xs font-mono text-blue-400 font-bold">
+                        {predictions.length}
+                    </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                    <select
+                        value={tile.deviceId}
+                        onChange={(e) => updateTile(i, { deviceId: e.target.value })}
+                        className="flex-1 min-w-0 bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white"
+                    >
+                        <option value="">Default camera</option>
+                        {cameras.map(camera => <option key={camera.deviceId} value={camera.deviceId}>{camera.label}</option>)}
+                    </select>
+                    <button
+                        onClick={() => updateTile(i, { rotation: nextRotation })}
+                        title={`Rotate to ${nextRotation}°`}
+                        className="p-1.5 rounded-lg border border-white/10 text-gray-400 hover:text-white"
+                    >
+                        <RotateCw className="w-3.5 h-3.5" />
+                    </button>
+                </div>
+
+                <div className="flex flex-wrap gap-1 min-h-[22px]">
+                    {countByClass(predictions).map(([name, count]) => (
+                        <span key={name} className="px-2 py-0.5 rounded-full bg-blue-500/10 border border-blue-500/20 text-[11px] text-blue-200 capitalize">
+                            {name} <span className="font-mono text-white">{count}</span>
+                        </span>
+                    ))}
+                </div>
+            </div>
+        );
+    });
+
+    return (
+        <div className="glass-panel p-4 rounded-2xl space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="font-bold text-white flex items-center gap-2">
+                    <LayoutGrid className="w-5 h-5 text-blue-400" />
+                    Camera Grid
+                    <span className="font-mono text-xs text-green-400">{fps} FPS</span>
+                </h3>
+                <div className="flex items-center gap-2">
+                    <div className="flex gap-1">
+                        {GRID_SIZES.map(n => (
+                            <button
+                                key={n}
+                                onClick={() => setSize(n)}
+                                className={cn(
+                                    "w-7 py-1 rounded-lg text-xs font-bold border transition-colors",
+                                    size === n
+                                        ? "bg-blue-500/20 border-blue-400/50 text-white"
+                                        : "border-white/10 text-gray-400 hover:bg-white/10"
+                                )}
+                            >
+                                {n}
+                            </button>
+                        ))}
+                    </div>
+                    <button onClick={onExit} className="p-1.5 hover:bg-white/10 rounded-lg text-gray-400 hover:text-white" title="Back to single camera">
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            {cameras.length < size && (
+                <p className="text-xs text-amber-300/80">
+                    {cameras.length} camera{cameras.length === 1 ? '' : 's'} detected; tiles without their own device share the default camera.
+                </p>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">{tileElements}</div>
+        </div>
+    );
+}
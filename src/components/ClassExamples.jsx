@@ -0,0 +1,99 @@
+import React, { useRef } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { FolderOpen, ImagePlus, X } from 'lucide-react';
+import { isImageFile } from '../lib/batch';
+import { cn } from '../lib/utils';
+
+// Drop target for image files/folders and the thumbnail strip of a class's
+// examples; each thumbnail can be removed on its own
+export default function ClassExamples({ thumbnails, importing, disabled, onAddFiles, onRemove }) {
+    const folderInputRef = useRef(null);
+
+    const addFiles = (files) => {
+        const images = files.filter(isImageFile);
+        if (images.length > 0) onAddFiles(images);
+    };
+
+    const { getRootProps, getInputProps, isDragActive, open } = useDropzone({
+        onDrop: addFiles,
+        accept: { 'image/*': [] },
+        noClick: true,
+        disabled: disabled || Boolean(importing)
+    });
+
+    return (
+        <div
+            {...getRootProps()}
+            className={cn(
+                "relative z-10 rounded-lg border border-dashed border-white/10 p-2 space-y-2 transition-colors",
+                isDragActive && "border-blue-400 bg-blue-500/10"
+            )}
+        >
+            <input {...getInputProps()} />
+
+            <div className="flex items-center justify-between gap-2 text-xs text-gray-400">
+                {importing ? (
+                    <span className="text-blue-300 font-mono animate-pulse">
+                        Embedding {importing.done}/{importing.total} images…
+                    </span>
+                ) : (
+                    <span>{isDragActive ? 'Drop to add examples' : 'Drop images or a folder here'}</span>
+                )}
+                <div className="flex gap-1">
+                    <button
+                        onClick={open}
+                        disabled={disabled || Boolean(importing)}
+                        className="p-1 rounded hover:bg-white/10 hover:text-white disabled:opacity-30"
+                        title="Add image files"
+                    >
+                        <ImagePlus className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                        onClick={() => folderInputRef.current?.click()}
+                        disabled={disabled || Boolean(importing)}
+                        className="p-1 rounded hover:bg-white/10 hover:text-white disabled:opacity-30"
+                        title="Add a folder of images"
+                    >
+                        <FolderOpen className="w-3.5 h-3.5" />
+                    </button>
+                </div>
+                <input
+                    ref={folderInputRef}
+                    type="file"
+                    multiple
+                    webkitdirectory=""
+                    className="hidden"
+                    onChange={(e) => {
+                        const files = Array.from(e.target.files);
+                        e.target.value = '';
+                        addFiles(files);
+                    }}
+                />
+            </div>
+
+            {thumbnails.length > 0 && (
+                <div className="flex gap-1.5 overflow-x-auto custom-scrollbar pb-1">
+                    {thumbnails.map((thumbnail, i) => (
+                        <div key={i} className="relative shrink-0 group/thumb">
+                            {thumbnail ? (
+                                <img src={thumbnail} alt={`Example ${i + 1}`} className="w-10 h-10 rounded object-cover border border-white/10" />
+                            ) : (
+                                <div className="w-10 h-10 rounded bg-white/5 border border-white/10 flex items-center justify-center text-[9px] text-gray-500 font-mono" title="Imported example (no preview)">
+                                    {i + 1}
+                                </div>
+                            )}
+                            <button
+                                onClick={() => onRemove(i)}
+                                disabled={Boolean(importing)}
+                                className="absolute -top-1 -right-1 p-0.5 rounded-full bg-red-500 text-white opacity-0 group-hover/thumb:opacity-100 transition-opacity"
+                                title="Remove this example"
+                            >
+                                <X className="w-2.5 h-2.5" />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+
+// Per-class confidence overrides (e.g. stricter "chair", looser "person")
+export default function ClassThresholdEditor({ classNames, thresholds, defaultThreshold, onChange }) {
+    const available = classNames.filter(name => !(name in thresholds));
+    const [selected, setSelected] = useState('');
+
+    const addOverride = () => {
+        const name = selected || available[0];
+        if (!name) return;
+        onChange({ ...thresholds, [name]: defaultThreshold });
+        setSelected('');
+    };
+
+    const removeOverride = (name) => {
+        const next = { ...thresholds };
+        delete next[name];
+        onChange(next);
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="text-sm text-gray-400">Per-class Overrides</div>
+
+            {Object.entries(thresholds).map(([name, value]) => (
+                <div key={name} className="flex items-center gap-2 text-xs">
+                    <span className="capitalize text-white w-20 truncate" title={name}>{name}</span>
+                    <input
+                        type="range"
+                        min="0.05" max="0.95" step="0.05"
+                        value={value}
+                        onChange={(e) => onChange({ ...thresholds, [name]: parseFloat(e.target.value) })}
+                        className="flex-1 h-1.5 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-orange-500"
+                    />
+                    <span className="font-mono text-white w-9 text-right">{Math.round(value * 100)}%</span>
+                    <button onClick={() => removeOverride(name)} className="p-0.5 text-gray-400 hover:text-red-400">
+                        <X className="w-3 h-3" />
+                    </button>
+                </div>
+            ))}
+
+            <div className="flex gap-2">
+                <select
+                    value={selected}
+                    onChange={(e) => setSelected(e.target.value)}
+                    className="flex-1 bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white capitalize"
+                >
+                    {available.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <button
+                    onClick={addOverride}
+                    disabled={available.length === 0}
+                    className="px-2 py-1 text-xs font-bold text-orange-300 hover:bg-orange-500/10 border border-orange-500/20 rounded-lg transition-colors flex items-center gap-1 disabled:opacity-40"
+                >
+                    <Plus className="w-3 h-3" /> Add
+                </button>
+            </div>
+        </div>
+    );
+}
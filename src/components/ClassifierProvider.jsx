@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import * as tf from '@tensorflow/tfjs';
+import * as knnClassifier from '@tensorflow-models/knn-classifier';
+import {
+    DEFAULT_CLASSES,
+    listProjects,
+    createProject,
+    loadProject,
+    saveProject,
+    restoreDataset,
+    getActiveProjectId,
+    setActiveProjectId
+} from '../lib/projectStore';
+import { loadFeatureExtractor, describeFeatureExtractor } from '../lib/featureExtractor';
+import { alignThumbnails } from '../lib/trainingData';
+import { DEFAULT_K } from '../lib/evaluation';
+import { loadDenseHead, saveDenseHead, describeDenseHead, disposeModel } from '../lib/denseHead';
+import { saveBoxDetector } from '../lib/boxDetector';
+import { DEFAULT_PREDICTION_FILTER } from '../lib/predictionFilter';
+import { ClassifierContext } from '../lib/classifierContext';
+
+// Owns the shared classifier state and keeps the active project saved
+export default function ClassifierProvider({ children }) {
+    const [net, setNet] = useState(null);
+    const [classifier, setClassifier] = useState(null);
+    const [classes, setClasses] = useState(DEFAULT_CLASSES);
+    const [thumbnails, setThumbnails] = useState({}); // { [classId]: dataUrl[] } in dataset row order
+    const [project, setProject] = useState(null); // Active project metadata (null = not persisted)
+    const [projects, setProjects] = useState([]);
+    const [extractorInfo, setExtractorInfo] = useState(null);
+    const [neuralHead, setNeuralHead] = useState(null); // Trained dense head of the active project
+    const loadRef = useRef(null); // One load shared by every consumer
+    const neuralHeadRef = useRef(null);
+    const pendingSaveRef = useRef(null); // { project, classifier, thumbnails } not saved yet
+    const loadedRef = useRef(null); // { net, classifier } for disposal on unmount
+    const unmountedRef = useRef(false);
+
+    // Saves the pending project state right away; resolves once stored (null if nothing was pending)
+    const flushSave = useCallback(() => {
+        const pending = pendingSaveRef.current;
+        if (!pending) return null;
+        pendingSaveRef.current = null;
+        return saveProject(pending.project, pending.classifier, pending.thumbnails)
+            .catch(err => console.warn('Failed to save project:', err));
+    }, []);
+
+    const replaceNeuralHead = useCallback((next) => {
+        if (neuralHeadRef.current && neuralHeadRef.current !== next) disposeModel(neuralHeadRef.current.model);
+        neuralHeadRef.current = next;
+        setNeuralHead(next);
+    }, []);
+
+    // Restores a stored project into the given classifier and makes it active
+    const restoreProject = useCallback(async (targetClassifier, id) => {
+        const stored = await loadProject(id);
+        if (!stored) return null;
+
+        const { dataset: serialized, thumbnails: storedThumbnails, ...meta } = stored;
+        const dataset = restoreDataset(targetClassifier, serialized);
+        const restoredClasses = meta.classes.map(c => ({ ...c, count: dataset[c.id]?.shape[0] ?? 0 }));
+        setClasses(restoredClasses);
+        setThumbnails(alignThumbnails(storedThumbnails, restoredClasses));
+        setProject(meta);
+        setActiveProjectId(meta.id);
+
+        replaceNeuralHead(null);
+        if (meta.neuralHead) {
+            try {
+                replaceNeuralHead(await loadDenseHead(meta.id, meta.neuralHead));
+            } catch (err) {
+                console.warn('Failed to load neural head:', err);
+            }
+        }
+        return meta;
+    }, [replaceNeuralHead]);
+
+    const refreshProjects = useCallback(async () => {
+        setProjects(await listProjects());
+    }, []);
+
+    const ensureLoaded = useCallback(() => {
+        loadRef.current ??= (async () => {
+            await tf.ready();
+            console.log('Loading Mobilenet...');
+            const loadedNet = await loadFeatureExtractor();
+            console.log('Loading KNN...');
+            const loadedClassifier = knnClassifier.create();
+
+            // Restore the last active project (or start a fresh one)
+            try {
+                const restored = getActiveProjectId() && await restoreProject(loadedClassifier, getActiveProjectId());
+                if (!restored) {
+                    const created = await createProject('Untitled Project');
+                    setProject(created);
+                    setActiveProjectId(created.id);
+                }
+                await refreshProjects();
+            } catch (err) {
+                console.warn('Project persistence unavailable:', err);
+            }
+
+            // The provider is keyed by backend; a switch during loading leaves nobody to use these
+            if (unmountedRef.current) {
+                loadedClassifier.dispose();
+                loadedNet.model.dispose();
+                return null;
+            }
+            loadedRef.current = { net: loadedNet, classifier: loadedClassifier };
+            setNet(loadedNet);
+            setExtractorInfo(describeFeatureExtractor(loadedNet));
+            setClassifier(loadedClassifier);
+            return loadedNet;
+        })();
+        return loadRef.current;
+    }, [restoreProject, refreshProjects]);
+
+    // Auto-save the active project whenever its classes or samples change. The
+    // latest unsaved state is kept in a ref so it can be flushed when the
+    // provider unmounts (backend switch) or the page is hidden.
+    useEffect(() => {
+        if (!project || !classifier) return;
+        pendingSaveRef.current = { project: { ...project, classes }, classifier, thumbnails };
+        const timer = setTimeout(() => {
+            flushSave()?.then(refreshProjects);
+        }, 800);
+        return () => clearTimeout(timer);
+    }, [classes, thumbnails, project, classifier, refreshProjects, flushSave]);
+
+    useEffect(() => {
+        window.addEventListener('pagehide', flushSave);
+        return () => {
+            window.removeEventListener('pagehide', flushSave);
+            flushSave();
+        };
+    }, [flushSave]);
+
+    // Remounted on every backend switch: free this backend's MobileNet, KNN
+    // rows and neural head (after the flush above has read the dataset)
+    useEffect(() => {
+        unmountedRef.current = false;
+        return () => {
+            unmountedRef.current = true;
+            if (neuralHeadRef.current) disposeModel(neuralHeadRef.current.model);
+            neuralHeadRef.current = null;
+            loadedRef.current?.classifier.dispose();
+            loadedRef.current?.net.model.dispose();
+            loadedRef.current = null;
+        };
+    }, []);
+
+    const openProject = useCallback((id) => restoreProject(classifier, id), [classifier, restoreProject]);
+
+    // KNN neighbour count, tuned in the Evaluate view and saved with the project
+    const k = project?.k ?? DEFAULT_K;
+    const setK = useCallback((value) => {
+        setProject(prev => (prev ? { ...prev, k: value } : prev));
+    }, []);
+
+    // Classifier head ('knn' | 'neural'); the neural one falls back to the KNN until trained
+    const head = project?.head ?? 'knn';
+    const setHead = useCallback((value) => {
+        setProject(prev => (prev ? { ...prev, head: value } : prev));
+    }, []);
+
+    // Unknown rejection, smoothing and stable-prediction settings of the live predictions
+    const predictionFilter = useMemo(() => ({ ...DEFAULT_PREDICTION_FILTER, ...project?.predictionFilter }), [project?.predictionFilter]);
+    const setPredictionFilter = useCallback((value) => {
+        setProject(prev => (prev ? { ...prev, predictionFilter: value } : prev));
+    }, []);
+
+    // Per-class actions fired on stable predictions ({ [classId]: { cooldownSec, actions } })
+    const actionBindings = useMemo(() => project?.actions ?? {}, [project?.actions]);
+    const setActionBindings = useCallback((value) => {
+        setProject(prev => (prev ? { ...prev, actions: value } : prev));
+    }, []);
+
+    const installNeuralHead = useCallback((trained) => {
+        replaceNeuralHead(trained);
+        setProject(prev => (prev ? { ...prev, neuralHead: describeDenseHead(trained) } : prev));
+        if (project) {
+            saveDenseHead(project.id, trained).catch(err => console.warn('Failed to save neural head:', err));
+        }
+    }, [project, replaceNeuralHead]);
+
+    // Box detectors are only stored here; Live Detection loads them on demand
+    const installBoxDetector = useCallback(async (model, detector) => {
+        if (!project) throw new Error('Taught detectors need a saved project');
+        try {
+            await saveBoxDetector(project.id, model);
+        } finally {
+            disposeModel(model);
+        }
+        setProject(prev => (prev ? { ...prev, detector } : prev));
+    }, [project]);
+
+    const value = useMemo(() => ({
+        net,
+        classifier,
+        extractorInfo,
+        ready: Boolean(net && classifier),
+        ensureLoaded,
+        classes,
+        setClasses,
+        thumbnails,
+        setThumbnails,
+        project,
+        setProject,
+        projects,
+        refreshProjects,
+        openProject,
+        k,
+        setK,
+        head,
+        setHead,
+        neuralHead,
+        installNeuralHead,
+        installBoxDetector,
+        predictionFilter,
+        setPredictionFilter,
+        actionBindings,
+        setActionBindings
+    }), [
+        net, classifier, extractorInfo, ensureLoaded, classes, thumbnails, project, projects, refreshProjects, openProject,
+        k, setK, head, setHead, neuralHead, installNeuralHead, installBoxDetector, predictionFilter, setPredictionFilter,
+        actionBindings, setActionBindings
+    ]);
+
+    return <ClassifierContext.Provider value={value}>{children}</ClassifierContext.Provider>;
+}
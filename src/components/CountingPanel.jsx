@@ -0,0 +1,120 @@
+import React from 'react';
+import { Spline, Hexagon, Trash2, RotateCcw, X, Users } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+export default function CountingPanel({ regions, counts, tool, trackingEnabled, onToolChange, onDelete, onReset }) {
+    return (
+        <div className="glass-panel p-5 rounded-2xl">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="font-bold text-white flex items-center gap-2">
+                    <Users className="w-5 h-5 text-amber-400" />
+                    Line &amp; Zone Counting
+                </h3>
+                <button
+                    onClick={onReset}
+                    disabled={regions.length === 0}
+                    className="px-2 py-1 text-xs font-bold text-gray-300 hover:bg-white/10 border border-white/10 rounded-lg transition-colors flex items-center gap-1 disabled:opacity-40"
+                    title="Reset counts"
+                >
+                    <RotateCcw className="w-3 h-3" /> Reset
+                </button>
+            </div>
+
+            <div className="flex gap-2 mb-4">
+                <ToolButton active={tool === 'line'} onClick={() => onToolChange(tool === 'line' ? null : 'line')}>
+                    <Spline className="w-3 h-3" /> Draw Line
+                </ToolButton>
+                <ToolButton active={tool === 'zone'} onClick={() => onToolChange(tool === 'zone' ? null : 'zone')}>
+                    <Hexagon className="w-3 h-3" /> Draw Zone
+                </ToolButton>
+                {tool && (
+                    <button onClick={() => onToolChange(null)} className="p-1.5 text-gray-400 hover:text-white hover:bg-white/10 rounded-lg" title="Cancel">
+                        <X className="w-3 h-3" />
+                    </button>
+                )}
+            </div>
+
+            {tool && (
+                <p className="text-xs text-blue-300 mb-3">
+                    {tool === 'line'
+                        ? 'Click two points on the video. The arrow marks the "in" direction.'
+                        : 'Click to add vertices; click the first point or press Enter to close.'}
+                </p>
+            )}
+            {!trackingEnabled && regions.length > 0 && (
+                <p className="text-xs text-yellow-500 mb-3">Enable object tracking to count crossings.</p>
+            )}
+
+            <div className="space-y-3">
+                {regions.length === 0 && !tool && (
+                    <p className="text-gray-500 text-sm text-center italic">No lines or zones defined</p>
+                )}
+                {regions.map((region) => {
+                    const regionCounts = counts[region.id] || { byClass: {}, occupancy: {} };
+                    const classNames = [...new Set([
+                        ...Object.keys(regionCounts.byClass),
+                        ...Object.keys(regionCounts.occupancy)
+                    ])];
+                    const [inLabel, outLabel] = region.type === 'line' ? ['→ In', '← Out'] : ['Entered', 'Left'];
+
+                    return (
+                        <div key={region.id} className="bg-white/5 rounded-lg border border-white/5 p-3">
+                            <div className="flex items-center justify-between mb-2">
+                                <span className="text-sm font-bold text-white flex items-center gap-2">
+                                    {region.type === 'line'
+                                        ? <Spline className="w-3 h-3 text-amber-400" />
+                                        : <Hexagon className="w-3 h-3 text-cyan-400" />}
+                                    {region.name}
+                                </span>
+                                <button onClick={() => onDelete(region.id)} className="p-1 text-red-400 hover:bg-red-500/10 rounded">
+                                    <Trash2 className="w-3 h-3" />
+                                </button>
+                            </div>
+
+                            {classNames.length === 0 ? (
+                                <p className="text-gray-500 text-xs italic">No crossings yet</p>
+                            ) : (
+                                <table className="w-full text-xs">
+                                    <thead>
+                                        <tr className="text-gray-400">
+                                            <th className="text-left font-normal">Class</th>
+                                            <th className="text-right font-normal">{inLabel}</th>
+                                            <th className="text-right font-normal">{outLabel}</th>
+                                            {region.type === 'zone' && <th className="text-right font-normal">Inside</th>}
+                                        </tr>
+                                    </thead>
+                                    <tbody className="font-mono text-white">
+                                        {classNames.map(name => (
+                                            <tr key={name}>
+                                                <td className="capitalize font-sans">{name}</td>
+                                                <td className="text-right text-green-400">{regionCounts.byClass[name]?.in ?? 0}</td>
+                                                <td className="text-right text-red-400">{regionCounts.byClass[name]?.out ?? 0}</td>
+                                                {region.type === 'zone' && (
+                                                    <td className="text-right text-cyan-300">{regionCounts.occupancy[name] ?? 0}</td>
+                                                )}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+function ToolButton({ active, onClick, children }) {
+    return (
+        <button
+            onClick={onClick}
+            className={cn(
+                "flex-1 px-3 py-1.5 text-xs font-bold rounded-lg border transition-colors flex items-center justify-center gap-2",
+                active ? "bg-amber-500/20 text-amber-300 border-amber-500/40" : "text-gray-300 border-white/10 hover:bg-white/10"
+            )}
+        >
+            {children}
+        </button>
+    );
+}
@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { FileJson, Tags, Upload } from 'lucide-react';
+import { DECODER_PRESETS, DEFAULT_DECODER, parseLabelMap } from '../lib/customDetector';
+import { cn } from '../lib/utils';
+
+const INPUT_RANGES = [
+    { id: '0,1', label: '0 – 1' },
+    { id: '-1,1', label: '-1 – 1' },
+    { id: '0,255', label: '0 – 255' }
+];
+
+const fieldClass = "bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white";
+
+// Upload form for a user-trained GraphModel: weights, label map and output decoding
+export default function CustomModelLoader({ loading, onLoad }) {
+    const [name, setName] = useState('Custom model');
+    const [modelFiles, setModelFiles] = useState([]);
+    const [labels, setLabels] = useState(null);
+    const [labelFileName, setLabelFileName] = useState('');
+    const [labelError, setLabelError] = useState(null);
+    const [decoder, setDecoder] = useState(DEFAULT_DECODER);
+
+    const hasModelJson = modelFiles.some(file => file.name.endsWith('.json'));
+    const labelCount = labels ? Object.keys(labels).length : 0;
+
+    const update = (changes) => setDecoder(prev => ({ ...prev, ...changes }));
+
+    const onLabelFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setLabelFileName(file.name);
+        try {
+            setLabels(parseLabelMap(await file.text(), file.name));
+            setLabelError(null);
+        } catch (err) {
+            setLabels(null);
+            setLabelError(err.message);
+        }
+    };
+
+    const submit = () => {
+        onLoad({ kind: 'custom', name: name.trim() || 'Custom model', files: modelFiles, labels, decoder });
+    };
+
+    return (
+        <div className="space-y-3 text-xs">
+            <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Model name"
+                className={cn(fieldClass, "w-full py-1.5")}
+            />
+
+            <label className="flex items-center gap-2 px-3 py-2 border border-dashed border-white/20 rounded-lg cursor-pointer hover:bg-white/5 text-gray-300">
+                <FileJson className="w-4 h-4 text-cyan-400 shrink-0" />
+                <span className="truncate">
+                    {modelFiles.length > 0 ? `${modelFiles.length} files selected` : 'model.json + weight shards (.bin)'}
+                </span>
+                <input
+                    type="file"
+                    multiple
+                    accept=".json,.bin"
+                    className="hidden"
+                    onChange={(e) => setModelFiles(Array.from(e.target.files))}
+                />
+            </label>
+            {modelFiles.length > 0 && !hasModelJson && <p className="text-red-400">No model.json among the selected files.</p>}
+
+            <label className="flex items-center gap-2 px-3 py-2 border border-dashed border-white/20 rounded-lg cursor-pointer hover:bg-white/5 text-gray-300">
+                <Tags className="w-4 h-4 text-cyan-400 shrink-0" />
+                <span className="truncate">
+                    {labels ? `${labelFileName} · ${labelCount} labels` : 'Label map (.pbtxt, .json, .txt)'}
+                </span>
+                <input type="file" accept=".pbtxt,.json,.txt,.labels" className="hidden" onChange={onLabelFile} />
+            </label>
+            {labelError && <p className="text-red-400">{labelError}</p>}
+
+            <div className="flex items-center justify-between">
+                <span className="text-gray-400">Preset</span>
+                <select
+                    defaultValue=""
+                    onChange={(e) => {
+                        const preset = DECODER_PRESETS.find(p => p.id === e.target.value);
+                        if (preset) setDecoder(preset.decoder);
+                    }}
+                    className={fieldClass}
+                >
+                    <option value="" disabled>Choose…</option>
+                    {DECODER_PRESETS.map(preset => <option key={preset.id} value={preset.id}>{preset.label}</option>)}
+                </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+                <select value={decoder.format} onChange={(e) => update({ format: e.target.value })} className={fieldClass} title="Output layout">
+                    <option value="ssd">SSD (boxes / scores / classes)</option>
+                    <option value="anchor-free">Anchor-free (single output)</option>
+                </select>
+                <select value={decoder.boxFormat} onChange={(e) => update({ boxFormat: e.target.value })} className={fieldClass} title="Box format">
+                    <option value="yxyx">ymin, xmin, ymax, xmax</option>
+                    <option value="xyxy">xmin, ymin, xmax, ymax</option>
+                    <option value="xywh">x, y, width, height</option>
+                    <option value="cxcywh">cx, cy, width, height</option>
+                </select>
+            </div>
+
+            {decoder.format === 'ssd' ? (
+                <div className="space-y-1.5">
+                    {[['boxesTensor', 'Boxes'], ['scoresTensor', 'Scores'], ['classesTensor', 'Classes']].map(([key, label]) => (
+                        <div key={key} className="flex items-center gap-2">
+                            <span className="text-gray-400 w-14">{label}</span>
+                            <input value={decoder[key]} onChange={(e) => update({ [key]: e.target.value })} className={cn(fieldClass, "flex-1 font-mono")} />
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <div className="space-y-1.5">
+                    <div className="flex items-center gap-2">
+                        <span className="text-gray-400 w-14">Output</span>
+                        <input
+                            value={decoder.outputTensor}
+                            onChange={(e) => update({ outputTensor: e.target.value })}
+                            placeholder="first output"
+                            className={cn(fieldClass, "flex-1 font-mono")}
+                        />
+                    </div>
+                    <label className="flex items-center gap-2 text-gray-300 cursor-pointer">
+                        <input type="checkbox" checked={decoder.hasObjectness} onChange={(e) => update({ hasObjectness: e.target.checked })} className="accent-cyan-500" />
+                        Objectness column before class scores
+                    </label>
+                </div>
+            )}
+
+            <label className="flex items-center gap-2 text-gray-300 cursor-pointer">
+                <input type="checkbox" checked={decoder.normalizedBoxes} onChange={(e) => update({ normalizedBoxes: e.target.checked })} className="accent-cyan-500" />
+                Boxes normalized to 0 – 1
+            </label>
+
+            <div className="grid grid-cols-2 gap-2">
+                <div className="flex items-center justify-between gap-2">
+                    <span className="text-gray-400">Input</span>
+                    <select
+                        value={`${decoder.inputMin},${decoder.inputMax}`}
+                        onChange={(e) => {
+                            const [inputMin, inputMax] = e.target.value.split(',').map(Number);
+                            update({ inputMin, inputMax });
+                        }}
+                        className={fieldClass}
+                    >
+                        {INPUT_RANGES.map(range => <option key={range.id} value={range.id}>{range.label}</option>)}
+                    </select>
+                </div>
+                <div className="flex items-center justify-between gap-2" title="Added to raw class indices before looking up the label map">
+                    <span className="text-gray-400">Label offset</span>
+                    <input
+                        type="number"
+                        value={decoder.labelOffset}
+                        onChange={(e) => update({ labelOffset: parseInt(e.target.value, 10) || 0 })}
+                        className={cn(fieldClass, "w-14 font-mono")}
+                    />
+                </div>
+            </div>
+
+            <button
+                onClick={submit}
+                disabled={loading || !hasModelJson || !labels}
+                className="w-full py-2 text-sm font-bold bg-cyan-500/10 text-cyan-300 hover:bg-cyan-500/20 border border-cyan-500/20 rounded-lg transition-colors flex items-center justify-center gap-2 disabled:opacity-40"
+            >
+                <Upload className="w-4 h-4" />
+                {loading ? 'Loading...' : 'Load Custom Model'}
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Play, Square, CheckCircle2, Network } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { evaluateClassifier, evaluateDenseHead, bestK, K_CANDIDATES, DEFAULT_EVALUATION } from '../lib/evaluation';
+import { sampleSignature } from '../lib/trainingData';
+import { cn } from '../lib/utils';
+
+const HOLDOUT_OPTIONS = [0.1, 0.2, 0.3];
+const FOLD_OPTIONS = [3, 5, 10];
+
+function formatPercent(value) {
+    return value === null ? '–' : `${Math.round(value * 100)}%`;
+}
+
+// Hold-out / k-fold evaluation of the Custom Training classifier with a
+// confusion matrix and a sweep over the KNN's k. The neural head can be scored
+// on the same splits for a side-by-side comparison.
+export default function EvaluationPanel({ classifier, classes, k, headConfig, onKChange }) {
+    const [config, setConfig] = useState(DEFAULT_EVALUATION);
+    const [running, setRunning] = useState(null); // { done, total } while evaluating
+    const [evaluation, setEvaluation] = useState(null); // evaluateClassifier() result plus the sample counts it ran on
+    const [neural, setNeural] = useState(null); // evaluateDenseHead() result on the same splits
+    const [matrixHead, setMatrixHead] = useState('knn'); // Which head the confusion matrix shows
+    const [selectedK, setSelectedK] = useState(k);
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    const signature = sampleSignature(classes);
+    const stale = evaluation && evaluation.signature !== signature;
+
+    const track = async (splitCount, task) => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setError(null);
+        setRunning({ done: 0, total: splitCount });
+        try {
+            await task({ signal: controller.signal, onProgress: setRunning });
+        } catch (err) {
+            if (err.name !== 'AbortError') setError(err.message);
+        } finally {
+            abortRef.current = null;
+            setRunning(null);
+        }
+    };
+
+    const run = () => track(config.method === 'kfold' ? config.folds : 1, async (options) => {
+        const result = await evaluateClassifier(classifier, config, options);
+        setEvaluation({ ...result, config, signature });
+        setNeural(null);
+        setMatrixHead('knn');
+        setSelectedK(result.reports[k] ? k : bestK(result.sweep));
+    });
+
+    const compare = () => track(evaluation.splits, async (options) => {
+        setNeural(await evaluateDenseHead(classifier, evaluation.config, headConfig, options));
+    });
+
+    const className = (label) => classes.find(c => String(c.id) === String(label))?.name ?? `Class ${label}`;
+    const classColor = (label) => classes.find(c => String(c.id) === String(label))?.color ?? 'bg-gray-500';
+
+    const report = evaluation?.reports[selectedK];
+    const matrix = (matrixHead === 'neural' && neural ? neural.report : report)?.confusion;
+    const best = evaluation && bestK(evaluation.sweep);
+    const chartData = evaluation?.sweep.map(point => ({ k: point.k, accuracy: Math.round(point.accuracy * 1000) / 10 }));
+
+    return (
+        <div className="space-y-4">
+            {/* Method */}
+            <div className="glass-panel p-4 rounded-xl space-y-3">
+                <div className="flex items-center gap-2 text-xs">
+                    {[['holdout', 'Hold-out'], ['kfold', 'K-fold']].map(([id, label]) => (
+                        <button
+                            key={id}
+                            onClick={() => setConfig(prev => ({ ...prev, method: id }))}
+                            disabled={Boolean(running)}
+                            className={cn(
+                                "px-3 py-1.5 rounded-lg font-bold border transition-colors",
+                                config.method === id
+                                    ? "bg-blue-500/20 border-blue-400/50 text-white"
+                                    : "border-white/10 text-gray-400 hover:bg-white/10"
+                            )}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                    {config.method === 'holdout' ? (
+                        <select
+                            value={config.holdout}
+                            onChange={(e) => setConfig(prev => ({ ...prev, holdout: Number(e.target.value) }))}
+                            disabled={Boolean(running)}
+                            className="bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white"
+                        >
+                            {HOLDOUT_OPTIONS.map(value => <option key={value} value={value}>{value * 100}% held out</option>)}
+                        </select>
+                    ) : (
+                        <select
+                            value={config.folds}
+                            onChange={(e) => setConfig(prev => ({ ...prev, folds: Number(e.target.value) }))}
+                            disabled={Boolean(running)}
+                            className="bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white"
+                        >
+                            {FOLD_OPTIONS.map(value => <option key={value} value={value}>{value} folds</option>)}
+                        </select>
+                    )}
+                    <div className="flex-1" />
+                    {running ? (
+                        <button
+                            onClick={() => abortRef.current?.abort()}
+                            className="px-3 py-1.5 rounded-lg font-bold bg-red-500/10 text-red-400 border border-red-500/20 hover:bg-red-500/20 flex items-center gap-1.5"
+                        >
+                            <Square className="w-3 h-3" /> {running.done}/{running.total}
+                        </button>
+                    ) : (
+                        <button
+                            onClick={run}
+                            disabled={!classifier}
+                            className="px-3 py-1.5 rounded-lg font-bold bg-blue-600 hover:bg-blue-500 text-white flex items-center gap-1.5 disabled:opacity-30"
+                        >
+                            <Play className="w-3 h-3" /> Evaluate
+                        </button>
+                    )}
+                </div>
+                <p className="text-xs text-gray-500">
+                    {config.method === 'holdout'
+                        ? 'A share of every class is set aside and classified using the remaining examples.'
+                        : 'Every example is classified once by a model trained on the other folds.'}
+                </p>
+                {error && <p className="text-xs text-red-400">{error}</p>}
+                {stale && <p className="text-xs text-amber-300/80">Examples changed since this run. Evaluate again for current numbers.</p>}
+            </div>
+
+            {evaluation && report && (
+                <>
+                    {/* Summary + k sweep */}
+                    <div className="glass-panel p-4 rounded-xl space-y-3">
+                        <div className="flex items-end justify-between">
+                            <div>
+                                <div className="text-xs text-gray-400">Accuracy at k = {selectedK}</div>
+                                <div className="text-3xl font-bold text-white font-mono">{formatPercent(report.accuracy)}</div>
+                                <div className="text-[10px] text-gray-500">
+                                    {evaluation.samples} test samples{evaluation.splits > 1 && ` across ${evaluation.splits} folds`}
+                                </div>
+                            </div>
+                            <div className="text-right text-xs space-y-1">
+                                <div className="text-gray-400">
+                                    Predicting with <span className="font-mono text-white">k = {k}</span>
+                                </div>
+                                {selectedK !== k ? (
+                                    <button
+                                        onClick={() => onKChange(selectedK)}
+                                        className="px-3 py-1 rounded-lg font-bold bg-green-500/10 text-green-400 border border-green-500/20 hover:bg-green-500/20"
+                                    >
+                                        Use k = {selectedK}
+                                    </button>
+                                ) : (
+                                    <span className="inline-flex items-center gap-1 text-green-400">
+                                        <CheckCircle2 className="w-3 h-3" /> In use
+                                    </span>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="h-32">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <LineChart
+                                    data={chartData}
+                                    margin={{ top: 5, right: 10, left: -20, bottom: 0 }}
+                                    onClick={(state) => state?.activeLabel !== undefined && setSelectedK(Number(state.activeLabel))}
+                                >
+                                    <XAxis dataKey="k" stroke="#6b7280" fontSize={10} />
+                                    <YAxis stroke="#6b7280" fontSize={10} domain={['auto', 100]} unit="%" />
+                                    <Tooltip
+                                        contentStyle={{ background: '#111827', border: '1px solid rgba(255,255,255,0.1)', fontSize: 12 }}
+                                        formatter={(value) => [`${value}%`, 'Accuracy']}
+                                        labelFormatter={(value) => `k = ${value}`}
+                                    />
+                                    <ReferenceLine x={selectedK} stroke="#60a5fa" strokeDasharray="3 3" />
+                                    <Line type="monotone" dataKey="accuracy" stroke="#34d399" strokeWidth={2} dot={{ r: 3 }} isAnimationActive={false} />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+                        <div className="flex items-center justify-between gap-2 text-xs border-t border-white/5 pt-3">
+                            {neural ? (
+                                <span className="text-gray-400">
+                                    <Network className="inline w-3 h-3 mr-1 text-purple-400" />
+                                    Neural head <span className="font-mono text-white">{formatPercent(neural.report.accuracy)}</span>
+                                    {' '}vs KNN <span className="font-mono text-white">{formatPercent(report.accuracy)}</span>
+                                    <span className="text-gray-500"> on the same samples</span>
+                                </span>
+                            ) : (
+                                <span className="text-gray-500">
+                                    Train a neural head ({headConfig.epochs} epochs) per split and compare.
+                                </span>
+                            )}
+                            {!neural && (
+                                <button
+                                    onClick={compare}
+                                    disabled={Boolean(running) || stale}
+                                    className="px-3 py-1 rounded-lg font-bold text-purple-300 border border-purple-500/20 hover:bg-purple-500/10 disabled:opacity-30 shrink-0"
+                                >
+                                    Compare
+                                </button>
+                            )}
+                        </div>
+                        <div className="flex flex-wrap items-center gap-1 text-xs">
+                            <span className="text-gray-400 mr-1">k</span>
+                            {K_CANDIDATES.filter(value => evaluation.reports[value]).map(value => (
+                                <button
+                                    key={value}
+                                    onClick={() => setSelectedK(value)}
+                                    className={cn(
+                                        "px-2 py-0.5 rounded font-mono border transition-colors",
+                                        value === selectedK ? "bg-blue-500/20 border-blue-400/50 text-white" : "border-white/10 text-gray-400 hover:bg-white/10",
+                                        value === best && "text-green-400"
+                                    )}
+                                    title={value === best ? 'Best accuracy' : undefined}
+                                >
+                                    {value}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* Per-class precision / recall */}
+                    <div className="glass-panel p-4 rounded-xl">
+                        <table className="w-full text-xs">
+                            <thead>
+                                <tr className="text-gray-400">
+                                    <th className="text-left font-normal">Class</th>
+                                    <th className="text-right font-normal">Precision</th>
+                                    <th className="text-right font-normal">Recall</th>
+                                    {neural && <th className="text-right font-normal text-purple-300">Neural P / R</th>}
+                                    <th className="text-right font-normal">n</th>
+                                </tr>
+                            </thead>
+                            <tbody className="font-mono text-gray-200">
+                                {report.perClass.map((row, c) => (
+                                    <tr key={row.label}>
+                                        <td className="font-sans py-0.5">
+                                            <span className={cn("inline-block w-2 h-2 rounded-full mr-1.5", classColor(row.label))} />
+                                            {className(row.label)}
+                                        </td>
+                                        <td className="text-right">{formatPercent(row.precision)}</td>
+                                        <td className="text-right">{formatPercent(row.recall)}</td>
+                                        {neural && (
+                                            <td className="text-right text-purple-200">
+                                                {formatPercent(neural.report.perClass[c].precision)} / {formatPercent(neural.report.perClass[c].recall)}
+                                            </td>
+                                        )}
+                                        <td className="text-right text-gray-500">{row.support}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {/* Confusion matrix (rows: actual, columns: predicted; shaded by row share) */}
+                    <div className="glass-panel p-4 rounded-xl space-y-2">
+                        <div className="flex items-center justify-between text-xs text-gray-400">
+                            <span>Confusion Matrix</span>
+                            {neural ? (
+                                <div className="flex gap-1">
+                                    {[['knn', `KNN k=${selectedK}`], ['neural', 'Neural']].map(([id, label]) => (
+                                        <button
+                                            key={id}
+                                            onClick={() => setMatrixHead(id)}
+                                            className={cn(
+                                                "px-2 py-0.5 rounded border transition-colors",
+                                                matrixHead === id ? "bg-white/10 border-white/20 text-white" : "border-white/10 hover:bg-white/10"
+                                            )}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            ) : (
+                                <span>rows actual · columns predicted</span>
+                            )}
+                        </div>
+                        <div
+                            className="grid gap-0.5 text-[10px]"
+                            style={{ gridTemplateColumns: `minmax(0, 8rem) repeat(${evaluation.labels.length}, minmax(0, 1fr))` }}
+                        >
+                            <div />
+                            {evaluation.labels.map(label => (
+                                <div key={label} className="truncate text-center text-gray-400 px-0.5" title={className(label)}>
+                                    {className(label)}
+                                </div>
+                            ))}
+                            {matrix.map((row, a) => {
+                                const total = row.reduce((sum, v) => sum + v, 0);
+                                return (
+                                    <React.Fragment key={evaluation.labels[a]}>
+                                        <div className="truncate text-gray-400 pr-1 self-center" title={className(evaluation.labels[a])}>
+                                            {className(evaluation.labels[a])}
+                                        </div>
+                                        {row.map((count, p) => {
+                                            const share = total > 0 ? count / total : 0;
+                                            return (
+                                                <div
+                                                    key={p}
+                                                    className="h-8 rounded flex items-center justify-center font-mono text-white border border-white/5"
+                                                    style={{ backgroundColor: `rgba(${a === p ? '52, 211, 153' : '248, 113, 113'}, ${share * 0.8})` }}
+                                                    title={`${className(evaluation.labels[a])} → ${className(evaluation.labels[p])}: ${count}`}
+                                                >
+                                                    {count}
+                                                </div>
+                                            );
+                                        })}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
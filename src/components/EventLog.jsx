@@ -0,0 +1,76 @@
+import React, { useEffect, useMemo } from 'react';
+import { ScrollText, Trash2, X, Film } from 'lucide-react';
+import { downloadBlob } from '../lib/download';
+
+function formatTime(time) {
+    return new Date(time).toLocaleString(undefined, {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+}
+
+// Chronological list of rule firings with their cropped snapshots
+export default function EventLog({ events, onDelete, onClear }) {
+    const snapshotUrls = useMemo(() => new Map(
+        events.filter(event => event.snapshot).map(event => [event.id, URL.createObjectURL(event.snapshot)])
+    ), [events]);
+
+    useEffect(() => () => snapshotUrls.forEach(url => URL.revokeObjectURL(url)), [snapshotUrls]);
+
+    return (
+        <div className="glass-panel p-4 rounded-2xl space-y-3">
+            <div className="flex items-center justify-between">
+                <h3 className="font-bold text-white flex items-center gap-2">
+                    <ScrollText className="w-5 h-5 text-amber-400" />
+                    Event Log
+                    <span className="font-mono text-xs text-gray-400">{events.length}</span>
+                </h3>
+                {events.length > 0 && (
+                    <button
+                        onClick={onClear}
+                        className="px-2 py-1 text-xs font-bold text-red-400 hover:bg-red-500/10 border border-red-500/20 rounded-lg flex items-center gap-1"
+                    >
+                        <Trash2 className="w-3 h-3" /> Clear
+                    </button>
+                )}
+            </div>
+
+            {events.length === 0 ? (
+                <p className="text-xs text-gray-500">Events appear here when an alert rule fires.</p>
+            ) : (
+                <div className="space-y-2 max-h-[320px] overflow-y-auto custom-scrollbar pr-1">
+                    {events.map(event => (
+                        <div key={event.id} className="flex items-center gap-3 bg-white/5 rounded-lg p-2 group">
+                            {snapshotUrls.has(event.id) ? (
+                                <a href={snapshotUrls.get(event.id)} target="_blank" rel="noreferrer" className="shrink-0">
+                                    <img src={snapshotUrls.get(event.id)} alt={event.message} className="w-16 h-12 object-cover rounded border border-white/10" />
+                                </a>
+                            ) : (
+                                <div className="w-16 h-12 rounded bg-black/40 shrink-0" />
+                            )}
+                            <div className="flex-1 min-w-0 text-xs">
+                                <div className="text-white font-medium truncate">{event.ruleName}</div>
+                                <div className="text-gray-400 truncate capitalize">{event.classes.join(', ')}</div>
+                                <div className="text-gray-500 font-mono">{formatTime(event.time)}</div>
+                            </div>
+                            {event.clip && (
+                                <button
+                                    onClick={() => downloadBlob(event.clip, `neuralvision-event-${event.time}.webm`)}
+                                    className="p-1 text-amber-400 hover:text-amber-300"
+                                    title="Download recorded clip"
+                                >
+                                    <Film className="w-3.5 h-3.5" />
+                                </button>
+                            )}
+                            <button
+                                onClick={() => onDelete(event.id)}
+                                className="p-1 text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                            >
+                                <X className="w-3.5 h-3.5" />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,58 @@
+import React from 'react';
+import { FileJson, FileSpreadsheet, FileCode, Download } from 'lucide-react';
+import { toCocoJson, toCsv, toVocXml, baseName } from '../lib/exporters';
+import { createZip } from '../lib/zip';
+import { downloadBlob, downloadJson } from '../lib/download';
+
+// Export annotated images (single upload, video run or batch) for labelling pipelines
+export default function ExportPanel({ images, name, description }) {
+    const base = baseName(name);
+    const detectionCount = images.reduce((sum, image) => sum + image.predictions.length, 0);
+
+    const exportCoco = () => downloadJson(toCocoJson(images, { description }), `${base}_coco.json`);
+
+    const exportCsv = () => downloadBlob(new Blob([toCsv(images)], { type: 'text/csv' }), `${base}_detections.csv`);
+
+    // Pascal VOC is one XML per image; several images are zipped together
+    const exportVoc = () => {
+        if (images.length === 1) {
+            const xml = toVocXml(images[0]);
+            downloadBlob(new Blob([xml], { type: 'application/xml' }), `${baseName(images[0].fileName)}.xml`);
+            return;
+        }
+        const files = images.map(image => ({ name: `Annotations/${baseName(image.fileName)}.xml`, data: toVocXml(image) }));
+        downloadBlob(createZip(files), `${base}_voc.zip`);
+    };
+
+    return (
+        <div className="glass-panel p-5 rounded-2xl">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="font-bold text-white flex items-center gap-2">
+                    <Download className="w-5 h-5 text-sky-400" />
+                    Export Results
+                </h3>
+                <span className="font-mono text-xs text-gray-400">
+                    {images.length} {images.length === 1 ? 'image' : 'frames'} · {detectionCount} boxes
+                </span>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2">
+                <ExportButton onClick={exportCoco} icon={<FileJson className="w-4 h-4" />} label="COCO" />
+                <ExportButton onClick={exportCsv} icon={<FileSpreadsheet className="w-4 h-4" />} label="CSV" />
+                <ExportButton onClick={exportVoc} icon={<FileCode className="w-4 h-4" />} label="VOC" />
+            </div>
+        </div>
+    );
+}
+
+function ExportButton({ onClick, icon, label }) {
+    return (
+        <button
+            onClick={onClick}
+            className="py-2 text-xs font-bold text-sky-300 bg-sky-500/10 hover:bg-sky-500/20 border border-sky-500/20 rounded-lg transition-colors flex flex-col items-center gap-1"
+        >
+            {icon}
+            {label}
+        </button>
+    );
+}
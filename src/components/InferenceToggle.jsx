@@ -0,0 +1,33 @@
+import React from 'react';
+import { Cpu, Layers } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+const PATHS = [
+    { id: 'worker', label: 'Worker', icon: <Layers className="w-3 h-3" /> },
+    { id: 'main', label: 'Main thread', icon: <Cpu className="w-3 h-3" /> }
+];
+
+// Switches inference between the Web Worker and the main thread (e.g. to compare FPS)
+export default function InferenceToggle({ value, supported, notice, onChange }) {
+    return (
+        <div className="space-y-1">
+            <div className="flex bg-black/40 rounded-lg p-0.5 border border-white/10">
+                {PATHS.map(({ id, label, icon }) => (
+                    <button
+                        key={id}
+                        onClick={() => onChange(id)}
+                        disabled={id === 'worker' && !supported}
+                        title={id === 'worker' && !supported ? 'Web Workers or OffscreenCanvas are not available in this browser' : undefined}
+                        className={cn(
+                            "flex-1 flex items-center justify-center gap-1 px-2 py-1 rounded-md text-[10px] font-bold uppercase tracking-wider transition-colors disabled:opacity-30",
+                            value === id ? "bg-blue-600 text-white" : "text-gray-400 hover:text-white"
+                        )}
+                    >
+                        {icon} {label}
+                    </button>
+                ))}
+            </div>
+            {notice && <p className="text-[10px] text-yellow-500 max-w-[180px]">{notice}</p>}
+        </div>
+    );
+}
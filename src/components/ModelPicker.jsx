@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Cpu, RefreshCw } from 'lucide-react';
+import { COCO_BASES, MODEL_SOURCES, DEFAULT_DETECTOR_SPEC, describeSpec } from '../lib/detectors';
+import { cn } from '../lib/utils';
+import CustomModelLoader from './CustomModelLoader';
+import TaughtDetectorList from './TaughtDetectorList';
+
+function formatBytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export default function ModelPicker({ spec, loading, error, benchmarks, onLoad }) {
+    const [kind, setKind] = useState(spec.kind);
+    const [draft, setDraft] = useState(spec.kind === 'coco' ? spec : DEFAULT_DETECTOR_SPEC);
+    const isCurrent = spec.kind === 'coco' && draft.base === spec.base && draft.source === spec.source && draft.modelUrl === spec.modelUrl;
+
+    return (
+        <div className="glass-panel p-5 rounded-2xl">
+            <div className="flex items-center gap-2 mb-4">
+                <Cpu className="w-5 h-5 text-cyan-400" />
+                <h3 className="font-bold text-white">Detection Model</h3>
+            </div>
+
+            <div className="space-y-3">
+                <div className="flex bg-gray-800/50 rounded-lg p-1">
+                    {[['coco', 'COCO-SSD'], ['custom', 'Custom GraphModel'], ['trained', 'Taught']].map(([id, label]) => (
+                        <button
+                            key={id}
+                            onClick={() => setKind(id)}
+                            className={cn(
+                                "flex-1 py-1 rounded-md text-xs font-bold transition-colors",
+                                kind === id ? "bg-cyan-500/20 text-white" : "text-gray-400 hover:text-white"
+                            )}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+
+                {kind === 'custom' && <CustomModelLoader loading={loading} onLoad={onLoad} />}
+                {kind === 'trained' && <TaughtDetectorList spec={spec} loading={loading} onLoad={onLoad} />}
+                {kind === 'coco' && (
+                    <div className="space-y-3">
+                        <div className="grid grid-cols-3 gap-1.5">
+                            {COCO_BASES.map(base => (
+                                <button
+                                    key={base.id}
+                                    onClick={() => setDraft({ ...draft, base: base.id })}
+                                    title={base.hint}
+                                    className={cn(
+                                        "px-2 py-2 rounded-lg text-xs font-bold border transition-colors",
+                                        draft.base === base.id
+                                            ? "bg-cyan-500/20 border-cyan-400/50 text-white"
+                                            : "border-white/10 text-gray-400 hover:bg-white/10"
+                                    )}
+                                >
+                                    {base.label}
+                                </button>
+                            ))}
+                        </div>
+
+                        <div className="flex items-center justify-between text-sm">
+                            <span className="text-gray-400">Weights</span>
+                            <select
+                                value={draft.source}
+                                onChange={(e) => setDraft({ ...draft, source: e.target.value })}
+                                className="bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white"
+                            >
+                                {MODEL_SOURCES.map(source => <option key={source.id} value={source.id}>{source.label}</option>)}
+                            </select>
+                        </div>
+
+                        {draft.source === 'url' && (
+                            <input
+                                value={draft.modelUrl}
+                                onChange={(e) => setDraft({ ...draft, modelUrl: e.target.value })}
+                                placeholder="http://lab-server/models/ssd/model.json"
+                                className="w-full bg-gray-800 border border-white/10 rounded-lg px-2 py-1.5 text-xs text-white font-mono"
+                            />
+                        )}
+
+                        <button
+                            onClick={() => onLoad(draft)}
+                            disabled={loading || isCurrent}
+                            className="w-full py-2 text-sm font-bold bg-cyan-500/10 text-cyan-300 hover:bg-cyan-500/20 border border-cyan-500/20 rounded-lg transition-colors flex items-center justify-center gap-2 disabled:opacity-40"
+                        >
+                            <RefreshCw className={cn("w-4 h-4", loading && "animate-spin")} />
+                            {loading ? 'Loading...' : isCurrent ? 'Loaded' : 'Load Model'}
+                        </button>
+                    </div>
+                )}
+
+                {error && <p className="text-xs text-red-400">Failed to load: {error}</p>}
+
+                {benchmarks.length > 0 && (
+                    <table className="w-full text-xs mt-2">
+                        <thead>
+                            <tr className="text-gray-400">
+                                <th className="text-left font-normal">Model</th>
+                                <th className="text-right font-normal">Load</th>
+                                <th className="text-right font-normal">Tensors</th>
+                                <th className="text-right font-normal">Memory</th>
+                            </tr>
+                        </thead>
+                        <tbody className="font-mono">
+                            {benchmarks.map(entry => (
+                                <tr key={entry.loadedAt} className={entry.label === describeSpec(spec) ? "text-cyan-300" : "text-gray-300"}>
+                                    <td className="font-sans truncate max-w-[120px]" title={entry.label}>{entry.label}</td>
+                                    <td className="text-right">{entry.loadMs} ms</td>
+                                    <td className="text-right">{entry.numTensors}</td>
+                                    <td className="text-right">{formatBytes(entry.numBytes)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Network, Play, Square } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { HEADS, trainDenseHead } from '../lib/denseHead';
+import { sampleSignature } from '../lib/trainingData';
+import { cn } from '../lib/utils';
+
+const LEARNING_RATES = [0.0001, 0.0005, 0.001, 0.005, 0.01];
+const BATCH_SIZES = [8, 16, 32, 64];
+const HIDDEN_UNITS = [0, 32, 64, 128];
+
+// Picks the classifier head and trains the neural one with a live loss/accuracy chart
+export default function NeuralHeadPanel({ classifier, classes, head, neuralHead, config, onConfigChange, onHeadChange, onTrained }) {
+    const [history, setHistory] = useState([]); // Per-epoch stats of the current/last run
+    const [training, setTraining] = useState(false);
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    const update = (changes) => onConfigChange({ ...config, ...changes });
+    const signature = sampleSignature(classes);
+    const stale = neuralHead && neuralHead.signature !== signature;
+
+    const train = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setError(null);
+        setHistory([]);
+        setTraining(true);
+        try {
+            const trained = await trainDenseHead(classifier, config, {
+                signature,
+                signal: controller.signal,
+                onEpoch: (stats) => setHistory(prev => [...prev, stats])
+            });
+            onTrained(trained);
+        } catch (err) {
+            if (err.name !== 'AbortError') setError(err.message);
+        } finally {
+            abortRef.current = null;
+            setTraining(false);
+        }
+    };
+
+    const chartData = history.map(({ epoch, loss, accuracy, valLoss, valAccuracy }) => ({
+        epoch,
+        loss,
+        valLoss,
+        accuracy: accuracy * 100,
+        valAccuracy: valAccuracy === undefined ? undefined : valAccuracy * 100
+    }));
+    const hasValidation = history.some(stats => stats.valLoss !== undefined);
+
+    return (
+        <div className="glass-panel p-4 rounded-xl space-y-3">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                    <Network className="w-4 h-4 text-purple-400" />
+                    <span className="text-sm font-bold text-white">Classifier Head</span>
+                </div>
+                <div className="flex gap-1">
+                    {HEADS.map(option => (
+                        <button
+                            key={option.id}
+                            onClick={() => onHeadChange(option.id)}
+                            title={option.hint}
+                            className={cn(
+                                "px-3 py-1 rounded-lg text-xs font-bold border transition-colors",
+                                head === option.id
+                                    ? "bg-purple-500/20 border-purple-400/50 text-white"
+                                    : "border-white/10 text-gray-400 hover:bg-white/10"
+                            )}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {head === 'neural' && (
+                <>
+                    <div className="grid grid-cols-4 gap-2 text-xs">
+                        <label className="space-y-1">
+                            <span className="text-gray-400">Epochs</span>
+                            <input
+                                type="number"
+                                min="1" max="500"
+                                value={config.epochs}
+                                onChange={(e) => update({ epochs: Math.max(1, Math.min(500, Number(e.target.value) || 1)) })}
+                                disabled={training}
+                                className="w-full bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-white font-mono"
+                            />
+                        </label>
+                        <label className="space-y-1">
+                            <span className="text-gray-400">Learn rate</span>
+                            <select
+                                value={config.learningRate}
+                                onChange={(e) => update({ learningRate: Number(e.target.value) })}
+                                disabled={training}
+                                className="w-full bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-white font-mono"
+                            >
+                                {LEARNING_RATES.map(rate => <option key={rate} value={rate}>{rate}</option>)}
+                            </select>
+                        </label>
+                        <label className="space-y-1">
+                            <span className="text-gray-400">Batch</span>
+                            <select
+                                value={config.batchSize}
+                                onChange={(e) => update({ batchSize: Number(e.target.value) })}
+                                disabled={training}
+                                className="w-full bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-white font-mono"
+                            >
+                                {BATCH_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                            </select>
+                        </label>
+                        <label className="space-y-1">
+                            <span className="text-gray-400">Hidden</span>
+                            <select
+                                value={config.hiddenUnits}
+                                onChange={(e) => update({ hiddenUnits: Number(e.target.value) })}
+                                disabled={training}
+                                className="w-full bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-white font-mono"
+                            >
+                                {HIDDEN_UNITS.map(units => <option key={units} value={units}>{units || 'none'}</option>)}
+                            </select>
+                        </label>
+                    </div>
+
+                    <div className="flex items-center justify-between gap-2 text-xs">
+                        <span className="text-gray-400">
+                            {neuralHead ? (
+                                <>
+                                    Trained {new Date(neuralHead.trainedAt).toLocaleTimeString()}
+                                    {neuralHead.accuracy !== null && <> · <span className="font-mono text-white">{Math.round(neuralHead.accuracy * 100)}%</span> acc</>}
+                                    {stale && <span className="text-amber-300/80"> · samples changed, retrain</span>}
+                                </>
+                            ) : (
+                                <span className="text-amber-300/80">Not trained yet, predictions use the KNN</span>
+                            )}
+                        </span>
+                        {training ? (
+                            <button
+                                onClick={() => abortRef.current?.abort()}
+                                className="px-3 py-1.5 rounded-lg font-bold bg-red-500/10 text-red-400 border border-red-500/20 hover:bg-red-500/20 flex items-center gap-1.5"
+                            >
+                                <Square className="w-3 h-3" /> {history.length}/{config.epochs}
+                            </button>
+                        ) : (
+                            <button
+                                onClick={train}
+                                disabled={!classifier}
+                                className="px-3 py-1.5 rounded-lg font-bold bg-purple-600 hover:bg-purple-500 text-white flex items-center gap-1.5 disabled:opacity-30"
+                            >
+                                <Play className="w-3 h-3" /> Train Head
+                            </button>
+                        )}
+                    </div>
+                    {error && <p className="text-xs text-red-400">{error}</p>}
+
+                    {chartData.length > 0 && (
+                        <div className="h-32">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <LineChart data={chartData} margin={{ top: 5, right: 0, left: -20, bottom: 0 }}>
+                                    <XAxis dataKey="epoch" stroke="#6b7280" fontSize={10} />
+                                    <YAxis yAxisId="loss" stroke="#6b7280" fontSize={10} />
+                                    <YAxis yAxisId="accuracy" orientation="right" stroke="#6b7280" fontSize={10} domain={[0, 100]} unit="%" />
+                                    <Tooltip
+                                        contentStyle={{ background: '#111827', border: '1px solid rgba(255,255,255,0.1)', fontSize: 12 }}
+                                        formatter={(value, name) => [name.includes('acc') ? `${value.toFixed(1)}%` : value.toFixed(3), name]}
+                                        labelFormatter={(value) => `Epoch ${value}`}
+                                    />
+                                    <Line yAxisId="loss" type="monotone" dataKey="loss" name="loss" stroke="#f87171" dot={false} isAnimationActive={false} />
+                                    <Line yAxisId="accuracy" type="monotone" dataKey="accuracy" name="acc" stroke="#34d399" dot={false} isAnimationActive={false} />
+                                    {hasValidation && (
+                                        <Line yAxisId="loss" type="monotone" dataKey="valLoss" name="val loss" stroke="#f87171" strokeDasharray="4 3" dot={false} isAnimationActive={false} />
+                                    )}
+                                    {hasValidation && (
+                                        <Line yAxisId="accuracy" type="monotone" dataKey="valAccuracy" name="val acc" stroke="#34d399" strokeDasharray="4 3" dot={false} isAnimationActive={false} />
+                                    )}
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
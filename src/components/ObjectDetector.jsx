@@ -1,64 +1,326 @@
-import React, { useRef, useState, useEffect, useCallback } from 'react';
-import Webcam from 'react-webcam';
+import React, { useRef, useState, useEffect, useCallback, useMemo } from 'react';
 import * as tf from '@tensorflow/tfjs';
-import * as cocoSsd from '@tensorflow-models/coco-ssd';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useDropzone } from 'react-dropzone';
-import { Upload, X, Play, Pause, Settings, Activity, Aperture, Image as ImageIcon, Video } from 'lucide-react';
+import { Upload, X, Play, Pause, Settings, Activity, Aperture, Image as ImageIcon, Video, FolderOpen, Camera, Circle, Square, LayoutGrid } from 'lucide-react';
 import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LabelList } from 'recharts';
 import { cn } from '../lib/utils';
+import { detectCandidates } from '../lib/detection';
+import { postprocessDetections, minimumScore } from '../lib/postprocess';
+import { COCO_CLASS_NAMES } from '../lib/cocoClasses';
+import { createTracker } from '../lib/tracker';
+import { createRegionCounter, createRegionId } from '../lib/analytics';
+import { getDisplayTransform, getSourceSize } from '../lib/viewport';
+import { loadDetector, DEFAULT_DETECTOR_SPEC } from '../lib/detectors';
+import { loadWorkerDetector, isWorkerInferenceSupported } from '../lib/inferenceWorker';
+import { profiler } from '../lib/profiler';
+import { createInferenceScheduler, runScheduledLoop, rescaleDetections, DEFAULT_SCHEDULE } from '../lib/scheduler';
+import { createRuleEngine, loadRules, saveRules, loadWebhookUrl, saveWebhookUrl } from '../lib/rules';
+import { addEvent, listEvents, deleteEvent, clearEvents, captureSnapshot, attachClip, MAX_EVENTS } from '../lib/eventLog';
+import { runRuleActions } from '../lib/alerts';
+import { captureAnnotatedPng, createClipRecorder, isRecordingSupported } from '../lib/compositor';
+import { downloadBlob } from '../lib/download';
+import { loadCameraSettings, saveCameraSettings, watchCameras } from '../lib/cameras';
+import { useClassifier } from '../lib/classifierContext';
+import { createDetectionClassifier, DEFAULT_PIPELINE } from '../lib/pipeline';
+import { analyseVideo, buildTimeline, findFrameAt } from '../lib/videoAnalysis';
+import { framesToImages } from '../lib/exporters';
+import { processImageBatch, revokeBatchThumbnails, isImageFile, isFromFolder, displayPath } from '../lib/batch';
+import RegionOverlay from './RegionOverlay';
+import CountingPanel from './CountingPanel';
+import VideoAnalysisPanel from './VideoAnalysisPanel';
+import VideoTimeline from './VideoTimeline';
+import ExportPanel from './ExportPanel';
+import BatchGallery from './BatchGallery';
+import ModelPicker from './ModelPicker';
+import InferenceToggle from './InferenceToggle';
+import SchedulerControls from './SchedulerControls';
+import RulesPanel from './RulesPanel';
+import EventLog from './EventLog';
+import ClassThresholdEditor from './ClassThresholdEditor';
+import CameraFeed from './CameraFeed';
+import CameraControls from './CameraControls';
+import CameraGrid from './CameraGrid';
+import PipelinePanel from './PipelinePanel';
+
+const IDLE_ANALYSIS = { status: 'idle', progress: { done: 0, total: 0 }, result: null, error: null };
+const IDLE_BATCH = { status: 'idle', items: [], total: 0 };
+const AUTO_RECORD_POST_ROLL_MS = 8000; // Keep recording this long after the last alert
+const AUTO_RECORD_MAX_MS = 60000;
+
+function timestampForFile(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
 
 export default function ObjectDetector() {
     // State
     const [model, setModel] = useState(null);
     const [loading, setLoading] = useState(true);
-    const [mode, setMode] = useState('live'); // 'live' | 'upload'
-    const [mediaFile, setMediaFile] = useState(null); // { type: 'image' | 'video', url: string }
+    const [modelSpec, setModelSpec] = useState(DEFAULT_DETECTOR_SPEC);
+    const [modelError, setModelError] = useState(null);
+    const [benchmarks, setBenchmarks] = useState([]); // Load time / memory per loaded model
+    const [classNames, setClassNames] = useState(COCO_CLASS_NAMES); // Labels the loaded detector can emit
+    const [mode, setMode] = useState('live'); // 'live' | 'upload' | 'batch' | 'grid'
+    const [mediaFile, setMediaFile] = useState(null); // { type: 'image' | 'video', url: string, name: string }
+    const [dropError, setDropError] = useState(null); // Drop or folder with nothing we can open
     const [predictions, setPredictions] = useState([]);
     const [fps, setFps] = useState(0);
+    const [droppedFps, setDroppedFps] = useState(0); // Frames skipped per second while the worker was busy
+    const [inferencePath, setInferencePath] = useState(() => (isWorkerInferenceSupported() ? 'worker' : 'main'));
+    const [workerNotice, setWorkerNotice] = useState(null);
+    const [schedule, setSchedule] = useState(DEFAULT_SCHEDULE); // Target FPS / adaptive / on-change
+    const [scheduleStatus, setScheduleStatus] = useState(null);
+    const [rules, setRules] = useState(loadRules); // Alert rules (persisted in localStorage)
+    const [webhookUrl, setWebhookUrl] = useState(loadWebhookUrl);
+    const [events, setEvents] = useState([]); // Rule firings, newest first (persisted in IndexedDB)
+    const [recording, setRecording] = useState(null); // { startedAt, auto } while a clip is being recorded
+    const [autoRecord, setAutoRecord] = useState(false); // Record a clip whenever an alert rule fires
+    const [camera, setCamera] = useState(() => loadCameraSettings('detect')); // Device, resolution, orientation
+    const [cameras, setCameras] = useState([]); // Available video inputs
+    const [pipeline, setPipeline] = useState(DEFAULT_PIPELINE); // Classify detection crops with the trained classifier
     const [isPaused, setIsPaused] = useState(false);
+    const [regions, setRegions] = useState([]); // Counting lines/zones (normalized coords)
+    const [regionCounts, setRegionCounts] = useState({});
+    const [drawTool, setDrawTool] = useState(null); // 'line' | 'zone' | null
+    const [analysis, setAnalysis] = useState(IDLE_ANALYSIS); // Offline video analysis run
+    const [sampleRate, setSampleRate] = useState(5);
+    const [videoTime, setVideoTime] = useState(0);
+    const [batch, setBatch] = useState(IDLE_BATCH); // Multi-image queue results
 
     // Settings
     const [settings, setSettings] = useState({
         minConfidence: 0.5,
         maxObjects: 10,
-        iouThreshold: 0.3
+        iouThreshold: 0.3,
+        softNms: false,
+        classThresholds: {}, // { [className]: minConfidence }
+        tracking: true
     });
 
+    // Custom Training classifier (shared through ClassifierProvider)
+    const {
+        net: trainedNet, classifier: trainedClassifier, classes: trainedClasses,
+        ready: classifierReady, ensureLoaded: ensureClassifierLoaded, project: trainedProject, k: trainedK,
+        head: trainedHead, neuralHead: trainedNeuralHead
+    } = useClassifier();
+
     // Refs
-    const webcamRef = useRef(null);
+    const webcamRef = useRef(null); // CameraFeed handle: { video, source, ready }
     const mediaRef = useRef(null); // For uploaded video/image
-    const requestRef = useRef();
-    const fpsRef = useRef({ lastFrameTime: 0, lastFpsTime: 0, frameCount: 0 });
+    const modelRef = useRef(null); // Currently loaded detector, for disposal
+    const fpsRef = useRef({ lastFpsTime: 0, frameCount: 0, droppedCount: 0 });
+    const schedulerRef = useRef(null);
+    if (schedulerRef.current === null) schedulerRef.current = createInferenceScheduler(DEFAULT_SCHEDULE);
+    const trackerRef = useRef(null);
+    if (trackerRef.current === null) trackerRef.current = createTracker();
+    const counterRef = useRef(null);
+    if (counterRef.current === null) counterRef.current = createRegionCounter();
+    const ruleEngineRef = useRef(null);
+    if (ruleEngineRef.current === null) ruleEngineRef.current = createRuleEngine();
+    const pipelineRef = useRef(null);
+    if (pipelineRef.current === null) pipelineRef.current = createDetectionClassifier();
+    const recorderRef = useRef(null);
+    const autoRecordRef = useRef({ eventIds: [], stopTimer: null }); // Events covered by the current auto clip
+    const overlayRef = useRef({ predictions: [], regions: [], mode: 'live' }); // Latest overlay for the recorder
+    const analysisAbortRef = useRef(null);
+    const batchAbortRef = useRef(null);
+    const batchItemsRef = useRef([]); // Mirrors batch.items for thumbnail cleanup
+    const folderInputRef = useRef(null);
 
-    // Load Model
+    // Load Model (re-runs whenever another detector or inference path is picked)
     useEffect(() => {
+        let cancelled = false;
+
         async function loadModel() {
-            // Load COCO-SSD
-            const loadedModel = await cocoSsd.load();
-            setModel(loadedModel);
+            try {
+                let loaded;
+                if (inferencePath === 'worker') {
+                    loaded = await loadWorkerDetector(modelSpec);
+                } else {
+                    // Taught detectors reuse the Custom Training MobileNet on this thread
+                    const net = modelSpec.kind === 'trained' ? await ensureClassifierLoaded() : undefined;
+                    loaded = await loadDetector(modelSpec, { net });
+                }
+                const { detector, classNames, stats } = loaded;
+                if (cancelled) {
+                    detector.dispose();
+                    return;
+                }
+                // Free the previous detector's weights only once the new one is ready
+                modelRef.current?.dispose();
+                modelRef.current = detector;
+                trackerRef.current.reset();
+                setModel(detector);
+                setClassNames(classNames);
+                setModelError(null);
+                setBenchmarks(prev => [...prev.filter(b => b.label !== stats.label), stats]);
+            } catch (err) {
+                if (cancelled) return;
+                if (inferencePath === 'worker') {
+                    // e.g. no WebGL inside workers: retry on the main thread
+                    console.warn("Worker inference unavailable:", err);
+                    setWorkerNotice(`Worker failed (${err.message}), running on the main thread.`);
+                    setInferencePath('main');
+                    return;
+                }
+                console.error("Model load error:", err);
+                setModelError(err.message);
+            }
             setLoading(false);
         }
         tf.ready().then(loadModel);
+        return () => { cancelled = true; };
+    }, [modelSpec, inferencePath, ensureClassifierLoaded]);
+
+    useEffect(() => () => {
+        modelRef.current?.dispose();
+        modelRef.current = null;
+    }, []);
+
+    const switchModel = (spec) => {
+        setLoading(true);
+        setModelSpec(spec);
+    };
+
+    const switchInferencePath = (path) => {
+        if (path === inferencePath) return;
+        setLoading(true);
+        setWorkerNotice(null);
+        setInferencePath(path);
+    };
+
+    // Alert Rules & Event Log
+    useEffect(() => {
+        listEvents()
+            .then(setEvents)
+            .catch(err => console.warn('Event log unavailable:', err));
     }, []);
 
-    // Detection Loop
-    const detect = useCallback(async () => {
-        if (isPaused || !model) return;
+    useEffect(() => saveRules(rules), [rules]);
+    useEffect(() => saveWebhookUrl(webhookUrl), [webhookUrl]);
+    useEffect(() => saveCameraSettings('detect', camera), [camera]);
 
-        // FPS Cap: Max 24 FPS (~41ms per frame)
-        const now = performance.now();
-        const timeSinceLastFrame = now - fpsRef.current.lastFrameTime;
-        if (timeSinceLastFrame < 41) { // 1000ms / 24fps ≈ 41.6ms
-            requestRef.current = requestAnimationFrame(detect);
+    // MobileNet is only loaded once pipeline mode is switched on
+    useEffect(() => {
+        if (pipeline.enabled) ensureClassifierLoaded();
+    }, [pipeline.enabled, ensureClassifierLoaded]);
+    useEffect(() => watchCameras(setCameras), []);
+
+    // Snapshot & Clip Recording
+    useEffect(() => {
+        overlayRef.current = { predictions, regions, mode };
+    }, [predictions, regions, mode]);
+
+    const viewportSource = (currentMode) => (
+        currentMode === 'live' ? webcamRef.current?.source ?? null : mediaRef.current
+    );
+
+    const takeSnapshot = async () => {
+        const source = viewportSource(mode);
+        if (!source) return;
+        try {
+            const png = await captureAnnotatedPng(source, predictions, regions);
+            downloadBlob(png, `neuralvision-${timestampForFile()}.png`);
+        } catch (err) {
+            console.warn('Snapshot failed:', err);
+        }
+    };
+
+    const startRecording = useCallback((auto = false) => {
+        if (recorderRef.current || !isRecordingSupported()) return;
+        const recorder = createClipRecorder(() => {
+            const { mode: currentMode, ...overlay } = overlayRef.current;
+            const source = viewportSource(currentMode);
+            return source ? { source, ...overlay } : null;
+        });
+        recorder.start();
+        recorderRef.current = recorder;
+        setRecording({ startedAt: recorder.startedAt, auto });
+    }, []);
+
+    const stopRecording = useCallback(async () => {
+        const recorder = recorderRef.current;
+        if (!recorder) return;
+        recorderRef.current = null;
+        const { eventIds, stopTimer } = autoRecordRef.current;
+        clearTimeout(stopTimer);
+        autoRecordRef.current = { eventIds: [], stopTimer: null };
+        setRecording(null);
+
+        const clip = await recorder.stop();
+        if (!clip) return;
+        if (eventIds.length === 0) {
+            downloadBlob(clip, `neuralvision-${timestampForFile(new Date(recorder.startedAt))}.webm`);
             return;
         }
-        fpsRef.current.lastFrameTime = now;
+        // Auto clips are kept with the events that triggered them
+        setEvents(prev => prev.map(event => (eventIds.includes(event.id) ? { ...event, clip } : event)));
+        await Promise.all(eventIds.map(id => attachClip(id, clip)))
+            .catch(err => console.warn('Failed to store clip:', err));
+    }, []);
+
+    useEffect(() => () => {
+        clearTimeout(autoRecordRef.current.stopTimer);
+        recorderRef.current?.stop();
+    }, []);
+
+    // Starts at the alert (MediaRecorder has no pre-roll) and keeps going while alerts continue
+    const extendAutoRecording = useCallback((eventId) => {
+        if (recorderRef.current && autoRecordRef.current.eventIds.length === 0) return; // Manual recording in progress
+        if (!recorderRef.current) startRecording(true);
+        if (!recorderRef.current) return;
+
+        const auto = autoRecordRef.current;
+        auto.eventIds.push(eventId);
+        clearTimeout(auto.stopTimer);
+        const remaining = AUTO_RECORD_MAX_MS - (Date.now() - recorderRef.current.startedAt);
+        auto.stopTimer = setTimeout(stopRecording, Math.max(0, Math.min(AUTO_RECORD_POST_ROLL_MS, remaining)));
+    }, [startRecording, stopRecording]);
+
+    // The snapshot is drawn from the live source once the frame's detections are in, not
+    // from the frame they were computed on: with the worker detector the video keeps
+    // playing during inference, so it can be a few frames later than the boxes.
+    const recordFiring = useCallback(async ({ rule, message, detections }, source) => {
+        const snapshot = await captureSnapshot(source, detections);
+        let event = {
+            time: Date.now(),
+            ruleId: rule.id,
+            ruleName: rule.name || message,
+            message,
+            classes: [...new Set(detections.map(d => d.class))],
+            snapshot
+        };
+        try {
+            event = await addEvent(event);
+        } catch (err) {
+            console.warn('Failed to store event:', err);
+            event = { ...event, id: `unsaved-${event.time}` };
+        }
+        setEvents(prev => [event, ...prev].slice(0, MAX_EVENTS));
+        runRuleActions(rule, event, webhookUrl);
+        if (autoRecord) extendAutoRecording(event.id);
+    }, [webhookUrl, autoRecord, extendAutoRecording]);
+
+    const removeEvent = (id) => {
+        setEvents(prev => prev.filter(event => event.id !== id));
+        deleteEvent(id).catch(err => console.warn('Failed to delete event:', err));
+    };
+
+    const clearEventLog = () => {
+        setEvents([]);
+        clearEvents().catch(err => console.warn('Failed to clear events:', err));
+    };
+
+    // Detection Loop (paced by the shared scheduler; `oneShot` bypasses it for still images)
+    const detectFrame = useCallback(async (oneShot = false) => {
+        if (!model) return;
+        const now = performance.now();
+        const scheduler = schedulerRef.current;
 
         let videoEl = null;
 
-        if (mode === 'live' && webcamRef.current?.video?.readyState === 4) {
-            videoEl = webcamRef.current.video;
+        if (mode === 'live' && webcamRef.current?.ready) {
+            videoEl = webcamRef.current.source;
         } else if (mode === 'upload' && mediaRef.current && mediaFile?.type === 'video' && !mediaRef.current.paused) {
             if (mediaRef.current.readyState >= 2) {
                 videoEl = mediaRef.current;
@@ -67,50 +329,248 @@ export default function ObjectDetector() {
             videoEl = mediaRef.current;
         }
 
-        if (videoEl) {
-            // Calculate actual FPS based on successful detections
-            fpsRef.current.frameCount++;
-            if (now - fpsRef.current.lastFpsTime >= 1000) {
-                setFps(fpsRef.current.frameCount);
-                fpsRef.current.frameCount = 0;
-                fpsRef.current.lastFpsTime = now;
-            }
+        if (now - fpsRef.current.lastFpsTime >= 1000) {
+            setFps(fpsRef.current.frameCount);
+            setDroppedFps(fpsRef.current.droppedCount);
+            setScheduleStatus(scheduler.getStatus());
+            fpsRef.current.frameCount = 0;
+            fpsRef.current.droppedCount = 0;
+            fpsRef.current.lastFpsTime = now;
+        }
 
+        if (!videoEl) return;
+        if (model.busy) {
+            // Backpressure: the worker is still on the previous frame, drop this one
+            fpsRef.current.droppedCount++;
+            return;
+        }
+        // Static scene in on-change mode: keep the previous boxes
+        if (!oneShot && !scheduler.hasChanged(videoEl)) return;
+
+        const source = videoEl;
+        const { input, scale } = oneShot ? { input: source, scale: 1 } : scheduler.prepare(source);
+        const frame = (async () => {
             try {
-                const results = await model.detect(videoEl, settings.maxObjects, settings.minConfidence);
-                setPredictions(results);
+                const started = performance.now();
+                const candidates = rescaleDetections(await detectCandidates(model, input, minimumScore(settings)), scale);
+                const latency = performance.now() - started;
+                profiler.record('detect', latency);
+                scheduler.record(latency);
+                const detections = postprocessDetections(candidates, settings);
+                const tracked = settings.tracking ? trackerRef.current.update(detections) : detections;
+                const labelled = pipeline.enabled && classifierReady
+                    ? await pipelineRef.current.classify(
+                        {
+                            net: trainedNet, classifier: trainedClassifier, classes: trainedClasses,
+                            k: trainedK, head: trainedHead, neuralHead: trainedNeuralHead
+                        },
+                        pipeline, source, tracked
+                    )
+                    : tracked;
+                setPredictions(labelled);
+                // Calculate actual FPS based on successful detections
+                fpsRef.current.frameCount++;
+
+                let regionEvents = [];
+                if (settings.tracking && regions.length > 0) {
+                    regionEvents = counterRef.current.update(tracked, regions, getSourceSize(source));
+                    setRegionCounts(counterRef.current.getSnapshot(regions));
+                }
+
+                ruleEngineRef.current
+                    .evaluate(rules, tracked, regionEvents, Date.now(), regions)
+                    .forEach(firing => recordFiring(firing, source));
             } catch (err) {
-                console.error("Detection error:", err);
+                if (err.name !== 'AbortError') console.error("Detection error:", err);
             }
-        }
-
-        if (mode === 'live' || (mode === 'upload' && mediaFile?.type === 'video')) {
-            requestRef.current = requestAnimationFrame(detect);
-        }
-    }, [model, mode, mediaFile, isPaused, settings]);
+        })();
+        // Worker frames resolve in the background; main-thread inference blocks the loop
+        if (!model.remote) await frame;
+    }, [
+        model, mode, mediaFile, settings, regions, rules, recordFiring,
+        pipeline, classifierReady, trainedNet, trainedClassifier, trainedClasses, trainedK, trainedHead, trainedNeuralHead
+    ]);
 
     // Trigger detection when ready
     useEffect(() => {
-        if (mode === 'upload' && mediaFile?.type === 'image' && model) {
+        if (!model) return;
+        if (mode === 'upload' && mediaFile?.type === 'image') {
             // Run once for image
-            setTimeout(detect, 500); // Small delay for render
-        } else if (!isPaused) {
-            requestRef.current = requestAnimationFrame(detect);
+            const timer = setTimeout(() => detectFrame(true), 500); // Small delay for render
+            return () => clearTimeout(timer);
+        }
+        if (isPaused) return;
+        return runScheduledLoop(schedulerRef.current, detectFrame);
+    }, [detectFrame, mode, mediaFile, isPaused, model]);
+
+    useEffect(() => {
+        schedulerRef.current.configure(schedule);
+    }, [schedule]);
+
+    // Drops current boxes and forgets every track (new source)
+    const resetDetections = useCallback(() => {
+        setPredictions([]);
+        trackerRef.current.reset();
+        counterRef.current.clearTracks();
+        ruleEngineRef.current.reset();
+        pipelineRef.current.reset();
+    }, []);
+
+    // Offline Video Analysis
+    const cancelAnalysis = useCallback(() => {
+        analysisAbortRef.current?.abort();
+        analysisAbortRef.current = null;
+    }, []);
+
+    const startAnalysis = async () => {
+        if (!model || mediaFile?.type !== 'video') return;
+
+        // Live playback detection would compete with the batch run
+        mediaRef.current?.pause();
+        cancelAnalysis();
+        const controller = new AbortController();
+        analysisAbortRef.current = controller;
+        setAnalysis({ ...IDLE_ANALYSIS, status: 'running' });
+
+        try {
+            const result = await analyseVideo({
+                detector: model,
+                url: mediaFile.url,
+                sampleRate,
+                settings,
+                signal: controller.signal,
+                onProgress: (done, total) => setAnalysis(prev => ({ ...prev, progress: { done, total } }))
+            });
+            setAnalysis(prev => ({ ...prev, status: 'done', result }));
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                setAnalysis(prev => ({ ...prev, status: 'cancelled' }));
+            } else {
+                console.error("Video analysis error:", err);
+                setAnalysis(prev => ({ ...prev, status: 'error', error: err.message }));
+            }
+        } finally {
+            if (analysisAbortRef.current === controller) analysisAbortRef.current = null;
         }
-        return () => cancelAnimationFrame(requestRef.current);
-    }, [detect, mode, mediaFile, isPaused, model]);
+    };
+
+    const timeline = useMemo(() => analysis.result && buildTimeline(analysis.result), [analysis.result]);
+    const analysedFrames = useMemo(
+        () => analysis.result && framesToImages(analysis.result, mediaFile?.name || 'video'),
+        [analysis.result, mediaFile]
+    );
+
+    // Jump to an analysed frame and show its boxes
+    const seekToAnalysedTime = (time) => {
+        const video = mediaRef.current;
+        if (!video || !analysis.result) return;
+        video.pause();
+        video.currentTime = time;
+        setVideoTime(time);
+        const frame = findFrameAt(analysis.result.frames, time);
+        setPredictions(frame?.predictions ?? []);
+    };
+
+    // Counting Regions
+    const addRegion = useCallback(({ type, points }) => {
+        setRegions(prev => {
+            const index = prev.filter(r => r.type === type).length + 1;
+            return [...prev, { id: createRegionId(), type, points, name: `${type === 'line' ? 'Line' : 'Zone'} ${index}` }];
+        });
+        setDrawTool(null);
+    }, []);
+
+    const cancelDrawing = useCallback(() => setDrawTool(null), []);
+
+    const deleteRegion = (id) => {
+        const remaining = regions.filter(r => r.id !== id);
+        setRegions(remaining);
+        setRegionCounts(counterRef.current.getSnapshot(remaining));
+    };
+
+    const resetCounts = () => {
+        counterRef.current.reset();
+        setRegionCounts(counterRef.current.getSnapshot(regions));
+    };
+
+    // Batch Processing
+    const cancelBatch = useCallback(() => {
+        batchAbortRef.current?.abort();
+        batchAbortRef.current = null;
+    }, []);
+
+    const clearBatch = useCallback(() => {
+        cancelBatch();
+        revokeBatchThumbnails(batchItemsRef.current);
+        batchItemsRef.current = [];
+        setBatch(IDLE_BATCH);
+    }, [cancelBatch]);
+
+    useEffect(() => () => {
+        batchAbortRef.current?.abort();
+        revokeBatchThumbnails(batchItemsRef.current);
+    }, []);
+
+    const startBatch = useCallback(async (files) => {
+        if (!model) return;
+
+        clearBatch();
+        const sorted = [...files].sort((a, b) => displayPath(a).localeCompare(displayPath(b), undefined, { numeric: true }));
+        const controller = new AbortController();
+        batchAbortRef.current = controller;
+        setMode('batch');
+        setBatch({ status: 'running', items: [], total: sorted.length });
+
+        try {
+            await processImageBatch({
+                files: sorted,
+                detector: model,
+                settings,
+                signal: controller.signal,
+                onResult: (item) => {
+                    batchItemsRef.current = [...batchItemsRef.current, item];
+                    setBatch(prev => ({ ...prev, items: batchItemsRef.current }));
+                }
+            });
+            setBatch(prev => ({ ...prev, status: 'done' }));
+        } catch (err) {
+            if (err.name !== 'AbortError') console.error("Batch error:", err);
+            setBatch(prev => ({ ...prev, status: 'cancelled' }));
+        } finally {
+            if (batchAbortRef.current === controller) batchAbortRef.current = null;
+        }
+    }, [model, settings, clearBatch]);
+
+    const closeBatch = () => {
+        clearBatch();
+        setMode('upload');
+    };
 
     // File Upload Handler
     const onDrop = useCallback(acceptedFiles => {
-        const file = acceptedFiles[0];
-        if (file) {
-            const isVideo = file.type.startsWith('video/');
-            const url = URL.createObjectURL(file);
-            setMediaFile({ type: isVideo ? 'video' : 'image', url });
-            setMode('upload');
-            setPredictions([]);
+        setDropError(null);
+        // Several files or a folder, even one holding a single image: run the image batch queue.
+        // A lone video from a folder still opens in the player.
+        const images = acceptedFiles.filter(isImageFile);
+        if (images.length > 0 && (acceptedFiles.length > 1 || images.some(isFromFolder))) {
+            startBatch(images);
+            return;
         }
-    }, []);
+
+        // Otherwise the single image, or the first video (several videos open the first one)
+        const file = images[0] ?? acceptedFiles.find(f => f.type.startsWith('video/'));
+        if (!file) {
+            setDropError('No images or videos in what was dropped.');
+            return;
+        }
+        const isVideo = file.type.startsWith('video/');
+        const url = URL.createObjectURL(file);
+        setMediaFile({ type: isVideo ? 'video' : 'image', url, name: file.name });
+        setMode('upload');
+        resetDetections();
+        cancelAnalysis();
+        setAnalysis(IDLE_ANALYSIS);
+    }, [resetDetections, cancelAnalysis, startBatch]);
 
     const { getRootProps, getInputProps, isDragActive } = useDropzone({ onDrop, accept: { 'image/*': [], 'video/*': [] } });
 
@@ -119,15 +579,31 @@ export default function ObjectDetector() {
         if (mediaFile?.url) URL.revokeObjectURL(mediaFile.url);
         setMediaFile(null);
         setMode('live');
-        setPredictions([]);
+        resetDetections();
+        cancelAnalysis();
+        setAnalysis(IDLE_ANALYSIS);
     };
 
+    // Source -> container mapping for overlays (webcam is cover-fitted, uploads are contain-fitted)
+    const displayElement = mode === 'live' ? webcamRef.current?.source : mediaRef.current;
+    const displayTransform = getDisplayTransform(displayElement, mode === 'live' ? 'cover' : 'contain');
+
+    // Exportable results: the uploaded image, every frame of a video analysis run, or the batch
+    let exportImages = analysedFrames;
+    if (mode === 'upload' && mediaFile?.type === 'image' && displayTransform) {
+        exportImages = [{ fileName: mediaFile.name, width: displayTransform.sourceWidth, height: displayTransform.sourceHeight, predictions }];
+    } else if (mode === 'batch') {
+        exportImages = batch.items
+            .filter(item => !item.error)
+            .map(item => ({ fileName: item.name, width: item.width, height: item.height, predictions: item.predictions }));
+    }
+
     return (
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
 
             {/* Main Viewport (2 Columns) */}
             <div className="lg:col-span-2 space-y-4">
-                <div className="relative rounded-2xl overflow-hidden bg-black/40 border border-white/10 shadow-2xl aspect-video group">
+                <div className={cn("relative rounded-2xl overflow-hidden bg-black/40 border border-white/10 shadow-2xl aspect-video group", (mode === 'batch' || mode === 'grid') && "hidden")}>
 
                     {loading && (
                         <div className="absolute inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm">
@@ -140,11 +616,11 @@ export default function ObjectDetector() {
 
                     {/* Mode: Live Webcam */}
                     {mode === 'live' && (
-                        <Webcam
+                        <CameraFeed
                             ref={webcamRef}
-                            muted={true}
+                            settings={camera}
+                            facingMode="environment"
                             className="absolute inset-0 w-full h-full object-cover"
-                            videoConstraints={{ facingMode: "environment" }}
                         />
                     )}
 
@@ -159,6 +635,7 @@ export default function ObjectDetector() {
                                 autoPlay
                                 muted
                                 onPlay={() => setIsPaused(false)}
+                                onTimeUpdate={(e) => setVideoTime(e.currentTarget.currentTime)}
                             />
                         ) : (
                             <img
@@ -181,36 +658,39 @@ export default function ObjectDetector() {
                         >
                             <input {...getInputProps()} />
                             <Upload className="w-12 h-12 text-gray-400 mb-4" />
-                            <p className="text-gray-300 font-medium">Drag & drop video or image</p>
+                            <p className="text-gray-300 font-medium">Drag & drop a video, images or a folder</p>
                             <p className="text-gray-500 text-sm mt-2">Supports MP4, JPG, PNG</p>
+                            {dropError && <p className="text-red-400 text-sm mt-2">{dropError}</p>}
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    folderInputRef.current?.click();
+                                }}
+                                className="mt-4 px-3 py-1.5 text-xs font-bold text-blue-300 hover:bg-blue-500/10 border border-blue-500/20 rounded-lg transition-colors flex items-center gap-2"
+                            >
+                                <FolderOpen className="w-3 h-3" /> Select Folder
+                            </button>
+                            <input
+                                ref={folderInputRef}
+                                type="file"
+                                multiple
+                                webkitdirectory=""
+                                className="hidden"
+                                onClick={(e) => e.stopPropagation()}
+                                onChange={(e) => {
+                                    const images = Array.from(e.target.files).filter(isImageFile);
+                                    e.target.value = '';
+                                    if (images.length > 0) startBatch(images);
+                                    else setDropError('No images in the selected folder.');
+                                }}
+                            />
                         </div>
                     )}
 
                     {/* Bounding Boxes Overlay */}
                     <div className="absolute inset-0 pointer-events-none overflow-hidden">
-                        {predictions.map((pred, i) => {
-                            // Robust Scaling for object-cover
-                            const element = mode === 'live' ? webcamRef.current?.video : mediaRef.current;
-                            if (!element) return null;
-
-                            const videoWidth = element.videoWidth || element.naturalWidth;
-                            const videoHeight = element.videoHeight || element.naturalHeight;
-                            const container = element.parentElement;
-
-                            if (!videoWidth || !videoHeight || !container) return null;
-
-                            const { clientWidth: containerWidth, clientHeight: containerHeight } = container;
-
-                            // Calculate scaling for object-cover
-                            const scale = Math.max(containerWidth / videoWidth, containerHeight / videoHeight);
-
-                            // Dimensions of the video as displayed
-                            const displayedWidth = videoWidth * scale;
-                            const displayedHeight = videoHeight * scale;
-
-                            // Offsets (centering)
-                            const offsetX = (containerWidth - displayedWidth) / 2;
-                            const offsetY = (containerHeight - displayedHeight) / 2;
+                        {displayTransform && predictions.map((pred, i) => {
+                            const { scale, offsetX, offsetY, containerWidth, containerHeight } = displayTransform;
 
                             const rawStyle = {
                                 left: pred.bbox[0] * scale + offsetX,
@@ -238,10 +718,13 @@ export default function ObjectDetector() {
 
                             return (
                                 <motion.div
-                                    key={i}
+                                    key={pred.trackId ?? i}
                                     initial={{ opacity: 0, scale: 0.8 }}
-                                    animate={{ opacity: 1, scale: 1 }}
-                                    className="absolute border-2 border-blue-500 bg-blue-500/10 rounded-lg shadow-[0_0_10px_rgba(59,130,246,0.5)] flex flex-col p-1"
+                                    animate={{ opacity: pred.occluded ? 0.5 : 1, scale: 1 }}
+                                    className={cn(
+                                        "absolute border-2 border-blue-500 bg-blue-500/10 rounded-lg shadow-[0_0_10px_rgba(59,130,246,0.5)] flex flex-col p-1",
+                                        pred.occluded && "border-dashed"
+                                    )}
                                     style={clampedStyle}
                                 >
                                     <div
@@ -250,21 +733,52 @@ export default function ObjectDetector() {
                                             isNearTop ? "top-0.5 left-0.5" : "bottom-full left-0 mb-1"
                                         )}
                                     >
+                                        {pred.trackId !== undefined && <span className="text-blue-200">#{pred.trackId}</span>}
                                         <span>{pred.class.toUpperCase()}</span>
                                         <span className="text-blue-200">|</span>
                                         <span>{Math.round(pred.score * 100)}%</span>
+                                        {pred.subLabel && (
+                                            <span className="ml-0.5 pl-1.5 border-l border-blue-300/40 text-amber-200">
+                                                {pred.subLabel.name} {Math.round(pred.subLabel.confidence * 100)}%
+                                            </span>
+                                        )}
                                     </div>
                                 </motion.div>
                             );
                         })}
                     </div>
 
+                    {/* Counting Lines & Zones */}
+                    <RegionOverlay
+                        regions={regions}
+                        transform={displayTransform}
+                        tool={drawTool}
+                        onCreate={addRegion}
+                        onCancel={cancelDrawing}
+                    />
+
+                    {recording && (
+                        <div className="absolute top-4 left-4 z-20 flex items-center gap-2 bg-black/60 backdrop-blur-md border border-red-500/40 rounded-full px-3 py-1 text-xs font-bold text-red-400">
+                            <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+                            REC{recording.auto && ' · alert'}
+                        </div>
+                    )}
+
                     {/* HUD Overlay */}
                     <div className="absolute top-4 right-4 flex flex-col gap-2">
                         <div className="bg-black/50 backdrop-blur-md border border-white/10 rounded-lg p-3 text-right">
                             <div className="text-xs text-gray-400 uppercase tracking-widest">FPS</div>
                             <div className="text-2xl font-mono text-green-400 font-bold">{fps}</div>
+                            {inferencePath === 'worker' && (
+                                <div className="text-[10px] font-mono text-gray-400">{droppedFps} dropped/s</div>
+                            )}
                         </div>
+                        <InferenceToggle
+                            value={inferencePath}
+                            supported={isWorkerInferenceSupported()}
+                            notice={workerNotice}
+                            onChange={switchInferencePath}
+                        />
                         <div className="bg-black/50 backdrop-blur-md border border-white/10 rounded-lg p-3 text-right">
                             <div className="text-xs text-gray-400 uppercase tracking-widest">Object Count</div>
                             <div className="text-xl font-mono text-blue-400 font-bold">{predictions.length}</div>
@@ -276,7 +790,7 @@ export default function ObjectDetector() {
                         <button
                             onClick={() => {
                                 setMode(mode === 'live' ? 'upload' : 'live');
-                                setPredictions([]);
+                                resetDetections();
                             }}
                             className="p-2 hover:bg-white/20 rounded-full transition-colors"
                             title={mode === 'live' ? "Switch to Upload" : "Switch to Live"}
@@ -284,6 +798,17 @@ export default function ObjectDetector() {
                             {mode === 'live' ? <ImageIcon className="w-5 h-5 text-white" /> : <Video className="w-5 h-5 text-white" />}
                         </button>
 
+                        <button
+                            onClick={() => {
+                                setMode('grid');
+                                resetDetections();
+                            }}
+                            className="p-2 hover:bg-white/20 rounded-full transition-colors"
+                            title="Multi-camera grid"
+                        >
+                            <LayoutGrid className="w-5 h-5 text-white" />
+                        </button>
+
                         {mode === 'upload' && mediaFile && (
                             <button onClick={clearMedia} className="p-2 hover:bg-red-500/20 rounded-full text-red-400">
                                 <X className="w-5 h-5" />
@@ -298,8 +823,63 @@ export default function ObjectDetector() {
                         >
                             {isPaused ? <Play className="w-5 h-5 fill-current" /> : <Pause className="w-5 h-5 fill-current" />}
                         </button>
+
+                        <div className="w-px h-8 bg-white/20 mx-2" />
+
+                        <button
+                            onClick={takeSnapshot}
+                            disabled={mode === 'upload' && !mediaFile}
+                            className="p-2 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+                            title="Save annotated snapshot (PNG)"
+                        >
+                            <Camera className="w-5 h-5 text-white" />
+                        </button>
+                        <button
+                            onClick={() => (recording ? stopRecording() : startRecording())}
+                            disabled={!isRecordingSupported() || (!recording && (mode === 'upload' && mediaFile?.type !== 'video'))}
+                            className="p-2 hover:bg-white/20 rounded-full transition-colors disabled:opacity-30"
+                            title={recording ? 'Stop recording' : 'Record annotated clip (WebM)'}
+                        >
+                            {recording
+                                ? <Square className="w-5 h-5 text-red-400 fill-current" />
+                                : <Circle className="w-5 h-5 text-red-400 fill-current" />}
+                        </button>
                     </div>
                 </div>
+
+                {mode === 'grid' && (
+                    <CameraGrid
+                        model={model}
+                        settings={settings}
+                        schedule={schedule}
+                        cameras={cameras}
+                        onExit={() => setMode('live')}
+                    />
+                )}
+
+                {mode === 'batch' && (
+                    <BatchGallery
+                        items={batch.items}
+                        total={batch.total}
+                        status={batch.status}
+                        onCancel={cancelBatch}
+                        onClose={closeBatch}
+                    />
+                )}
+
+                {/* Offline analysis results */}
+                {timeline && (
+                    <VideoTimeline
+                        timeline={timeline}
+                        duration={analysis.result.duration}
+                        currentTime={videoTime}
+                        onSeek={seekToAnalysedTime}
+                    />
+                )}
+
+                {(rules.length > 0 || events.length > 0) && (
+                    <EventLog events={events} onDelete={removeEvent} onClear={clearEventLog} />
+                )}
             </div>
 
             {/* Sidebar Controls & Visualizations */}
@@ -316,7 +896,7 @@ export default function ObjectDetector() {
                             <AreaChart data={[
                                 { name: '', score: 0, label: '' },
                                 ...predictions.map((p, i) => ({
-                                    name: `${p.class} #${i + 1}`,
+                                    name: `${p.class} #${p.trackId ?? i + 1}`,
                                     score: p.score * 100,
                                     label: `${Math.round(p.score * 100)}%`
                                 })),
@@ -368,6 +948,51 @@ export default function ObjectDetector() {
                     </div>
                 </div>
 
+                <ModelPicker
+                    spec={modelSpec}
+                    loading={loading}
+                    error={modelError}
+                    benchmarks={benchmarks}
+                    onLoad={switchModel}
+                />
+
+                <SchedulerControls schedule={schedule} status={scheduleStatus} onChange={setSchedule} />
+
+                {mode === 'live' && (
+                    <CameraControls
+                        settings={camera}
+                        cameras={cameras}
+                        onChange={(next) => {
+                            setCamera(next);
+                            resetDetections();
+                        }}
+                    />
+                )}
+
+                {mode === 'upload' && mediaFile?.type === 'video' && (
+                    <VideoAnalysisPanel
+                        sampleRate={sampleRate}
+                        onSampleRateChange={setSampleRate}
+                        status={analysis.status}
+                        progress={analysis.progress}
+                        error={analysis.error}
+                        frameCount={analysis.result?.frames.length ?? 0}
+                        onStart={startAnalysis}
+                        onCancel={cancelAnalysis}
+                    />
+                )}
+
+                {mode === 'upload' && mediaFile && exportImages && (
+                    <ExportPanel
+                        images={exportImages}
+                        name={mediaFile.name}
+                        description={`NeuralVision detections for ${mediaFile.name}`}
+                    />
+                )}
+                {mode === 'batch' && exportImages.length > 0 && (
+                    <ExportPanel images={exportImages} name="batch" description="NeuralVision batch detections" />
+                )}
+
                 {/* Global Stats */}
                 <div className="glass-panel p-5 rounded-2xl">
                     <div className="flex items-center gap-2 mb-6">
@@ -402,10 +1027,87 @@ export default function ObjectDetector() {
                                 onChange={(e) => setSettings({ ...settings, iouThreshold: parseFloat(e.target.value) })}
                                 className="w-full h-1.5 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-blue-500"
                             />
+                            <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.softNms}
+                                    onChange={(e) => setSettings({ ...settings, softNms: e.target.checked })}
+                                    className="accent-blue-500"
+                                />
+                                Soft-NMS (decay overlapping scores instead of removing)
+                            </label>
                         </div>
+
+                        <div className="space-y-2">
+                            <div className="flex justify-between text-sm">
+                                <span className="text-gray-400">Max Objects</span>
+                                <span className="text-white font-mono">{settings.maxObjects}</span>
+                            </div>
+                            <input
+                                type="range"
+                                min="1" max="50" step="1"
+                                value={settings.maxObjects}
+                                onChange={(e) => setSettings({ ...settings, maxObjects: parseInt(e.target.value, 10) })}
+                                className="w-full h-1.5 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-purple-500"
+                            />
+                        </div>
+
+                        <label className="flex items-center gap-2 text-sm text-gray-400 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={settings.tracking}
+                                onChange={(e) => {
+                                    trackerRef.current.reset();
+                                    setSettings({ ...settings, tracking: e.target.checked });
+                                }}
+                                className="accent-emerald-500"
+                            />
+                            Track objects across frames (stable IDs)
+                        </label>
+
+                        <ClassThresholdEditor
+                            classNames={classNames}
+                            thresholds={settings.classThresholds}
+                            defaultThreshold={settings.minConfidence}
+                            onChange={(classThresholds) => setSettings({ ...settings, classThresholds })}
+                        />
                     </div>
                 </div>
 
+                <CountingPanel
+                    regions={regions}
+                    counts={regionCounts}
+                    tool={drawTool}
+                    trackingEnabled={settings.tracking}
+                    onToolChange={setDrawTool}
+                    onDelete={deleteRegion}
+                    onReset={resetCounts}
+                />
+
+                <PipelinePanel
+                    pipeline={pipeline}
+                    classNames={classNames}
+                    classifierReady={classifierReady}
+                    trainedClasses={trainedClasses}
+                    projectName={trainedProject?.name}
+                    onChange={(next) => {
+                        pipelineRef.current.reset();
+                        setPipeline(next);
+                    }}
+                />
+
+                <RulesPanel
+                    rules={rules}
+                    classNames={classNames}
+                    regions={regions}
+                    webhookUrl={webhookUrl}
+                    onRulesChange={setRules}
+                    onWebhookChange={setWebhookUrl}
+                    autoRecord={autoRecord}
+                    recordingSupported={isRecordingSupported()}
+                    onAutoRecordChange={setAutoRecord}
+                />
+
                 {/* Current Detections List */}
                 <div className="glass-panel p-5 rounded-2xl flex-1 max-h-[300px] overflow-y-auto custom-scrollbar">
                     <h3 className="font-bold text-white mb-4 flex items-center gap-2">
@@ -419,7 +1121,7 @@ export default function ObjectDetector() {
                             ) : (
                                 predictions.map((pred, i) => (
                                     <motion.div
-                                        key={`${pred.class}-${i}`}
+                                        key={pred.trackId ?? `${pred.class}-${i}`}
                                         initial={{ opacity: 0, x: 20 }}
                                         animate={{ opacity: 1, x: 0 }}
                                         exit={{ opacity: 0 }}
@@ -428,6 +1130,9 @@ export default function ObjectDetector() {
                                         <div className="flex items-center gap-3">
                                             <div className="w-2 h-2 rounded-full bg-blue-500 shadow-[0_0_8px_rgba(59,130,246,0.8)]" />
                                             <span className="capitalize text-sm font-medium">{pred.class}</span>
+                                            {pred.trackId !== undefined && (
+                                                <span className="font-mono text-[10px] text-gray-400 bg-white/10 px-1.5 rounded">#{pred.trackId}</span>
+                                            )}
                                         </div>
                                         <span className="font-mono text-xs text-blue-300">{(pred.score * 100).toFixed(1)}%</span>
                                     </motion.div>
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { Gauge, AlertTriangle, RotateCcw } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { BACKENDS, isBackendSupported, describeBackend } from '../lib/backends';
+import { profiler } from '../lib/profiler';
+import { cn } from '../lib/utils';
+
+const POLL_MS = 1000;
+
+function formatBytes(bytes = 0) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatMs(ms = 0) {
+    return `${ms.toFixed(ms < 10 ? 1 : 0)} ms`;
+}
+
+// TF.js backend picker plus live latency / tensor-memory profiler
+export default function PerformancePanel({ backend, switching, error, onBackendChange }) {
+    const [snapshot, setSnapshot] = useState(() => profiler.getSnapshot());
+    const [backendInfo, setBackendInfo] = useState(null);
+
+    useEffect(() => {
+        const poll = () => {
+            profiler.sampleMemory();
+            setSnapshot(profiler.getSnapshot());
+        };
+        poll();
+        const timer = setInterval(poll, POLL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        describeBackend().then(info => !cancelled && setBackendInfo(info));
+        return () => { cancelled = true; };
+    }, [backend]);
+
+    const latest = snapshot.memory.at(-1);
+    const hasRemote = latest?.remoteTensors !== undefined;
+    const chartData = snapshot.memory.map(sample => ({
+        time: new Date(sample.time).toLocaleTimeString(),
+        main: sample.numTensors,
+        worker: sample.remoteTensors
+    }));
+
+    const resetProfiler = () => {
+        profiler.reset();
+        setSnapshot(profiler.getSnapshot());
+    };
+
+    return (
+        <div className="glass-panel p-5 rounded-2xl grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Backend */}
+            <div className="space-y-3">
+                <div className="flex items-center gap-2">
+                    <Gauge className="w-5 h-5 text-purple-400" />
+                    <h3 className="font-bold text-white">Compute Backend</h3>
+                </div>
+                <div className="grid grid-cols-2 gap-1.5">
+                    {BACKENDS.map(option => {
+                        const supported = isBackendSupported(option.id);
+                        return (
+                            <button
+                                key={option.id}
+                                onClick={() => onBackendChange(option.id)}
+                                disabled={!supported || switching || backend === option.id}
+                                title={supported ? option.hint : 'Not available in this browser'}
+                                className={cn(
+                                    "px-2 py-2 rounded-lg text-xs font-bold border transition-colors disabled:cursor-default",
+                                    backend === option.id
+                                        ? "bg-purple-500/20 border-purple-400/50 text-white"
+                                        : "border-white/10 text-gray-400 hover:bg-white/10 disabled:opacity-30"
+                                )}
+                            >
+                                {option.label}
+                            </button>
+                        );
+                    })}
+                </div>
+                <div className="text-xs text-gray-400 space-y-0.5">
+                    <div>Active: <span className="font-mono text-white">{switching ? 'switching…' : backend}</span></div>
+                    {backendInfo?.name === 'wasm' && (
+                        <>
+                            <div>SIMD: <span className="font-mono text-white">{backendInfo.simd ? 'yes' : 'no'}</span></div>
+                            <div>
+                                Threads: <span className="font-mono text-white">{backendInfo.threads ? backendInfo.threadCount : 'no'}</span>
+                                {!backendInfo.crossOriginIsolated && <span className="text-gray-500"> (page not cross-origin isolated)</span>}
+                            </div>
+                        </>
+                    )}
+                </div>
+                {error && <p className="text-xs text-red-400">{error}</p>}
+            </div>
+
+            {/* Latency */}
+            <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                    <h3 className="font-bold text-white">Inference Latency</h3>
+                    <button onClick={resetProfiler} className="p-1 text-gray-400 hover:text-white hover:bg-white/10 rounded" title="Reset profiler">
+                        <RotateCcw className="w-3.5 h-3.5" />
+                    </button>
+                </div>
+                {snapshot.streams.length === 0 ? (
+                    <p className="text-xs text-gray-500">No inferences recorded yet.</p>
+                ) : (
+                    <table className="w-full text-xs">
+                        <thead>
+                            <tr className="text-gray-400">
+                                <th className="text-left font-normal">Stream</th>
+                                <th className="text-right font-normal">p50</th>
+                                <th className="text-right font-normal">p90</th>
+                                <th className="text-right font-normal">p99</th>
+                                <th className="text-right font-normal">n</th>
+                            </tr>
+                        </thead>
+                        <tbody className="font-mono text-gray-200">
+                            {snapshot.streams.map(stream => (
+                                <tr key={stream.name}>
+                                    <td className="font-sans capitalize">{stream.name}</td>
+                                    <td className="text-right">{formatMs(stream.p50)}</td>
+                                    <td className="text-right">{formatMs(stream.p90)}</td>
+                                    <td className="text-right text-orange-300">{formatMs(stream.p99)}</td>
+                                    <td className="text-right text-gray-500">{stream.count}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {/* Memory */}
+            <div className="space-y-2">
+                <h3 className="font-bold text-white">Tensor Memory</h3>
+                <div className="flex gap-4 text-xs text-gray-400">
+                    <span>Main: <span className="font-mono text-white">{latest?.numTensors ?? 0}</span> / {formatBytes(latest?.numBytes)}</span>
+                    {hasRemote && (
+                        <span>Worker: <span className="font-mono text-white">{latest.remoteTensors}</span> / {formatBytes(latest.remoteBytes)}</span>
+                    )}
+                </div>
+                <div className="h-24">
+                    <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={chartData}>
+                            <XAxis dataKey="time" hide />
+                            <YAxis width={40} stroke="#9ca3af" fontSize={10} domain={['auto', 'auto']} />
+                            <Tooltip
+                                contentStyle={{ backgroundColor: 'rgba(17, 24, 39, 0.9)', borderColor: 'rgba(255,255,255,0.1)', borderRadius: '0.5rem', fontSize: 12 }}
+                                itemStyle={{ color: '#fff' }}
+                            />
+                            <Line type="stepAfter" dataKey="main" stroke="#a855f7" dot={false} isAnimationActive={false} />
+                            {hasRemote && <Line type="stepAfter" dataKey="worker" stroke="#22d3ee" dot={false} isAnimationActive={false} />}
+                        </LineChart>
+                    </ResponsiveContainer>
+                </div>
+                {(snapshot.leak || snapshot.remoteLeak) && (
+                    <div className="flex items-start gap-2 text-xs text-yellow-400 bg-yellow-500/10 border border-yellow-500/20 rounded-lg p-2">
+                        <AlertTriangle className="w-4 h-4 shrink-0" />
+                        <span>
+                            Possible tensor leak: {snapshot.leak ? 'main thread' : 'worker'} gained
+                            {' '}{(snapshot.leak ?? snapshot.remoteLeak).growth} tensors over
+                            {' '}{(snapshot.leak ?? snapshot.remoteLeak).seconds}s without releasing any.
+                        </span>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Layers } from 'lucide-react';
+import { ANY_CLASS } from '../lib/rules';
+
+// Pipeline mode: second-stage classification of detection crops with the
+// classifier taught in Custom Training
+export default function PipelinePanel({ pipeline, classNames, classifierReady, trainedClasses, projectName, onChange }) {
+    const update = (changes) => onChange({ ...pipeline, ...changes });
+    const trained = trainedClasses.filter(c => c.count > 0);
+    const examples = trained.reduce((sum, c) => sum + c.count, 0);
+
+    let status = null;
+    if (pipeline.enabled && !classifierReady) {
+        status = <span className="text-blue-300 animate-pulse">Loading MobileNet…</span>;
+    } else if (pipeline.enabled && trained.length === 0) {
+        status = <span className="text-amber-300/80">No examples yet. Teach classes in Custom Training first.</span>;
+    } else if (classifierReady) {
+        status = (
+            <span className="text-gray-400">
+                {projectName && <span className="text-gray-300">{projectName} · </span>}
+                {trained.length} classes · {examples} examples
+            </span>
+        );
+    }
+
+    return (
+        <div className="glass-panel p-5 rounded-2xl space-y-3">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                    <Layers className="w-5 h-5 text-amber-400" />
+                    <h3 className="font-bold text-white">Classify Detections</h3>
+                </div>
+                <input
+                    type="checkbox"
+                    checked={pipeline.enabled}
+                    onChange={(e) => update({ enabled: e.target.checked })}
+                    className="accent-amber-500"
+                    title="Run the Custom Training classifier on detection crops"
+                />
+            </div>
+
+            <p className="text-xs text-gray-500">
+                Each box of the chosen class is cropped and classified with your trained classes, e.g. person → helmet / no helmet.
+            </p>
+
+            <div className="flex items-center gap-2 text-xs">
+                <span className="text-gray-400">Classify</span>
+                <select
+                    value={pipeline.className}
+                    onChange={(e) => update({ className: e.target.value })}
+                    className="flex-1 bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white capitalize"
+                >
+                    <option value={ANY_CLASS}>Any class</option>
+                    {classNames.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+            </div>
+
+            <div>
+                <div className="flex justify-between text-xs mb-1">
+                    <span className="text-gray-400">Min Classifier Confidence</span>
+                    <span className="font-mono text-white">{Math.round(pipeline.minConfidence * 100)}%</span>
+                </div>
+                <input
+                    type="range"
+                    min="0.3" max="1" step="0.05"
+                    value={pipeline.minConfidence}
+                    onChange={(e) => update({ minConfidence: parseFloat(e.target.value) })}
+                    className="w-full h-1.5 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-amber-500"
+                />
+            </div>
+
+            {status && <div className="text-xs">{status}</div>}
+        </div>
+    );
+}
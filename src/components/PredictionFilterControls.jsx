@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { Filter, Crosshair } from 'lucide-react';
+import { REJECTION_METRICS, SMOOTHING_MODES, calibrateRejection } from '../lib/predictionFilter';
+import { sampleSignature } from '../lib/trainingData';
+import { cn } from '../lib/utils';
+
+const STABLE_FRAME_OPTIONS = [3, 5, 10, 15, 30];
+
+// Unknown rejection (with threshold calibration), smoothing and stable-prediction settings
+export default function PredictionFilterControls({ classifier, classes, k, head, neuralHead, settings, similarity, onChange }) {
+    const [calibrating, setCalibrating] = useState(false);
+    const [error, setError] = useState(null);
+
+    const update = (changes) => onChange({ ...settings, ...changes });
+    const threshold = settings.thresholds[settings.metric];
+    const { calibration } = settings;
+    const stale = calibration && calibration.signature !== sampleSignature(classes);
+
+    const calibrate = async () => {
+        setCalibrating(true);
+        setError(null);
+        try {
+            const result = await calibrateRejection({ classifier, k, head, neuralHead });
+            update({
+                thresholds: result.thresholds,
+                calibration: { acceptRate: result.acceptRate, samples: result.samples, signature: sampleSignature(classes) }
+            });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setCalibrating(false);
+        }
+    };
+
+    return (
+        <div className="glass-panel p-5 rounded-2xl space-y-3">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                    <Filter className="w-5 h-5 text-blue-400" />
+                    <h3 className="font-bold text-white">Prediction Filter</h3>
+                </div>
+                <label className="flex items-center gap-2 text-xs text-gray-300 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={settings.rejection}
+                        onChange={(e) => update({ rejection: e.target.checked })}
+                        className="accent-blue-500"
+                    />
+                    Reject unknown
+                </label>
+            </div>
+
+            {settings.rejection && (
+                <div className="space-y-2">
+                    <div className="grid grid-cols-2 gap-1.5">
+                        {REJECTION_METRICS.map(metric => (
+                            <button
+                                key={metric.id}
+                                onClick={() => update({ metric: metric.id })}
+                                title={metric.hint}
+                                className={cn(
+                                    "px-2 py-1.5 rounded-lg text-xs font-bold border transition-colors",
+                                    settings.metric === metric.id
+                                        ? "bg-blue-500/20 border-blue-400/50 text-white"
+                                        : "border-white/10 text-gray-400 hover:bg-white/10"
+                                )}
+                            >
+                                {metric.label}
+                            </button>
+                        ))}
+                    </div>
+                    <div>
+                        <div className="flex justify-between text-xs mb-1">
+                            <span className="text-gray-400">
+                                Threshold
+                                {settings.metric === 'similarity' && similarity !== null && (
+                                    <> · now <span className="font-mono text-white">{similarity.toFixed(2)}</span></>
+                                )}
+                            </span>
+                            <span className="font-mono text-white">{threshold.toFixed(2)}</span>
+                        </div>
+                        <input
+                            type="range"
+                            min="0" max="1" step="0.01"
+                            value={threshold}
+                            onChange={(e) => update({ thresholds: { ...settings.thresholds, [settings.metric]: parseFloat(e.target.value) } })}
+                            className="w-full h-1.5 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-blue-500"
+                        />
+                    </div>
+                    <div className="flex items-center justify-between gap-2 text-xs">
+                        <span className="text-gray-400">
+                            {calibration ? (
+                                <>
+                                    Calibrated on {calibration.samples} examples ({Math.round(calibration.acceptRate * 100)}% accepted)
+                                    {stale && <span className="text-amber-300/80"> · samples changed</span>}
+                                </>
+                            ) : 'Not calibrated'}
+                        </span>
+                        <button
+                            onClick={calibrate}
+                            disabled={!classifier || calibrating}
+                            className="px-3 py-1 font-bold text-blue-300 hover:bg-blue-500/10 border border-blue-500/20 rounded-lg transition-colors flex items-center gap-1.5 disabled:opacity-40"
+                            title="Set both thresholds from the stored examples (leave-one-out)"
+                        >
+                            <Crosshair className="w-3 h-3" /> {calibrating ? 'Calibrating…' : 'Calibrate'}
+                        </button>
+                    </div>
+                    {error && <p className="text-xs text-red-400">{error}</p>}
+                </div>
+            )}
+
+            <div className="grid grid-cols-3 gap-1.5">
+                {SMOOTHING_MODES.map(mode => (
+                    <button
+                        key={mode.id}
+                        onClick={() => update({ smoothing: mode.id })}
+                        title={mode.hint}
+                        className={cn(
+                            "px-2 py-1.5 rounded-lg text-xs font-bold border transition-colors",
+                            settings.smoothing === mode.id
+                                ? "bg-blue-500/20 border-blue-400/50 text-white"
+                                : "border-white/10 text-gray-400 hover:bg-white/10"
+                        )}
+                    >
+                        {mode.label}
+                    </button>
+                ))}
+            </div>
+
+            {settings.smoothing !== 'off' && (
+                <div>
+                    <div className="flex justify-between text-xs mb-1">
+                        <span className="text-gray-400">Window</span>
+                        <span className="font-mono text-white">{settings.window} frames</span>
+                    </div>
+                    <input
+                        type="range"
+                        min="2" max="30" step="1"
+                        value={settings.window}
+                        onChange={(e) => update({ window: Number(e.target.value) })}
+                        className="w-full h-1.5 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-blue-500"
+                    />
+                </div>
+            )}
+
+            <div className="flex items-center justify-between text-xs">
+                <span className="text-gray-400">Stable prediction after</span>
+                <select
+                    value={settings.stableFrames}
+                    onChange={(e) => update({ stableFrames: Number(e.target.value) })}
+                    className="bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white"
+                >
+                    {STABLE_FRAME_OPTIONS.map(frames => <option key={frames} value={frames}>{frames} frames</option>)}
+                </select>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { FolderOpen, Pencil, Trash2, Plus, Check } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+export default function ProjectList({ projects, activeId, onSelect, onCreate, onRename, onDelete }) {
+    const [editingId, setEditingId] = useState(null);
+    const [draftName, setDraftName] = useState('');
+
+    const startEditing = (project) => {
+        setEditingId(project.id);
+        setDraftName(project.name);
+    };
+
+    const commitEditing = () => {
+        const name = draftName.trim();
+        if (editingId && name) onRename(editingId, name);
+        setEditingId(null);
+    };
+
+    return (
+        <div className="glass-panel p-3 rounded-xl space-y-2">
+            <div className="flex items-center justify-between">
+                <span className="text-xs font-bold text-gray-400 uppercase tracking-widest flex items-center gap-2">
+                    <FolderOpen className="w-3 h-3" /> Saved Projects
+                </span>
+                <button
+                    onClick={onCreate}
+                    className="px-2 py-1 text-xs font-bold text-blue-300 hover:bg-blue-500/10 border border-blue-500/20 rounded-lg transition-colors flex items-center gap-1"
+                >
+                    <Plus className="w-3 h-3" /> New
+                </button>
+            </div>
+
+            <div className="space-y-1 max-h-40 overflow-y-auto custom-scrollbar">
+                {projects.length === 0 && (
+                    <p className="text-gray-500 text-xs italic py-2 text-center">No saved projects</p>
+                )}
+                {projects.map((project) => {
+                    const isActive = project.id === activeId;
+                    const sampleCount = project.classes.reduce((sum, c) => sum + c.count, 0);
+
+                    return (
+                        <div
+                            key={project.id}
+                            className={cn(
+                                "flex items-center gap-2 px-2 py-1.5 rounded-lg text-sm transition-colors",
+                                isActive ? "bg-blue-500/20 border border-blue-500/30" : "hover:bg-white/5 border border-transparent"
+                            )}
+                        >
+                            {editingId === project.id ? (
+                                <input
+                                    autoFocus
+                                    value={draftName}
+                                    onChange={(e) => setDraftName(e.target.value)}
+                                    onBlur={commitEditing}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') commitEditing();
+                                        if (e.key === 'Escape') setEditingId(null);
+                                    }}
+                                    className="flex-1 bg-transparent text-white outline-none border-b border-white/30"
+                                />
+                            ) : (
+                                <button
+                                    onClick={() => !isActive && onSelect(project.id)}
+                                    className="flex-1 text-left truncate text-white"
+                                    title={isActive ? 'Active project' : 'Open project'}
+                                >
+                                    {project.name}
+                                    <span className="ml-2 font-mono text-[10px] text-gray-400">{sampleCount} samples</span>
+                                </button>
+                            )}
+
+                            {editingId === project.id ? (
+                                <button onMouseDown={commitEditing} className="p-1 text-green-400 hover:bg-white/10 rounded">
+                                    <Check className="w-3 h-3" />
+                                </button>
+                            ) : (
+                                <button onClick={() => startEditing(project)} className="p-1 text-gray-400 hover:text-white hover:bg-white/10 rounded" title="Rename">
+                                    <Pencil className="w-3 h-3" />
+                                </button>
+                            )}
+                            <button
+                                onClick={() => {
+                                    if (window.confirm(`Delete project "${project.name}"? This cannot be undone.`)) {
+                                        onDelete(project.id);
+                                    }
+                                }}
+                                className="p-1 text-red-400 hover:bg-red-500/10 rounded"
+                                title="Delete"
+                            >
+                                <Trash2 className="w-3 h-3" />
+                            </button>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { normalizedToDisplay, displayToNormalized } from '../lib/viewport';
+import { lineNormal } from '../lib/analytics';
+import { REGION_COLORS } from '../lib/drawing';
+import { cn } from '../lib/utils';
+
+const CLOSE_DISTANCE = 12; // px: clicking near the first point closes a zone
+const ARROW_LENGTH = 24;
+
+// SVG layer that renders counting lines/zones and lets the user draw new ones.
+// `tool` is 'line' | 'zone' | null; drawing is only interactive while a tool is set.
+export default function RegionOverlay({ regions, transform, tool, onCreate, onCancel }) {
+    const [draft, setDraft] = useState([]); // Normalized points of the region being drawn
+    const [hover, setHover] = useState(null);
+
+    // Leaving draw mode discards the half-drawn region
+    const [prevTool, setPrevTool] = useState(tool);
+    if (tool !== prevTool) {
+        setPrevTool(tool);
+        setDraft([]);
+        setHover(null);
+    }
+
+    useEffect(() => {
+        if (!tool) return;
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') onCancel();
+            if (e.key === 'Enter' && tool === 'zone' && draft.length >= 3) {
+                onCreate({ type: 'zone', points: draft });
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [tool, draft, onCreate, onCancel]);
+
+    if (!transform) return null;
+
+    const toDisplay = point => normalizedToDisplay(transform, point);
+    const localPoint = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        return [e.clientX - rect.left, e.clientY - rect.top];
+    };
+
+    const handleClick = (e) => {
+        if (!tool) return;
+        const local = localPoint(e);
+        const point = displayToNormalized(transform, local);
+
+        if (tool === 'line') {
+            if (draft.length === 0) {
+                setDraft([point]);
+            } else {
+                onCreate({ type: 'line', points: [draft[0], point] });
+            }
+            return;
+        }
+
+        // Zone: close the polygon when clicking the first vertex again
+        if (draft.length >= 3) {
+            const [fx, fy] = toDisplay(draft[0]);
+            if (Math.hypot(fx - local[0], fy - local[1]) <= CLOSE_DISTANCE) {
+                onCreate({ type: 'zone', points: draft });
+                return;
+            }
+        }
+        setDraft([...draft, point]);
+    };
+
+    const renderRegion = (region, isDraft = false) => {
+        const color = REGION_COLORS[region.type];
+        const points = region.points.map(toDisplay);
+        const pointString = points.map(p => p.join(',')).join(' ');
+        const [labelX, labelY] = points[0];
+
+        return (
+            <g key={region.id || 'draft'} opacity={isDraft ? 0.7 : 1}>
+                {region.type === 'zone' && !isDraft ? (
+                    <polygon points={pointString} fill={color} fillOpacity={0.12} stroke={color} strokeWidth={2} />
+                ) : (
+                    <polyline points={pointString} fill="none" stroke={color} strokeWidth={region.type === 'line' ? 3 : 2} strokeDasharray={isDraft ? '6 4' : undefined} />
+                )}
+
+                {/* Direction arrow for lines (points to the "in" side) */}
+                {region.type === 'line' && points.length === 2 && (() => {
+                    const [nx, ny] = lineNormal(region.points.map(p => [p[0] * transform.sourceWidth, p[1] * transform.sourceHeight]));
+                    const mx = (points[0][0] + points[1][0]) / 2;
+                    const my = (points[0][1] + points[1][1]) / 2;
+                    return (
+                        <g stroke={color} strokeWidth={2}>
+                            <line x1={mx} y1={my} x2={mx + nx * ARROW_LENGTH} y2={my + ny * ARROW_LENGTH} />
+                            <circle cx={mx + nx * ARROW_LENGTH} cy={my + ny * ARROW_LENGTH} r={3} fill={color} />
+                        </g>
+                    );
+                })()}
+
+                {points.map(([x, y], i) => (
+                    <circle key={i} cx={x} cy={y} r={isDraft && i === 0 ? 6 : 3} fill={color} />
+                ))}
+
+                {region.name && (
+                    <text x={labelX + 6} y={labelY - 6} fill={color} fontSize={11} fontWeight="bold">{region.name}</text>
+                )}
+            </g>
+        );
+    };
+
+    const draftRegion = draft.length > 0 && {
+        type: tool,
+        points: hover ? [...draft, hover] : draft
+    };
+
+    return (
+        <svg
+            className={cn("absolute inset-0 w-full h-full z-10", tool ? "cursor-crosshair" : "pointer-events-none")}
+            onClick={handleClick}
+            onMouseMove={(e) => tool && setHover(displayToNormalized(transform, localPoint(e)))}
+            onMouseLeave={() => setHover(null)}
+        >
+            {regions.map(region => renderRegion(region))}
+            {draftRegion && renderRegion(draftRegion, true)}
+        </svg>
+    );
+}
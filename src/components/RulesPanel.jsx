@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Bell, Plus, Trash2, Volume2, BellRing, Send } from 'lucide-react';
+import { RULE_TYPES, ANY_CLASS, createRule, describeRule } from '../lib/rules';
+import { requestNotificationPermission, notificationsSupported } from '../lib/alerts';
+import { cn } from '../lib/utils';
+
+const fieldClass = "bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white";
+
+function NumberField({ label, value, min, max, step = 1, onChange }) {
+    return (
+        <label className="flex items-center gap-1.5 text-gray-400">
+            {label}
+            <input
+                type="number"
+                value={value}
+                min={min}
+                max={max}
+                step={step}
+                onChange={(e) => onChange(Number(e.target.value))}
+                className={cn(fieldClass, "w-16 font-mono")}
+            />
+        </label>
+    );
+}
+
+// Alert rule editor: conditions on the predictions stream plus their actions
+export default function RulesPanel({
+    rules, classNames, regions, webhookUrl, autoRecord, recordingSupported,
+    onRulesChange, onWebhookChange, onAutoRecordChange
+}) {
+    const [newType, setNewType] = useState(RULE_TYPES[0].id);
+    const zones = regions.filter(r => r.type === 'zone');
+
+    const updateRule = (id, changes) => {
+        onRulesChange(rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+    };
+
+    const toggleAction = async (rule, action) => {
+        const enabled = !rule.actions[action];
+        if (action === 'notify' && enabled) await requestNotificationPermission();
+        updateRule(rule.id, { actions: { ...rule.actions, [action]: enabled } });
+    };
+
+    const addRule = () => {
+        const rule = createRule(newType);
+        onRulesChange([...rules, newType === 'zone-exit' ? { ...rule, regionId: zones[0]?.id ?? '' } : rule]);
+    };
+
+    const actionButtons = [
+        { id: 'sound', icon: <Volume2 className="w-3.5 h-3.5" />, title: 'Play a sound' },
+        { id: 'notify', icon: <BellRing className="w-3.5 h-3.5" />, title: 'Browser notification', disabled: !notificationsSupported() },
+        { id: 'webhook', icon: <Send className="w-3.5 h-3.5" />, title: 'POST to webhook' }
+    ];
+
+    return (
+        <div className="glass-panel p-5 rounded-2xl space-y-4">
+            <div className="flex items-center gap-2">
+                <Bell className="w-5 h-5 text-amber-400" />
+                <h3 className="font-bold text-white">Alert Rules</h3>
+            </div>
+
+            {rules.length === 0 && <p className="text-xs text-gray-500">No rules yet. Events are logged when a rule fires.</p>}
+
+            {rules.map(rule => (
+                <div key={rule.id} className={cn("rounded-xl border border-white/10 p-3 space-y-2 text-xs", !rule.enabled && "opacity-50")}>
+                    <div className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={rule.enabled}
+                            onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                            className="accent-amber-500"
+                        />
+                        <span className="flex-1 text-white font-medium truncate" title={describeRule(rule, regions)}>
+                            {describeRule(rule, regions)}
+                        </span>
+                        <button onClick={() => onRulesChange(rules.filter(r => r.id !== rule.id))} className="p-1 text-gray-400 hover:text-red-400">
+                            <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-2">
+                        <select
+                            value={rule.className}
+                            onChange={(e) => updateRule(rule.id, { className: e.target.value })}
+                            className={cn(fieldClass, "capitalize")}
+                        >
+                            <option value={ANY_CLASS}>Any class</option>
+                            {classNames.map(name => <option key={name} value={name}>{name}</option>)}
+                        </select>
+
+                        {rule.type === 'presence' && (
+                            <>
+                                <NumberField label="≥ score" value={rule.minScore} min={0.05} max={1} step={0.05} onChange={minScore => updateRule(rule.id, { minScore })} />
+                                <NumberField label="for s" value={rule.durationSec} min={0} onChange={durationSec => updateRule(rule.id, { durationSec })} />
+                            </>
+                        )}
+                        {rule.type === 'count' && (
+                            <NumberField label="more than" value={rule.threshold} min={0} onChange={threshold => updateRule(rule.id, { threshold })} />
+                        )}
+                        {rule.type === 'zone-exit' && (
+                            <select
+                                value={rule.regionId}
+                                onChange={(e) => updateRule(rule.id, { regionId: e.target.value })}
+                                className={fieldClass}
+                            >
+                                {zones.length === 0 && <option value="">Draw a zone first</option>}
+                                {zones.map(zone => <option key={zone.id} value={zone.id}>{zone.name}</option>)}
+                            </select>
+                        )}
+                    </div>
+
+                    <div className="flex items-center justify-between">
+                        <NumberField label="cooldown s" value={rule.cooldownSec} min={0} onChange={cooldownSec => updateRule(rule.id, { cooldownSec })} />
+                        <div className="flex gap-1">
+                            {actionButtons.map(action => (
+                                <button
+                                    key={action.id}
+                                    onClick={() => toggleAction(rule, action.id)}
+                                    disabled={action.disabled}
+                                    title={action.title}
+                                    className={cn(
+                                        "p-1.5 rounded-lg border transition-colors disabled:opacity-30",
+                                        rule.actions[action.id]
+                                            ? "bg-amber-500/20 border-amber-400/50 text-amber-300"
+                                            : "border-white/10 text-gray-500 hover:text-white"
+                                    )}
+                                >
+                                    {action.icon}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            ))}
+
+            <div className="flex gap-2">
+                <select value={newType} onChange={(e) => setNewType(e.target.value)} className={cn(fieldClass, "flex-1")}>
+                    {RULE_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+                </select>
+                <button
+                    onClick={addRule}
+                    className="px-3 py-1 text-xs font-bold bg-amber-500/10 text-amber-300 hover:bg-amber-500/20 border border-amber-500/20 rounded-lg flex items-center gap-1"
+                >
+                    <Plus className="w-3 h-3" /> Add
+                </button>
+            </div>
+
+            <label className="flex items-center gap-2 text-xs text-gray-300 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={autoRecord}
+                    disabled={!recordingSupported}
+                    onChange={(e) => onAutoRecordChange(e.target.checked)}
+                    className="accent-amber-500"
+                />
+                Record an annotated clip when a rule fires
+            </label>
+
+            <label className="block text-xs text-gray-400 space-y-1">
+                <span>Webhook URL</span>
+                <input
+                    value={webhookUrl}
+                    onChange={(e) => onWebhookChange(e.target.value)}
+                    placeholder="http://localhost:8080/alerts"
+                    className={cn(fieldClass, "w-full py-1.5 font-mono")}
+                />
+            </label>
+        </div>
+    );
+}
@@ -0,0 +1,78 @@
+import React from 'react';
+import { Timer } from 'lucide-react';
+import { SCHEDULE_MODES, FPS_OPTIONS } from '../lib/scheduler';
+import { cn } from '../lib/utils';
+
+// Target frame rate and scheduling mode for a live inference loop
+export default function SchedulerControls({ schedule, status, onChange }) {
+    return (
+        <div className="glass-panel p-5 rounded-2xl space-y-3">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                    <Timer className="w-5 h-5 text-green-400" />
+                    <h3 className="font-bold text-white">Frame Scheduling</h3>
+                </div>
+                <select
+                    value={schedule.targetFps}
+                    onChange={(e) => onChange({ ...schedule, targetFps: Number(e.target.value) })}
+                    className="bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white"
+                    title="Target frame rate"
+                >
+                    {FPS_OPTIONS.map(fps => <option key={fps} value={fps}>{fps} FPS</option>)}
+                </select>
+            </div>
+
+            <div className="grid grid-cols-3 gap-1.5">
+                {SCHEDULE_MODES.map(mode => (
+                    <button
+                        key={mode.id}
+                        onClick={() => onChange({ ...schedule, mode: mode.id })}
+                        title={mode.hint}
+                        className={cn(
+                            "px-2 py-1.5 rounded-lg text-xs font-bold border transition-colors",
+                            schedule.mode === mode.id
+                                ? "bg-green-500/20 border-green-400/50 text-white"
+                                : "border-white/10 text-gray-400 hover:bg-white/10"
+                        )}
+                    >
+                        {mode.label}
+                    </button>
+                ))}
+            </div>
+
+            {schedule.mode === 'on-change' && (
+                <div>
+                    <div className="flex justify-between text-xs mb-1">
+                        <span className="text-gray-400">Motion Threshold</span>
+                        <span className="font-mono text-white">{(schedule.motionThreshold * 100).toFixed(1)}%</span>
+                    </div>
+                    <input
+                        type="range"
+                        min="0.005" max="0.2" step="0.005"
+                        value={schedule.motionThreshold}
+                        onChange={(e) => onChange({ ...schedule, motionThreshold: parseFloat(e.target.value) })}
+                        className="w-full h-1.5 bg-gray-700 rounded-lg appearance-none cursor-pointer accent-green-500"
+                    />
+                </div>
+            )}
+
+            {status && (
+                <div className="flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-gray-400 font-mono">
+                    <span>latency {status.latency} ms</span>
+                    {status.mode === 'adaptive' && (
+                        <>
+                            <span>input {Math.round(status.scale * 100)}%</span>
+                            <span>pace {status.intervalFps} FPS</span>
+                        </>
+                    )}
+                    {status.mode === 'on-change' && (
+                        <>
+                            <span>motion {(status.motion * 100).toFixed(1)}%</span>
+                            <span>{status.skipped} static frames skipped</span>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import { Crosshair } from 'lucide-react';
+import { listProjects } from '../lib/projectStore';
+import { cn } from '../lib/utils';
+
+// Detectors taught with boxes in Custom Training, one per project
+export default function TaughtDetectorList({ spec, loading, onLoad }) {
+    const [projects, setProjects] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        listProjects()
+            .then(list => !cancelled && setProjects(list.filter(project => project.detector)))
+            .catch(() => !cancelled && setProjects([]));
+        return () => { cancelled = true; };
+    }, []);
+
+    if (!projects) return <p className="text-xs text-gray-500">Loading projects...</p>;
+    if (projects.length === 0) {
+        return (
+            <p className="text-xs text-gray-500">
+                No taught detectors yet. Draw boxes under <strong>Custom Training → Boxes</strong> and train one.
+            </p>
+        );
+    }
+
+    return (
+        <div className="space-y-1.5">
+            {projects.map(project => {
+                const { labels, trainedAt } = project.detector;
+                const isCurrent = spec.kind === 'trained' && spec.projectId === project.id && spec.trainedAt === trainedAt;
+                return (
+                    <button
+                        key={project.id}
+                        onClick={() => onLoad({
+                            kind: 'trained',
+                            projectId: project.id,
+                            name: project.name,
+                            labels: labels.map(label => label.name),
+                            trainedAt
+                        })}
+                        disabled={loading || isCurrent}
+                        className={cn(
+                            "w-full text-left px-3 py-2 rounded-lg border transition-colors disabled:cursor-default",
+                            isCurrent
+                                ? "bg-cyan-500/20 border-cyan-400/50"
+                                : "border-white/10 hover:bg-white/10 disabled:opacity-40"
+                        )}
+                    >
+                        <div className="flex items-center gap-2 text-xs font-bold text-white">
+                            <Crosshair className="w-3 h-3 text-cyan-400" />
+                            <span className="truncate">{project.name}</span>
+                            {isCurrent && <span className="ml-auto text-cyan-300 font-normal">Loaded</span>}
+                        </div>
+                        <div className="text-[10px] text-gray-400 truncate mt-0.5">
+                            {labels.map(label => label.name).join(', ')} · {new Date(trainedAt).toLocaleString()}
+                        </div>
+                    </button>
+                );
+            })}
+        </div>
+    );
+}
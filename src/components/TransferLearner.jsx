@@ -1,101 +1,428 @@
 import React, { useRef, useState, useEffect, useCallback } from 'react';
-import Webcam from 'react-webcam';
 import * as tf from '@tensorflow/tfjs';
-import * as mobilenet from '@tensorflow-models/mobilenet';
-import * as knnClassifier from '@tensorflow-models/knn-classifier';
 import { motion } from 'framer-motion';
-import { Plus, Trash2, Zap, Brain, CheckCircle2, Eye, Settings } from 'lucide-react';
+import { Plus, Trash2, Zap, Brain, CheckCircle2, Eye, Settings, Download, Upload, X, BarChart3, Package, Crosshair } from 'lucide-react';
 import { cn } from '../lib/utils';
+import { listProjects, createProject, saveProject, renameProject, deleteProject } from '../lib/projectStore';
+import { useClassifier } from '../lib/classifierContext';
+import { createBundle, readBundleFile, validateBundle, applyBundle, BUNDLE_EXTENSION } from '../lib/modelBundle';
+import { downloadJson, downloadBlob, slugify } from '../lib/download';
+import { createStandaloneExport } from '../lib/standaloneExport';
+import { loadWorkerFeatureExtractor, isWorkerInferenceSupported } from '../lib/inferenceWorker';
+import { profiler } from '../lib/profiler';
+import { createInferenceScheduler, runScheduledLoop, DEFAULT_SCHEDULE } from '../lib/scheduler';
+import { loadCameraSettings, saveCameraSettings, watchCameras } from '../lib/cameras';
+import { getSourceSize } from '../lib/viewport';
+import { DEFAULT_HEAD_CONFIG, HEADS, classifyEmbedding } from '../lib/denseHead';
+import { createPredictionFilter, nearestSimilarity, announceStablePrediction } from '../lib/predictionFilter';
+import { createActionRunner } from '../lib/classActions';
+import {
+    AUGMENTATIONS,
+    BURST_RATES,
+    BURST_COUNTDOWNS,
+    DEFAULT_BURST,
+    addImageExamples,
+    alignThumbnails,
+    createExampleThumbnail,
+    createBurstCapture,
+    removeExample
+} from '../lib/trainingData';
+import ProjectList from './ProjectList';
+import InferenceToggle from './InferenceToggle';
+import SchedulerControls from './SchedulerControls';
+import CameraFeed from './CameraFeed';
+import CameraControls from './CameraControls';
+import ClassExamples from './ClassExamples';
+import EvaluationPanel from './EvaluationPanel';
+import NeuralHeadPanel from './NeuralHeadPanel';
+import AnnotationPanel from './AnnotationPanel';
+import PredictionFilterControls from './PredictionFilterControls';
+import ActionBindingsPanel from './ActionBindingsPanel';
 
 export default function TransferLearner() {
-    const [net, setNet] = useState(null);
-    const [classifier, setClassifier] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [classes, setClasses] = useState([
-        { id: 0, name: 'Class A (e.g. Thumbs Up)', count: 0, color: 'bg-emerald-500' },
-        { id: 1, name: 'Class B (e.g. Open Palm)', count: 0, color: 'bg-indigo-500' },
-        { id: 2, name: 'Background (Nothing)', count: 0, color: 'bg-gray-500' }
-    ]);
+    // Shared with Live Detection (pipeline mode) through ClassifierProvider
+    const {
+        net, classifier, extractorInfo, ready, ensureLoaded,
+        classes, setClasses, thumbnails, setThumbnails,
+        project, setProject, projects, refreshProjects, openProject, k, setK,
+        head, setHead, neuralHead, installNeuralHead, installBoxDetector, predictionFilter, setPredictionFilter,
+        actionBindings, setActionBindings
+    } = useClassifier();
     const [result, setResult] = useState(null);
     const [isTraining, setIsTraining] = useState(false);
-    const [viewMode, setViewMode] = useState('train'); // 'train' | 'predict'
+    const [viewMode, setViewMode] = useState('train'); // 'train' | 'predict' | 'evaluate' | 'annotate'
+    const [pendingImport, setPendingImport] = useState(null); // { bundle, dataset }
+    const [augment, setAugment] = useState({ flip: false, crop: false, brightness: false }); // Extra copies per uploaded image
+    const [importing, setImporting] = useState(null); // { classId, done, total } while embedding uploaded images
+    const [burstSettings, setBurstSettings] = useState(DEFAULT_BURST); // Hold-to-record rate and countdown
+    const [burst, setBurst] = useState(null); // { target: classId, phase, remaining, captured } while holding Train
+    const [headConfig, setHeadConfig] = useState(() => project?.neuralHead?.config ?? DEFAULT_HEAD_CONFIG); // Neural head hyperparameters
+    const [importError, setImportError] = useState(null);
+    const [exporting, setExporting] = useState(false); // Building the standalone zip
+    const [exportError, setExportError] = useState(null);
+    const [inferencePath, setInferencePath] = useState(() => (isWorkerInferenceSupported() ? 'worker' : 'main'));
+    const [remoteExtractor, setRemoteExtractor] = useState(null); // Worker-side MobileNet for the prediction loop
+    const [workerNotice, setWorkerNotice] = useState(null);
+    const [fps, setFps] = useState(0);
+    const [schedule, setSchedule] = useState(DEFAULT_SCHEDULE);
+    const [scheduleStatus, setScheduleStatus] = useState(null);
+    const [stablePrediction, setStablePrediction] = useState(null); // Last { label, name, confidence, time } that became stable
+    const [lastFired, setLastFired] = useState({}); // { [classId]: { time, errors } } of the class actions
+    const [camera, setCamera] = useState(() => loadCameraSettings('train'));
+    const [cameras, setCameras] = useState([]);
+
+    const webcamRef = useRef(null); // CameraFeed handle: { video, source, ready }
+    const fpsRef = useRef({ lastFpsTime: 0, frameCount: 0 });
+    const schedulerRef = useRef(null);
+    if (schedulerRef.current === null) schedulerRef.current = createInferenceScheduler(DEFAULT_SCHEDULE);
+    const filterRef = useRef(null);
+    if (filterRef.current === null) filterRef.current = createPredictionFilter(predictionFilter);
+    const actionRunnerRef = useRef(null);
+    if (actionRunnerRef.current === null) actionRunnerRef.current = createActionRunner();
+    const importInputRef = useRef(null);
+    const burstRef = useRef(null);
+    if (burstRef.current === null) burstRef.current = createBurstCapture(setBurst);
+
+    // Initialize (MobileNet and the last project load once and are shared across tabs)
+    useEffect(() => {
+        ensureLoaded();
+    }, [ensureLoaded]);
+
+    // Project Management
+    const switchProject = async (id) => {
+        if (!classifier) return;
+        if (project) await saveProject({ ...project, classes }, classifier, thumbnails);
+        await openProject(id);
+        setResult(null);
+        await refreshProjects();
+    };
 
-    const webcamRef = useRef(null);
-    const requestRef = useRef();
+    const newProject = async () => {
+        if (!classifier) return;
+        if (project) await saveProject({ ...project, classes }, classifier, thumbnails);
+        const created = await createProject(`Project ${projects.length + 1}`);
+        await openProject(created.id);
+        setResult(null);
+        await refreshProjects();
+    };
 
-    // Initialize
-    useEffect(() => {
-        async function init() {
-            console.log('Loading Mobilenet...');
-            const loadedNet = await mobilenet.load();
-            console.log('Loading KNN...');
-            const loadedClassifier = knnClassifier.create();
-            setNet(loadedNet);
-            setClassifier(loadedClassifier);
-            setLoading(false);
+    const renameExistingProject = async (id, name) => {
+        await renameProject(id, name);
+        if (project?.id === id) setProject(prev => ({ ...prev, name }));
+        await refreshProjects();
+    };
+
+    const removeProject = async (id) => {
+        await deleteProject(id);
+        const remaining = await listProjects();
+        if (project?.id === id) {
+            if (remaining.length > 0) {
+                await openProject(remaining[0].id);
+            } else {
+                const created = await createProject('Untitled Project');
+                await openProject(created.id);
+            }
+            setResult(null);
         }
-        tf.ready().then(init);
-    }, []);
+        await refreshProjects();
+    };
+
+    // Export / Import
+    const exportBundle = () => {
+        if (!classifier || !extractorInfo) return;
+        const name = project?.name || 'classifier';
+        const bundle = createBundle({ name, classes, classifier, featureExtractor: extractorInfo });
+        downloadJson(bundle, `${slugify(name)}${BUNDLE_EXTENSION}`);
+    };
+
+    // Standalone TF.js models + labels for ../runtime/createClassifier.js
+    const exportStandalone = async () => {
+        if (!classifier || !net || !extractorInfo) return;
+        const name = project?.name || 'classifier';
+        const slug = slugify(name);
+        setExportError(null);
+        setExporting(true);
+        try {
+            const zip = await createStandaloneExport({
+                name, slug, net, classifier, classes, featureExtractor: extractorInfo, head, neuralHead, k
+            });
+            downloadBlob(zip, `${slug}-standalone.zip`);
+        } catch (err) {
+            setExportError(err.message);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const onImportFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !extractorInfo) return;
+
+        setImportError(null);
+        try {
+            const bundle = await readBundleFile(file);
+            const dataset = validateBundle(bundle, extractorInfo);
+            setPendingImport({ bundle, dataset });
+        } catch (err) {
+            setImportError(err.message);
+        }
+    };
+
+    const confirmImport = (mode) => {
+        if (!classifier || !pendingImport) return;
+        const { bundle, dataset } = pendingImport;
+        const nextClasses = applyBundle(classifier, classes, bundle, dataset, mode);
+        setClasses(nextClasses);
+        // Bundles carry no previews: imported rows get empty thumbnail slots
+        setThumbnails(alignThumbnails(mode === 'replace' ? {} : thumbnails, nextClasses));
+        setResult(null);
+        setPendingImport(null);
+    };
 
     // Add Example
     const addExample = async (classId) => {
-        if (net && classifier && webcamRef.current?.video?.readyState === 4) {
-            const img = tf.browser.fromPixels(webcamRef.current.video);
+        if (net && classifier && webcamRef.current?.ready) {
+            const source = webcamRef.current.source;
+            const img = tf.browser.fromPixels(source);
             const activation = net.infer(img, true);
+            // addExample keeps its own copy of the activation
             classifier.addExample(activation, classId);
 
             // Update counts
             setClasses(prev => prev.map(c =>
                 c.id === classId ? { ...c, count: c.count + 1 } : c
             ));
+            const { width, height } = getSourceSize(source);
+            const thumbnail = createExampleThumbnail(source, width, height);
+            setThumbnails(prev => ({ ...prev, [classId]: [...(prev[classId] ?? []), thumbnail] }));
 
             // Dispose tensors
             img.dispose();
-            // activation is typically kept by KNN but we don't need to manually dispose if KNN manages it? 
-            // Actually KNN expects us to pass the activation. We should verify docs. 
-            // Usually strict dispose is needed for img. Activation is stored by KNN.
+            activation.dispose();
 
             setIsTraining(true);
             setTimeout(() => setIsTraining(false), 200);
         }
     };
 
-    // Prediction Loop
-    const predict = useCallback(async () => {
-        if (classifier && net && webcamRef.current?.video?.readyState === 4 && classifier.getNumClasses() > 0) {
-            const img = tf.browser.fromPixels(webcamRef.current.video);
-            const activation = net.infer(img, 'conv_preds');
-
-            try {
-                const result = await classifier.predictClass(activation);
-                setResult(result);
-            } catch (e) {
-                // Can fail if no examples
+    // Burst Capture (press and hold Train; a short press still takes one sample)
+    useEffect(() => () => burstRef.current.release(), []);
+
+    const trainButtonHandlers = (classId) => ({
+        onPointerDown: (e) => {
+            e.currentTarget.setPointerCapture(e.pointerId);
+            burstRef.current.press(burstSettings, () => addExample(classId), classId);
+        },
+        onPointerUp: () => {
+            if (burstRef.current.release()) addExample(classId);
+        },
+        onPointerCancel: () => burstRef.current.release(),
+        // Keyboard activation (pointer clicks are handled above)
+        onClick: (e) => {
+            if (e.detail === 0) addExample(classId);
+        }
+    });
+
+    // Add Examples from image files (dropped files or a folder)
+    const addImages = async (classId, files) => {
+        if (!net || !classifier || importing) return;
+        setImporting({ classId, done: 0, total: files.length });
+        let added = [];
+        try {
+            ({ thumbnails: added } = await addImageExamples({
+                net,
+                classifier,
+                classId,
+                files,
+                augment,
+                onProgress: ({ done, total }) => setImporting({ classId, done, total })
+            }));
+        } catch (err) {
+            console.error('Image import failed:', err);
+        } finally {
+            // Counts come from the classifier so a failed batch can't leave them out of sync
+            const count = classifier.getClassExampleCount()[classId] ?? 0;
+            setClasses(prev => prev.map(c => (c.id === classId ? { ...c, count } : c)));
+            setThumbnails(prev => ({
+                ...prev,
+                ...alignThumbnails({ [classId]: [...(prev[classId] ?? []), ...added] }, [{ id: classId, count }])
+            }));
+            setImporting(null);
+        }
+    };
+
+    const removeExampleAt = (classId, index) => {
+        if (!classifier) return;
+        const count = removeExample(classifier, classId, index);
+        setClasses(prev => prev.map(c => (c.id === classId ? { ...c, count } : c)));
+        setThumbnails(prev => ({ ...prev, [classId]: (prev[classId] ?? []).filter((_, i) => i !== index) }));
+        setResult(null);
+    };
+
+    // Worker Feature Extractor (training keeps embedding on the main thread)
+    useEffect(() => {
+        if (inferencePath !== 'worker') return;
+        let cancelled = false;
+        let loaded = null;
+
+        loadWorkerFeatureExtractor()
+            .then((extractor) => {
+                if (cancelled) {
+                    extractor.dispose();
+                    return;
+                }
+                loaded = extractor;
+                setRemoteExtractor(extractor);
+            })
+            .catch((err) => {
+                if (cancelled) return;
+                console.warn('Worker inference unavailable:', err);
+                setWorkerNotice(`Worker failed (${err.message}), running on the main thread.`);
+                setInferencePath('main');
+            });
+
+        return () => {
+            cancelled = true;
+            loaded?.dispose();
+            setRemoteExtractor(null);
+        };
+    }, [inferencePath]);
+
+    const switchInferencePath = (path) => {
+        setWorkerNotice(null);
+        setInferencePath(path);
+    };
+
+    // Classifies one frame's embedding through the unknown/smoothing filter
+    const applyPrediction = useCallback(async (activation) => {
+        const prediction = await classifyEmbedding({ classifier, k, head, neuralHead }, activation);
+        const similarity = predictionFilter.rejection && predictionFilter.metric === 'similarity'
+            ? await nearestSimilarity(classifier, activation)
+            : null;
+        const filtered = filterRef.current.process(prediction, similarity);
+        setResult(filtered);
+        if (filtered.stable !== null) {
+            const detail = {
+                label: filtered.stable,
+                name: classes.find(c => String(c.id) === filtered.stable)?.name ?? `Class ${filtered.stable}`,
+                confidence: filtered.confidence,
+                time: Date.now()
+            };
+            setStablePrediction(detail);
+            announceStablePrediction(detail);
+            // Class actions only drive other apps while testing, not while collecting samples
+            if (viewMode === 'predict') {
+                actionRunnerRef.current.trigger(actionBindings[detail.label], detail).then((fired) => {
+                    if (fired) setLastFired(prev => ({ ...prev, [detail.label]: fired }));
+                });
             }
+        }
+    }, [classifier, k, head, neuralHead, predictionFilter, classes, viewMode, actionBindings]);
 
-            img.dispose();
-            activation.dispose();
+    const testAction = (cls, action) => {
+        const time = Date.now();
+        actionRunnerRef.current.run(action, { label: String(cls.id), name: cls.name, confidence: 1, time }).then((error) => {
+            setLastFired(prev => ({ ...prev, [cls.id]: { time, errors: error ? [error] : [] } }));
+        });
+    };
+
+    // KNN lookup on a worker-computed embedding; resolves in the background
+    const classifyRemote = useCallback(async (input) => {
+        let activation = null;
+        try {
+            const started = performance.now();
+            activation = await remoteExtractor.embed(input);
+            if (classifier.getNumClasses() > 0) {
+                await applyPrediction(activation);
+                const latency = performance.now() - started;
+                profiler.record('classify', latency);
+                schedulerRef.current.record(latency);
+                fpsRef.current.frameCount++;
+            }
+        } catch (err) {
+            if (err.name !== 'AbortError') console.warn('Worker prediction failed:', err);
+        } finally {
+            activation?.dispose();
+        }
+    }, [classifier, remoteExtractor, applyPrediction]);
+
+    // Prediction Loop (paced by the shared scheduler)
+    const predictFrame = useCallback(async () => {
+        const now = performance.now();
+        const scheduler = schedulerRef.current;
+        if (now - fpsRef.current.lastFpsTime >= 1000) {
+            setFps(fpsRef.current.frameCount);
+            setScheduleStatus(scheduler.getStatus());
+            fpsRef.current.frameCount = 0;
+            fpsRef.current.lastFpsTime = now;
         }
-        requestRef.current = requestAnimationFrame(predict);
-    }, [classifier, net]);
 
+        const video = webcamRef.current?.ready ? webcamRef.current.source : null;
+        if (!classifier || !net || !video || classifier.getNumClasses() === 0) return;
+
+        if (inferencePath === 'worker') {
+            // Backpressure: skip frames while the worker is still embedding the last one
+            if (!remoteExtractor || remoteExtractor.busy || !scheduler.hasChanged(video)) return;
+            classifyRemote(scheduler.prepare(video).input);
+            return;
+        }
+
+        if (!scheduler.hasChanged(video)) return;
+        const started = performance.now();
+        const img = tf.browser.fromPixels(scheduler.prepare(video).input);
+        const activation = net.infer(img, 'conv_preds');
+
+        try {
+            await applyPrediction(activation);
+            const latency = performance.now() - started;
+            profiler.record('classify', latency);
+            scheduler.record(latency);
+            fpsRef.current.frameCount++;
+        } catch {
+            // Can fail if no examples
+        }
+
+        img.dispose();
+        activation.dispose();
+    }, [classifier, net, inferencePath, remoteExtractor, classifyRemote, applyPrediction]);
+
+    useEffect(() => runScheduledLoop(schedulerRef.current, predictFrame), [predictFrame]);
+
+    useEffect(() => {
+        schedulerRef.current.configure(schedule);
+    }, [schedule]);
+
+    useEffect(() => {
+        filterRef.current.configure(predictionFilter);
+    }, [predictionFilter]);
+
+    // Closes the BroadcastChannels and WebSockets opened by class actions
+    useEffect(() => () => actionRunnerRef.current.dispose(), []);
+
+    // Smoothed history and stable runs belong to the classes they were computed on
     useEffect(() => {
-        requestRef.current = requestAnimationFrame(predict);
-        return () => cancelAnimationFrame(requestRef.current);
-    }, [predict]);
+        filterRef.current.reset();
+        setStablePrediction(null);
+        setLastFired({});
+    }, [classifier, k, head, neuralHead, project?.id]);
+
+    useEffect(() => saveCameraSettings('train', camera), [camera]);
+    useEffect(() => watchCameras(setCameras), []);
 
     // Clear All
     const clearAll = () => {
         if (classifier) {
             classifier.clearAllClasses();
             setClasses(prev => prev.map(c => ({ ...c, count: 0 })));
+            setThumbnails({});
             setResult(null);
         }
     };
 
     // Add New Class
     const addClass = () => {
-        const newId = classes.length;
+        const newId = Math.max(-1, ...classes.map(c => c.id)) + 1;
         const colors = ['bg-pink-500', 'bg-orange-500', 'bg-cyan-500', 'bg-lime-500', 'bg-rose-500'];
         const randomColor = colors[Math.floor(Math.random() * colors.length)];
         setClasses([...classes, {
@@ -106,12 +433,27 @@ export default function TransferLearner() {
         }]);
     };
 
+    // Delete Class (its samples and thumbnails go with it)
+    const deleteClass = (cls) => {
+        if (cls.count > 0 && !window.confirm(`Delete "${cls.name}" and its ${cls.count} samples?`)) return;
+        if (classifier?.getClassExampleCount()[cls.id]) classifier.clearClass(cls.id);
+        setClasses(prev => prev.filter(c => c.id !== cls.id));
+        setThumbnails(prev => {
+            const { [cls.id]: _removed, ...rest } = prev;
+            return rest;
+        });
+        setResult(null);
+    };
+
+    // KNN labels are class ids
+    const classForLabel = (label) => classes.find(c => String(c.id) === String(label));
+
     return (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
             {/* Visual Input Column */}
             <div className={cn("space-y-6 transition-all duration-500", viewMode === 'predict' ? "" : "")}>
                 <div className={cn("relative rounded-2xl overflow-hidden bg-black border border-white/10 shadow-[0_0_40px_rgba(0,0,0,0.5)] transition-all duration-500 aspect-video")}>
-                    {loading && (
+                    {!ready && (
                         <div className="absolute inset-0 z-50 flex flex-col items-center justify-center bg-gray-900/90 backdrop-blur-md">
                             <div className="relative">
                                 <div className="w-16 h-16 border-4 border-blue-500/30 border-t-blue-500 rounded-full animate-spin" />
@@ -123,17 +465,31 @@ export default function TransferLearner() {
                         </div>
                     )}
 
-                    <Webcam
+                    <CameraFeed
                         ref={webcamRef}
-                        className="w-full h-full object-cover"
-                        videoConstraints={{ facingMode: 'user' }}
-                        muted
+                        settings={camera}
+                        facingMode="user"
+                        className="absolute inset-0 w-full h-full object-cover"
                     />
 
+                    {burst?.phase === 'countdown' && (
+                        <div className="absolute inset-0 z-40 flex items-center justify-center bg-black/30 pointer-events-none">
+                            <span className="text-8xl font-bold text-white drop-shadow-[0_0_20px_rgba(0,0,0,0.8)]">{burst.remaining}</span>
+                        </div>
+                    )}
+                    {burst?.phase === 'recording' && (
+                        <div className="absolute top-4 left-4 z-40 flex items-center gap-2 bg-black/60 backdrop-blur-md border border-red-500/40 rounded-full px-3 py-1 text-xs font-bold text-red-400 pointer-events-none">
+                            <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+                            {classForLabel(burst.target)?.name} · {burst.captured} samples
+                        </div>
+                    )}
+
                     {/* Live Prediction Overlay - ONLY IN PREDICT MODE */}
 
                 </div>
 
+                <CameraControls settings={camera} cameras={cameras} onChange={setCamera} />
+
 
 
                 {/* Mode Toggle Bar - Only visible in Predict Mode or as a small control in Train mode? 
@@ -178,6 +534,10 @@ export default function TransferLearner() {
                             <h2 className="text-xl font-bold text-white flex items-center gap-2">
                                 <Eye className="w-5 h-5 text-blue-400" />
                                 Live Predictions
+                                <span className="font-mono text-xs text-green-400 ml-1">{fps} FPS</span>
+                                <span className="font-mono text-[10px] text-purple-300 bg-purple-500/10 border border-purple-500/20 rounded px-1.5 py-0.5">
+                                    {head === 'neural' && neuralHead ? HEADS[1].label : `${HEADS[0].label} k=${k}`}
+                                </span>
                             </h2>
                             <button
                                 onClick={() => setViewMode('train')}
@@ -187,7 +547,52 @@ export default function TransferLearner() {
                             </button>
                         </div>
 
-                        <div className="space-y-2">
+                        <InferenceToggle
+                            value={inferencePath}
+                            supported={isWorkerInferenceSupported()}
+                            notice={workerNotice}
+                            onChange={switchInferencePath}
+                        />
+
+                        <SchedulerControls schedule={schedule} status={scheduleStatus} onChange={setSchedule} />
+
+                        <PredictionFilterControls
+                            classifier={classifier}
+                            classes={classes}
+                            k={k}
+                            head={head}
+                            neuralHead={neuralHead}
+                            settings={predictionFilter}
+                            similarity={result?.similarity ?? null}
+                            onChange={setPredictionFilter}
+                        />
+
+                        <ActionBindingsPanel
+                            classes={classes}
+                            bindings={actionBindings}
+                            lastFired={lastFired}
+                            onChange={setActionBindings}
+                            onTest={testAction}
+                        />
+
+                        {stablePrediction && (
+                            <div className="flex items-center justify-between text-xs bg-green-500/5 border border-green-500/20 rounded-xl px-3 py-2">
+                                <span className="text-gray-400">Stable prediction</span>
+                                <span className="font-bold text-green-300">
+                                    {stablePrediction.name}
+                                    <span className="font-mono font-normal text-gray-400 ml-2">{new Date(stablePrediction.time).toLocaleTimeString()}</span>
+                                </span>
+                            </div>
+                        )}
+
+                        {result?.unknown && (
+                            <div className="glass-panel p-3 rounded-xl border border-amber-500/30 flex items-center justify-between">
+                                <span className="font-bold text-amber-300 text-sm">Unknown</span>
+                                <span className="text-xs text-gray-400">Unlike anything taught</span>
+                            </div>
+                        )}
+
+                        <div className={cn("space-y-2", result?.unknown && "opacity-40")}>
                             {result && result.confidences ? (
                                 Object.entries(result.confidences)
                                     .map(([label, confidence]) => ({ label, confidence }))
@@ -198,14 +603,14 @@ export default function TransferLearner() {
                                             <div className="glass-panel p-3 rounded-xl flex items-center justify-between relative overflow-hidden">
                                                 {/* Progress Background */}
                                                 <div
-                                                    className={cn("absolute left-0 top-0 bottom-0 opacity-20 transition-all duration-300", classes[item.label]?.color || "bg-gray-500")}
+                                                    className={cn("absolute left-0 top-0 bottom-0 opacity-20 transition-all duration-300", classForLabel(item.label)?.color || "bg-gray-500")}
                                                     style={{ width: `${item.confidence * 100}%` }}
                                                 />
 
                                                 <div className="relative z-10 flex-1">
                                                     <div className="flex justify-between items-center mb-1">
                                                         <span className="font-bold text-white text-sm">
-                                                            {classes[item.label]?.name || `Class ${item.label}`}
+                                                            {classForLabel(item.label)?.name || `Class ${item.label}`}
                                                         </span>
                                                         <span className="font-mono font-bold text-white text-sm">
                                                             {(item.confidence * 100).toFixed(0)}%
@@ -225,6 +630,56 @@ export default function TransferLearner() {
                 )
             }
 
+            {/* Evaluation Column */}
+            {
+                viewMode === 'evaluate' && (
+                    <div className="space-y-4">
+                        <div className="flex items-center justify-between mb-2">
+                            <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                                <BarChart3 className="w-5 h-5 text-blue-400" />
+                                Evaluate
+                            </h2>
+                            <button
+                                onClick={() => setViewMode('train')}
+                                className="bg-gray-800 hover:bg-gray-700 text-white px-4 py-1.5 rounded-lg text-xs font-bold transition-colors border border-white/10 flex items-center gap-2"
+                            >
+                                <Settings className="w-3 h-3" /> Back to Training
+                            </button>
+                        </div>
+
+                        <EvaluationPanel classifier={classifier} classes={classes} k={k} headConfig={headConfig} onKChange={setK} />
+                    </div>
+                )
+            }
+
+            {/* Box Annotation Column */}
+            {
+                viewMode === 'annotate' && (
+                    <div className="space-y-4">
+                        <div className="flex items-center justify-between mb-2">
+                            <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                                <Crosshair className="w-5 h-5 text-cyan-400" />
+                                Teach a Detector
+                            </h2>
+                            <button
+                                onClick={() => setViewMode('train')}
+                                className="bg-gray-800 hover:bg-gray-700 text-white px-4 py-1.5 rounded-lg text-xs font-bold transition-colors border border-white/10 flex items-center gap-2"
+                            >
+                                <Settings className="w-3 h-3" /> Back to Training
+                            </button>
+                        </div>
+
+                        <AnnotationPanel
+                            project={project}
+                            net={net}
+                            classes={classes}
+                            captureSource={() => (webcamRef.current?.ready ? webcamRef.current.source : null)}
+                            onTrained={installBoxDetector}
+                        />
+                    </div>
+                )
+            }
+
             {/* Training Controls Column - Hidden in Predict Mode */}
             {
                 viewMode === 'train' && (
@@ -234,13 +689,56 @@ export default function TransferLearner() {
                                 <Zap className="w-5 h-5 text-yellow-400" />
                                 Machine Teaching
                             </h2>
-                            <div className="flex gap-2">
+                            <div className="flex flex-wrap justify-end gap-2">
                                 <button
                                     onClick={() => setViewMode('predict')}
                                     className="px-4 py-1.5 text-xs font-bold bg-green-500/10 text-green-400 hover:bg-green-500/20 border border-green-500/20 rounded-lg transition-colors flex items-center gap-2"
                                 >
                                     <Eye className="w-3 h-3" /> Test / Predict
                                 </button>
+                                <button
+                                    onClick={() => setViewMode('evaluate')}
+                                    className="px-3 py-1.5 text-xs font-bold text-blue-300 hover:bg-blue-500/10 border border-blue-500/20 rounded-lg transition-colors flex items-center gap-2"
+                                    title="Measure accuracy on held-out examples"
+                                >
+                                    <BarChart3 className="w-3 h-3" /> Evaluate
+                                </button>
+                                <button
+                                    onClick={() => setViewMode('annotate')}
+                                    className="px-3 py-1.5 text-xs font-bold text-cyan-300 hover:bg-cyan-500/10 border border-cyan-500/20 rounded-lg transition-colors flex items-center gap-2"
+                                    title="Draw boxes to teach an object detector"
+                                >
+                                    <Crosshair className="w-3 h-3" /> Boxes
+                                </button>
+                                <button
+                                    onClick={exportBundle}
+                                    className="px-3 py-1.5 text-xs font-bold text-blue-300 hover:bg-blue-500/10 border border-blue-500/20 rounded-lg transition-colors flex items-center gap-2"
+                                    title="Export trained classifier"
+                                >
+                                    <Download className="w-3 h-3" /> Export
+                                </button>
+                                <button
+                                    onClick={exportStandalone}
+                                    disabled={exporting}
+                                    className="px-3 py-1.5 text-xs font-bold text-blue-300 hover:bg-blue-500/10 border border-blue-500/20 rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50"
+                                    title="Export MobileNet + the active head as TF.js models for other web pages"
+                                >
+                                    <Package className="w-3 h-3" /> {exporting ? 'Packing…' : 'Standalone'}
+                                </button>
+                                <button
+                                    onClick={() => importInputRef.current?.click()}
+                                    className="px-3 py-1.5 text-xs font-bold text-blue-300 hover:bg-blue-500/10 border border-blue-500/20 rounded-lg transition-colors flex items-center gap-2"
+                                    title="Import classifier bundle"
+                                >
+                                    <Upload className="w-3 h-3" /> Import
+                                </button>
+                                <input
+                                    ref={importInputRef}
+                                    type="file"
+                                    accept=".json,application/json"
+                                    className="hidden"
+                                    onChange={onImportFile}
+                                />
                                 <button
                                     onClick={clearAll}
                                     className="px-3 py-1.5 text-xs font-bold text-red-400 hover:bg-red-500/10 border border-red-500/20 rounded-lg transition-colors flex items-center gap-2"
@@ -250,12 +748,114 @@ export default function TransferLearner() {
                             </div>
                         </div>
 
+                        {importError && (
+                            <div className="flex items-start justify-between gap-2 bg-red-500/10 border border-red-500/20 p-3 rounded-xl text-xs text-red-300">
+                                <span>Import failed: {importError}</span>
+                                <button onClick={() => setImportError(null)} className="text-red-300 hover:text-white">
+                                    <X className="w-3 h-3" />
+                                </button>
+                            </div>
+                        )}
+
+                        {exportError && (
+                            <div className="flex items-start justify-between gap-2 bg-red-500/10 border border-red-500/20 p-3 rounded-xl text-xs text-red-300">
+                                <span>Standalone export failed: {exportError}</span>
+                                <button onClick={() => setExportError(null)} className="text-red-300 hover:text-white">
+                                    <X className="w-3 h-3" />
+                                </button>
+                            </div>
+                        )}
+
+                        {pendingImport && (
+                            <div className="bg-blue-500/5 border border-blue-500/20 p-3 rounded-xl text-xs text-blue-200 space-y-2">
+                                <p>
+                                    Import <strong>{pendingImport.bundle.name || 'classifier'}</strong>: {pendingImport.bundle.classes.length} classes, {
+                                        Object.values(pendingImport.dataset).reduce((sum, entry) => sum + entry.shape[0], 0)
+                                    } samples.
+                                </p>
+                                <div className="flex gap-2">
+                                    <button onClick={() => confirmImport('merge')} className="px-3 py-1 font-bold bg-blue-500/20 hover:bg-blue-500/30 rounded-lg">Merge</button>
+                                    <button onClick={() => confirmImport('replace')} className="px-3 py-1 font-bold bg-red-500/20 hover:bg-red-500/30 text-red-300 rounded-lg">Replace</button>
+                                    <button onClick={() => setPendingImport(null)} className="px-3 py-1 text-gray-400 hover:text-white">Cancel</button>
+                                </div>
+                            </div>
+                        )}
+
+                        {project && (
+                            <ProjectList
+                                projects={projects}
+                                activeId={project.id}
+                                onSelect={switchProject}
+                                onCreate={newProject}
+                                onRename={renameExistingProject}
+                                onDelete={removeProject}
+                            />
+                        )}
+
+                        <NeuralHeadPanel
+                            classifier={classifier}
+                            classes={classes}
+                            head={head}
+                            neuralHead={neuralHead}
+                            config={headConfig}
+                            onConfigChange={setHeadConfig}
+                            onHeadChange={setHead}
+                            onTrained={installNeuralHead}
+                        />
+
+                        {/* Burst capture (hold Train) */}
+                        <div className="flex items-center justify-between gap-2 text-xs">
+                            <span className="text-gray-400">Hold Train to burst</span>
+                            <div className="flex gap-1">
+                                <select
+                                    value={burstSettings.rate}
+                                    onChange={(e) => setBurstSettings(prev => ({ ...prev, rate: Number(e.target.value) }))}
+                                    className="bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white"
+                                    title="Samples per second"
+                                >
+                                    {BURST_RATES.map(rate => <option key={rate} value={rate}>{rate}/s</option>)}
+                                </select>
+                                <select
+                                    value={burstSettings.countdown}
+                                    onChange={(e) => setBurstSettings(prev => ({ ...prev, countdown: Number(e.target.value) }))}
+                                    className="bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white"
+                                    title="Countdown before recording"
+                                >
+                                    {BURST_COUNTDOWNS.map(sec => <option key={sec} value={sec}>{sec ? `${sec}s countdown` : 'No countdown'}</option>)}
+                                </select>
+                            </div>
+                        </div>
+
+                        {/* Augmentation for uploaded images */}
+                        <div className="flex items-center justify-between gap-2 text-xs">
+                            <span className="text-gray-400">
+                                Augment uploads <span className="font-mono text-white/70">×{1 + Object.values(augment).filter(Boolean).length}</span>
+                            </span>
+                            <div className="flex gap-1">
+                                {AUGMENTATIONS.map(option => (
+                                    <button
+                                        key={option.id}
+                                        onClick={() => setAugment(prev => ({ ...prev, [option.id]: !prev[option.id] }))}
+                                        title={option.hint}
+                                        className={cn(
+                                            "px-2 py-1 rounded-lg font-bold border transition-colors",
+                                            augment[option.id]
+                                                ? "bg-blue-500/20 border-blue-400/50 text-white"
+                                                : "border-white/10 text-gray-400 hover:bg-white/10"
+                                        )}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
                         <div className="space-y-3 max-h-[60vh] overflow-y-auto custom-scrollbar pr-2">
                             {classes.map((cls) => (
                                 <div key={cls.id} className="relative group">
                                     <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/5 to-transparent opacity-0 group-hover:opacity-100 transition-opacity rounded-xl" />
 
-                                    <div className="glass-panel p-4 rounded-xl flex items-center justify-between relative overflow-hidden">
+                                    <div className="glass-panel p-4 rounded-xl relative overflow-hidden space-y-3">
 
                                         {/* Progress Background */}
                                         <div
@@ -263,32 +863,50 @@ export default function TransferLearner() {
                                             style={{ width: `${Math.min(cls.count * 2, 100)}%` }} // Visual progress up to 50 samples
                                         />
 
-                                        <div className="relative z-10 flex-1 mr-4">
-                                            <input
-                                                value={cls.name}
-                                                onChange={(e) => setClasses(prev => prev.map(c => c.id === cls.id ? { ...c, name: e.target.value } : c))}
-                                                className="bg-transparent text-lg font-bold text-white outline-none border-b border-transparent focus:border-white/30 placeholder-gray-500 w-full"
-                                            />
-                                            <div className="text-xs text-gray-400 mt-1 flex items-center gap-2">
-                                                <span className="font-mono text-white/80 bg-white/10 px-1.5 rounded">{cls.count} samples</span>
-                                                {cls.count > 0 && cls.count < 10 && <span className="text-yellow-500">More needed...</span>}
-                                                {cls.count >= 10 && <span className="text-green-500 flex items-center gap-1"><CheckCircle2 className="w-3 h-3" /> Ready</span>}
+                                        <div className="flex items-center justify-between">
+                                            <div className="relative z-10 flex-1 mr-4">
+                                                <input
+                                                    value={cls.name}
+                                                    onChange={(e) => setClasses(prev => prev.map(c => c.id === cls.id ? { ...c, name: e.target.value } : c))}
+                                                    className="bg-transparent text-lg font-bold text-white outline-none border-b border-transparent focus:border-white/30 placeholder-gray-500 w-full"
+                                                />
+                                                <div className="text-xs text-gray-400 mt-1 flex items-center gap-2">
+                                                    <span className="font-mono text-white/80 bg-white/10 px-1.5 rounded">{cls.count} samples</span>
+                                                    <button
+                                                        onClick={() => deleteClass(cls)}
+                                                        className="p-0.5 text-gray-500 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                                                        title="Delete class"
+                                                    >
+                                                        <Trash2 className="w-3 h-3" />
+                                                    </button>
+                                                    {cls.count > 0 && cls.count < 10 && <span className="text-yellow-500">More needed...</span>}
+                                                    {cls.count >= 10 && <span className="text-green-500 flex items-center gap-1"><CheckCircle2 className="w-3 h-3" /> Ready</span>}
+                                                </div>
+                                            </div>
+
+                                            <div className="flex flex-col gap-2">
+                                                <motion.button
+                                                    whileTap={{ scale: 0.95 }}
+                                                    {...trainButtonHandlers(cls.id)}
+                                                    className={cn(
+                                                        "relative z-10 px-6 py-3 rounded-lg font-bold text-white shadow-lg flex items-center gap-2 transition-all active:scale-95 touch-none select-none",
+                                                        cls.color
+                                                    )}
+                                                    title="Click for one sample, hold to record a burst"
+                                                >
+                                                    <Plus className="w-5 h-5" />
+                                                    {burst?.target === cls.id && burst.phase === 'recording' ? `+${burst.captured}` : 'Train'}
+                                                </motion.button>
                                             </div>
                                         </div>
 
-                                        <div className="flex flex-col gap-2">
-                                            <motion.button
-                                                whileTap={{ scale: 0.95 }}
-                                                onClick={() => addExample(cls.id)}
-                                                className={cn(
-                                                    "relative z-10 px-6 py-3 rounded-lg font-bold text-white shadow-lg flex items-center gap-2 transition-all active:scale-95",
-                                                    cls.color
-                                                )}
-                                            >
-                                                <Plus className="w-5 h-5" />
-                                                Train
-                                            </motion.button>
-                                        </div>
+                                        <ClassExamples
+                                            thumbnails={thumbnails[cls.id] ?? []}
+                                            importing={importing?.classId === cls.id ? importing : null}
+                                            disabled={!ready || Boolean(importing)}
+                                            onAddFiles={(files) => addImages(cls.id, files)}
+                                            onRemove={(index) => removeExampleAt(cls.id, index)}
+                                        />
                                     </div>
                                 </div>
                             ))}
@@ -0,0 +1,62 @@
+import React from 'react';
+import { Film, Square, ScanSearch } from 'lucide-react';
+
+const SAMPLE_RATES = [1, 2, 5, 10, 15, 30];
+
+export default function VideoAnalysisPanel({ sampleRate, onSampleRateChange, status, progress, error, frameCount, onStart, onCancel }) {
+    const running = status === 'running';
+    const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+    return (
+        <div className="glass-panel p-5 rounded-2xl">
+            <div className="flex items-center gap-2 mb-4">
+                <Film className="w-5 h-5 text-pink-400" />
+                <h3 className="font-bold text-white">Analyse Video</h3>
+            </div>
+
+            <div className="space-y-4">
+                <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-400">Sample Rate</span>
+                    <select
+                        value={sampleRate}
+                        disabled={running}
+                        onChange={(e) => onSampleRateChange(parseInt(e.target.value, 10))}
+                        className="bg-gray-800 border border-white/10 rounded-lg px-2 py-1 text-xs text-white"
+                    >
+                        {SAMPLE_RATES.map(rate => <option key={rate} value={rate}>{rate} fps</option>)}
+                    </select>
+                </div>
+
+                {running ? (
+                    <div className="space-y-2">
+                        <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+                            <div className="h-full bg-pink-500 transition-all duration-200" style={{ width: `${percent}%` }} />
+                        </div>
+                        <div className="flex items-center justify-between text-xs text-gray-400">
+                            <span className="font-mono">Frame {progress.done} / {progress.total} ({percent}%)</span>
+                            <button
+                                onClick={onCancel}
+                                className="px-2 py-1 font-bold text-red-400 hover:bg-red-500/10 border border-red-500/20 rounded-lg flex items-center gap-1"
+                            >
+                                <Square className="w-3 h-3" /> Cancel
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <button
+                        onClick={onStart}
+                        className="w-full py-2 text-sm font-bold bg-pink-500/10 text-pink-300 hover:bg-pink-500/20 border border-pink-500/20 rounded-lg transition-colors flex items-center justify-center gap-2"
+                    >
+                        <ScanSearch className="w-4 h-4" /> Analyse every sampled frame
+                    </button>
+                )}
+
+                {status === 'done' && (
+                    <p className="text-xs text-green-400">Analysed {frameCount} frames. Click the timeline to inspect.</p>
+                )}
+                {status === 'cancelled' && <p className="text-xs text-yellow-500">Analysis cancelled.</p>}
+                {error && <p className="text-xs text-red-400">Analysis failed: {error}</p>}
+            </div>
+        </div>
+    );
+}
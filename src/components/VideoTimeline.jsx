@@ -0,0 +1,67 @@
+import React from 'react';
+import { GanttChart } from 'lucide-react';
+
+const SEGMENT_COLORS = ['bg-blue-500', 'bg-pink-500', 'bg-emerald-500', 'bg-amber-500', 'bg-purple-500', 'bg-cyan-500', 'bg-rose-500', 'bg-lime-500'];
+
+function formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = (seconds % 60).toFixed(1).padStart(4, '0');
+    return `${m}:${s}`;
+}
+
+// Per-class presence timeline for an analysed video; clicking seeks the video
+export default function VideoTimeline({ timeline, duration, currentTime, onSeek }) {
+    const classNames = Object.keys(timeline).sort((a, b) => timeline[b].length - timeline[a].length || a.localeCompare(b));
+
+    const seekFromEvent = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        onSeek(ratio * duration);
+    };
+
+    return (
+        <div className="glass-panel p-4 rounded-2xl">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="font-bold text-white flex items-center gap-2 text-sm">
+                    <GanttChart className="w-4 h-4 text-pink-400" />
+                    Detection Timeline
+                </h3>
+                <span className="font-mono text-xs text-gray-400">{formatTime(currentTime)} / {formatTime(duration)}</span>
+            </div>
+
+            {classNames.length === 0 ? (
+                <p className="text-gray-500 text-sm text-center italic py-2">No objects found in the analysed frames</p>
+            ) : (
+                <div className="space-y-1.5 max-h-56 overflow-y-auto custom-scrollbar pr-1">
+                    {classNames.map((className, row) => (
+                        <div key={className} className="flex items-center gap-3">
+                            <span className="w-24 shrink-0 text-xs capitalize text-gray-300 truncate" title={className}>{className}</span>
+                            <div className="relative flex-1 h-5 bg-white/5 rounded cursor-pointer" onClick={seekFromEvent}>
+                                {timeline[className].map((segment, i) => (
+                                    <button
+                                        key={i}
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            onSeek(segment.start);
+                                        }}
+                                        title={`${className}: ${formatTime(segment.start)}–${formatTime(segment.end)} · up to ${segment.peakCount} · ${Math.round(segment.peakScore * 100)}%`}
+                                        className={`absolute top-0.5 bottom-0.5 rounded-sm opacity-80 hover:opacity-100 ${SEGMENT_COLORS[row % SEGMENT_COLORS.length]}`}
+                                        style={{
+                                            left: `${(segment.start / duration) * 100}%`,
+                                            width: `max(2px, ${((segment.end - segment.start) / duration) * 100}%)`
+                                        }}
+                                    />
+                                ))}
+                                {/* Playhead */}
+                                <div
+                                    className="absolute top-0 bottom-0 w-px bg-white pointer-events-none"
+                                    style={{ left: `${(currentTime / duration) * 100}%` }}
+                                />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
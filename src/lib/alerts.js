@@ -0,0 +1,76 @@
+// Side effects a firing rule can trigger: a beep, a browser notification and a
+// JSON POST to a user-configured (typically local) webhook.
+
+let audioContext = null;
+
+export function playAlertSound({ frequency = 880, waveform = 'square', duration = 0.4 } = {}) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    audioContext ??= new AudioContextClass();
+
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = waveform;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.15, audioContext.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + duration);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start();
+    oscillator.stop(audioContext.currentTime + duration);
+}
+
+export function notificationsSupported() {
+    return typeof Notification !== 'undefined';
+}
+
+// Must be called from a user gesture (e.g. enabling the action on a rule)
+export async function requestNotificationPermission() {
+    if (!notificationsSupported()) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    return Notification.requestPermission();
+}
+
+export function showNotification(title, body, imageUrl) {
+    if (!notificationsSupported() || Notification.permission !== 'granted') return;
+    new Notification(title, { body, icon: imageUrl, tag: title });
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+export async function postWebhook(url, event) {
+    const { snapshot, ...payload } = event;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            ...payload,
+            timestamp: new Date(event.time).toISOString(),
+            snapshot: snapshot ? await blobToDataUrl(snapshot) : null
+        })
+    });
+    if (!response.ok) throw new Error(`Webhook responded ${response.status}`);
+}
+
+// Runs the actions enabled on the event's rule; failures are reported, never thrown
+export async function runRuleActions(rule, event, webhookUrl) {
+    if (rule.actions.sound) playAlertSound();
+    if (rule.actions.notify) {
+        const imageUrl = event.snapshot ? URL.createObjectURL(event.snapshot) : undefined;
+        showNotification(`NeuralVision: ${event.ruleName}`, event.message, imageUrl);
+        if (imageUrl) setTimeout(() => URL.revokeObjectURL(imageUrl), 10000);
+    }
+    if (rule.actions.webhook && webhookUrl) {
+        try {
+            await postWebhook(webhookUrl, event);
+        } catch (err) {
+            console.warn('Webhook delivery failed:', err);
+        }
+    }
+}
@@ -0,0 +1,148 @@
+// Line-crossing and zone counting over tracked detections.
+// Regions are stored in normalized source coordinates (0..1) so they survive
+// resizes and resolution changes:
+//   { id, type: 'line' | 'zone', name, points: [[x, y], ...] }
+// Each track is reduced to its bottom-center point (where it touches the ground).
+
+const STALE_AFTER = 60; // Updates before a vanished track's state is forgotten
+
+export function createRegionId() {
+    return globalThis.crypto?.randomUUID?.() ?? `region-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Sign of the point relative to the directed line a -> b
+function side(a, b, p) {
+    return Math.sign((b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]));
+}
+
+export function segmentsIntersect(p1, p2, q1, q2) {
+    const d1 = side(q1, q2, p1);
+    const d2 = side(q1, q2, p2);
+    const d3 = side(p1, p2, q1);
+    const d4 = side(p1, p2, q2);
+    return d1 !== d2 && d3 !== d4 && d1 !== 0 && d2 !== 0;
+}
+
+export function pointInPolygon([x, y], polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Normal pointing to the "forward" side of a directed line (for drawing arrows)
+export function lineNormal([a, b]) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const length = Math.hypot(dx, dy) || 1;
+    return [-dy / length, dx / length];
+}
+
+function anchorPoint(track, width, height) {
+    const [x, y, w, h] = track.bbox;
+    return [(x + w / 2) / width, (y + h) / height];
+}
+
+function increment(counts, regionId, className, key) {
+    counts[regionId] ??= {};
+    counts[regionId][className] ??= { in: 0, out: 0 };
+    counts[regionId][className][key]++;
+}
+
+// Counts per region and class:
+//   lines: in = crossed towards the arrow (forward), out = crossed against it
+//   zones: in = entered, out = left; occupancy = currently inside
+export function createRegionCounter() {
+    let counts = {};
+    let memory = new Map(); // trackId -> { point, inside: Set<regionId>, lastSeen }
+    let tick = 0;
+
+    function update(tracks, regions, { width, height }) {
+        tick++;
+        const events = [];
+
+        tracks.forEach((track) => {
+            if (track.trackId === undefined || track.occluded) return;
+
+            const point = anchorPoint(track, width, height);
+            const previous = memory.get(track.trackId);
+            const inside = new Set();
+
+            regions.forEach((region) => {
+                if (region.type === 'line' && previous) {
+                    const [a, b] = region.points;
+                    if (segmentsIntersect(previous.point, point, a, b)) {
+                        const direction = side(a, b, point) > 0 ? 'in' : 'out';
+                        increment(counts, region.id, track.class, direction);
+                        events.push({ type: 'cross', direction, regionId: region.id, trackId: track.trackId, class: track.class });
+                    }
+                }
+
+                if (region.type === 'zone' && region.points.length >= 3) {
+                    const isInside = pointInPolygon(point, region.points);
+                    const wasInside = previous?.inside.has(region.id) ?? false;
+                    if (isInside) inside.add(region.id);
+                    // First sighting inside a zone is not an entry (object appeared there)
+                    if (previous && isInside !== wasInside) {
+                        const direction = isInside ? 'in' : 'out';
+                        increment(counts, region.id, track.class, direction);
+                        events.push({
+                            type: isInside ? 'enter' : 'leave',
+                            direction,
+                            regionId: region.id,
+                            trackId: track.trackId,
+                            class: track.class
+                        });
+                    }
+                }
+            });
+
+            memory.set(track.trackId, { point, inside, class: track.class, lastSeen: tick });
+        });
+
+        memory.forEach((entry, trackId) => {
+            if (tick - entry.lastSeen > STALE_AFTER) memory.delete(trackId);
+        });
+
+        return events;
+    }
+
+    function getOccupancy(regionId) {
+        const occupancy = {};
+        memory.forEach((entry) => {
+            if (entry.lastSeen === tick && entry.inside.has(regionId)) {
+                occupancy[entry.class] = (occupancy[entry.class] || 0) + 1;
+            }
+        });
+        return occupancy;
+    }
+
+    function getSnapshot(regions) {
+        const snapshot = {};
+        regions.forEach((region) => {
+            snapshot[region.id] = {
+                byClass: structuredClone(counts[region.id] || {}),
+                occupancy: region.type === 'zone' ? getOccupancy(region.id) : {}
+            };
+        });
+        return snapshot;
+    }
+
+    // Forget track state (e.g. the source changed and track ids restart) but keep counts
+    function clearTracks() {
+        memory = new Map();
+    }
+
+    function reset() {
+        counts = {};
+        memory = new Map();
+        tick = 0;
+    }
+
+    return { update, getSnapshot, clearTracks, reset };
+}
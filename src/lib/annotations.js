@@ -0,0 +1,81 @@
+import * as tf from '@tensorflow/tfjs';
+import { getRecord, putRecord, deleteRecord } from './db';
+import { getSourceSize } from './viewport';
+
+// Box annotations for teaching a detector, one record per project:
+//   { id: projectId, images: [{ id, dataUrl, width, height, boxes: [{ id, classId, x, y, w, h }] }] }
+// Box coordinates are fractions of the image so they survive any display size.
+
+const IMAGE_MAX_SIZE = 640;
+export const MIN_BOX_SIZE = 0.02; // Smaller drags are treated as clicks
+
+function createId() {
+    return globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+export function createBoxId() {
+    return createId();
+}
+
+export async function loadAnnotations(projectId) {
+    const record = await getRecord('annotations', projectId);
+    return record?.images ?? [];
+}
+
+export function saveAnnotations(projectId, images) {
+    return putRecord('annotations', { id: projectId, images });
+}
+
+export function removeAnnotations(projectId) {
+    return deleteRecord('annotations', projectId);
+}
+
+// Downscaled JPEG copy of a video/canvas/image/bitmap as a new, unannotated image
+function toAnnotationImage(source, sourceWidth, sourceHeight) {
+    const scale = Math.min(1, IMAGE_MAX_SIZE / Math.max(sourceWidth, sourceHeight));
+    const width = Math.round(sourceWidth * scale);
+    const height = Math.round(sourceHeight * scale);
+    const canvas = Object.assign(document.createElement('canvas'), { width, height });
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    return { id: createId(), dataUrl: canvas.toDataURL('image/jpeg', 0.85), width, height, boxes: [] };
+}
+
+// Freezes the current frame of a camera feed
+export function captureAnnotationImage(source) {
+    const { width, height } = getSourceSize(source);
+    if (!width || !height) throw new Error('Camera is not ready yet');
+    return toAnnotationImage(source, width, height);
+}
+
+export async function readAnnotationImage(file) {
+    const bitmap = await createImageBitmap(file);
+    try {
+        return toAnnotationImage(bitmap, bitmap.width, bitmap.height);
+    } finally {
+        bitmap.close();
+    }
+}
+
+function decodeImage(dataUrl) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to decode annotated image'));
+        img.src = dataUrl;
+    });
+}
+
+// Input for trainBoxDetector(). `labels` lists the classes that have boxes, in
+// class order, and box classIndex points into it. Boxes of deleted classes are
+// dropped; images without boxes stay in as background examples.
+export function buildDetectorTrainingSet(images, classes) {
+    const used = new Set(images.flatMap(image => image.boxes.map(box => box.classId)));
+    const labels = classes.filter(c => used.has(c.id)).map(({ id, name }) => ({ id, name }));
+    const trainingImages = images.map(image => ({
+        pixels: async () => tf.browser.fromPixels(await decodeImage(image.dataUrl)),
+        boxes: image.boxes
+            .map(({ classId, x, y, w, h }) => ({ x, y, w, h, classIndex: labels.findIndex(label => label.id === classId) }))
+            .filter(box => box.classIndex >= 0)
+    }));
+    return { labels, images: trainingImages };
+}
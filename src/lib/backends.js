@@ -0,0 +1,94 @@
+import * as tf from '@tensorflow/tfjs';
+import wasmUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url';
+import wasmSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url';
+import wasmThreadedSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url';
+
+// Runtime TF.js backend selection.
+// wasm and webgpu are imported on demand so they only cost a download when picked.
+// The wasm backend uses SIMD and threads on its own when the browser allows it
+// (threads additionally need a cross-origin isolated page).
+
+const STORAGE_KEY = 'neuralvision.backend';
+
+export const BACKENDS = [
+    { id: 'webgl', label: 'WebGL', hint: 'GPU via WebGL 2' },
+    { id: 'webgpu', label: 'WebGPU', hint: 'GPU via WebGPU (recent Chromium)' },
+    { id: 'wasm', label: 'WASM', hint: 'CPU, SIMD / threads when supported' },
+    { id: 'cpu', label: 'CPU', hint: 'Plain JavaScript, slowest' }
+];
+
+function hasWebGl() {
+    try {
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(1, 1)
+            : document.createElement('canvas');
+        return Boolean(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+    } catch {
+        return false;
+    }
+}
+
+export function isBackendSupported(id) {
+    switch (id) {
+        case 'webgl': return hasWebGl();
+        case 'webgpu': return typeof navigator !== 'undefined' && 'gpu' in navigator;
+        case 'wasm': return typeof WebAssembly === 'object';
+        default: return true;
+    }
+}
+
+async function registerBackend(id) {
+    if (id === 'wasm') {
+        const wasm = await import('@tensorflow/tfjs-backend-wasm');
+        wasm.setWasmPaths({
+            'tfjs-backend-wasm.wasm': wasmUrl,
+            'tfjs-backend-wasm-simd.wasm': wasmSimdUrl,
+            'tfjs-backend-wasm-threaded-simd.wasm': wasmThreadedSimdUrl
+        });
+    } else if (id === 'webgpu') {
+        await import('@tensorflow/tfjs-backend-webgpu');
+    }
+}
+
+export async function setBackend(id) {
+    await registerBackend(id);
+    if (!(await tf.setBackend(id))) {
+        throw new Error(`The ${id} backend failed to initialize`);
+    }
+    await tf.ready();
+    return tf.getBackend();
+}
+
+export function getPreferredBackend() {
+    return localStorage.getItem(STORAGE_KEY);
+}
+
+export function setPreferredBackend(id) {
+    localStorage.setItem(STORAGE_KEY, id);
+}
+
+// Applies the stored choice, falling back to whatever tf.ready() picks
+export async function initBackend() {
+    const preferred = getPreferredBackend();
+    if (preferred && isBackendSupported(preferred)) {
+        try {
+            return await setBackend(preferred);
+        } catch (err) {
+            console.warn(`Preferred backend ${preferred} unavailable:`, err);
+        }
+    }
+    await tf.ready();
+    return tf.getBackend();
+}
+
+export async function describeBackend() {
+    const name = tf.getBackend();
+    const info = { name, crossOriginIsolated: Boolean(globalThis.crossOriginIsolated) };
+    if (name === 'wasm') {
+        info.simd = await tf.env().getAsync('WASM_HAS_SIMD_SUPPORT');
+        info.threads = await tf.env().getAsync('WASM_HAS_MULTITHREAD_SUPPORT');
+        const wasm = await import('@tensorflow/tfjs-backend-wasm');
+        info.threadCount = wasm.getThreadsCount();
+    }
+    return info;
+}
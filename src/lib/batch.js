@@ -0,0 +1,69 @@
+import * as tf from '@tensorflow/tfjs';
+import { detectCandidates } from './detection';
+import { postprocessDetections, minimumScore } from './postprocess';
+
+// Sequential detection over many image files.
+// Only one decoded image is alive at a time: each bitmap is closed as soon as
+// its thumbnail is drawn, and detection tensors are disposed per image.
+
+const THUMBNAIL_SIZE = 200;
+
+export function isImageFile(file) {
+    return file.type.startsWith('image/');
+}
+
+async function createThumbnail(bitmap) {
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    return URL.createObjectURL(blob);
+}
+
+// Relative path for folder drops (react-dropzone sets `path`), else the plain name
+export function displayPath(file) {
+    return (file.path || file.webkitRelativePath || file.name).replace(/^\.?\//, '');
+}
+
+// True for files that came from a dropped or selected folder
+export function isFromFolder(file) {
+    return displayPath(file).includes('/');
+}
+
+export async function processImageBatch({ files, detector, settings, signal, onResult }) {
+    for (let index = 0; index < files.length; index++) {
+        if (signal?.aborted) {
+            throw new DOMException('Batch cancelled', 'AbortError');
+        }
+
+        const file = files[index];
+        let bitmap = null;
+        try {
+            bitmap = await createImageBitmap(file);
+            const candidates = await detectCandidates(detector, bitmap, minimumScore(settings));
+            onResult({
+                index,
+                file,
+                name: displayPath(file),
+                width: bitmap.width,
+                height: bitmap.height,
+                thumbnailUrl: await createThumbnail(bitmap),
+                predictions: postprocessDetections(candidates, settings),
+                error: null
+            });
+        } catch (err) {
+            onResult({ index, file, name: displayPath(file), predictions: [], error: err.message });
+        } finally {
+            bitmap?.close();
+        }
+
+        // Let the UI breathe between images
+        await tf.nextFrame();
+    }
+}
+
+export function revokeBatchThumbnails(items) {
+    items.forEach(item => item.thumbnailUrl && URL.revokeObjectURL(item.thumbnailUrl));
+}
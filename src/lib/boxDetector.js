@@ -0,0 +1,264 @@
+import * as tf from '@tensorflow/tfjs';
+import { EMBEDDING_LAYER, INPUT_SIZE, loadFeatureExtractor } from './featureExtractor';
+import { disposeModel } from './denseHead';
+
+// Taught object detector: a small convolutional head on MobileNet's last
+// feature map (GRID x GRID cells at INPUT_SIZE). Every cell predicts
+//   [objectness, x, y, sqrt(w), sqrt(h), ...class logits]
+// YOLO-style: a box belongs to the cell holding its center, x/y are offsets
+// inside that cell and w/h are fractions of the image. Only the head is
+// trained, on feature maps computed once per annotated image (plus a mirrored
+// copy) on the active backend; the head itself is fitted on the CPU backend and
+// its weights copied back (nothing else runs inference while the Annotate view trains).
+// Candidates come out like every other detector's: [{ bbox: [x, y, w, h], class, score }].
+
+export const GRID = 7;
+export const DEFAULT_DETECTOR_TRAINING = { epochs: 60, learningRate: 0.001, batchSize: 8 };
+
+// Fallback when the graph can't be inspected (the input of the embedding pool)
+const FEATURE_MAP_LAYER = 'module_apply_default/MobilenetV1/MobilenetV1/Conv2d_13_pointwise/Relu6';
+const BOX_CHANNELS = 5;
+const OBJECT_WEIGHT = 5; // Positive cells are rare; weigh their objectness up
+const BOX_WEIGHT = 5;
+
+const storageKey = (projectId) => `indexeddb://neuralvision-detector-${projectId}`;
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+function featureMapNode(net) {
+    return net.model.executor?.graph?.nodes?.[EMBEDDING_LAYER]?.inputs?.[0]?.name ?? FEATURE_MAP_LAYER;
+}
+
+// [1, GRID, GRID, depth] features of a [h, w, 3] pixel tensor, preprocessed like MobileNet's infer()
+function featureMap(net, pixels) {
+    return tf.tidy(() => {
+        const normalized = pixels.toFloat().mul(2 / 255).sub(1);
+        const resized = tf.image.resizeBilinear(normalized, [INPUT_SIZE, INPUT_SIZE], true).expandDims(0);
+        return net.model.execute(resized, featureMapNode(net));
+    });
+}
+
+// Training target of one image; boxes are { x, y, w, h } fractions plus classIndex
+function encodeTargets(boxes, numClasses, mirrored) {
+    const channels = BOX_CHANNELS + numClasses;
+    const target = new Float32Array(GRID * GRID * channels);
+    const taken = new Float32Array(GRID * GRID); // Area of the box owning each cell
+    boxes.forEach(({ x, y, w, h, classIndex }) => {
+        const cx = (mirrored ? 1 - x - w : x) + w / 2;
+        const cy = y + h / 2;
+        const col = Math.min(GRID - 1, Math.floor(cx * GRID));
+        const row = Math.min(GRID - 1, Math.floor(cy * GRID));
+        const cell = row * GRID + col;
+        if (taken[cell] >= w * h) return; // Larger box already owns this cell
+        taken[cell] = w * h;
+
+        const offset = cell * channels;
+        target.fill(0, offset, offset + channels);
+        target.set([1, cx * GRID - col, cy * GRID - row, Math.sqrt(w), Math.sqrt(h)], offset);
+        target[offset + BOX_CHANNELS + classIndex] = 1;
+    });
+    return target;
+}
+
+function detectionLoss(yTrue, yPred) {
+    return tf.tidy(() => {
+        const objTrue = yTrue.slice([0, 0, 0, 0], [-1, -1, -1, 1]);
+        const objLogits = yPred.slice([0, 0, 0, 0], [-1, -1, -1, 1]);
+        const positives = objTrue.sum().maximum(1);
+
+        const objectness = tf.losses.sigmoidCrossEntropy(objTrue, objLogits, objTrue.mul(OBJECT_WEIGHT - 1).add(1));
+        const boxError = tf.sigmoid(yPred.slice([0, 0, 0, 1], [-1, -1, -1, 4]))
+            .sub(yTrue.slice([0, 0, 0, 1], [-1, -1, -1, 4]))
+            .square()
+            .mul(objTrue)
+            .sum()
+            .div(positives);
+        const classError = yTrue.slice([0, 0, 0, BOX_CHANNELS], [-1, -1, -1, -1])
+            .mul(tf.logSoftmax(yPred.slice([0, 0, 0, BOX_CHANNELS], [-1, -1, -1, -1])))
+            .sum(-1, true)
+            .mul(objTrue)
+            .sum()
+            .neg()
+            .div(positives);
+        return objectness.add(boxError.mul(BOX_WEIGHT)).add(classError);
+    });
+}
+
+function buildHead(depth, numClasses, learningRate) {
+    const model = tf.sequential({
+        layers: [
+            tf.layers.conv2d({ inputShape: [GRID, GRID, depth], filters: 128, kernelSize: 1, activation: 'relu' }),
+            // 1x1 only: the feature map's receptive field already spans the image, and
+            // 3x3 kernels make each epoch several times slower on the CPU backend
+            tf.layers.conv2d({ filters: 64, kernelSize: 1, activation: 'relu' }),
+            tf.layers.conv2d({ filters: BOX_CHANNELS + numClasses, kernelSize: 1 })
+        ]
+    });
+    model.compile({ optimizer: tf.train.adam(learningRate), loss: detectionLoss });
+    return model;
+}
+
+// Runs fn on the CPU backend and switches back to the previous one afterwards. Tensors
+// created before the switch must not be used inside fn: TF.js would move them to the CPU.
+async function onCpuBackend(fn) {
+    const previous = tf.getBackend();
+    if (previous === 'cpu') return fn();
+    if (!(await tf.setBackend('cpu'))) throw new Error('The cpu backend failed to initialize');
+    try {
+        return await fn();
+    } finally {
+        await tf.setBackend(previous);
+    }
+}
+
+// images: [{ pixels: () => Promise<[h, w, 3] tensor>, boxes: [{ x, y, w, h, classIndex }] }].
+// Feature maps are computed first (onProgress: { phase: 'features', done, total }),
+// then the head is fitted (onProgress: { phase: 'training', epoch, loss }).
+// Resolves to the trained tf.LayersModel.
+export async function trainBoxDetector({ net, images, numClasses, config = DEFAULT_DETECTOR_TRAINING, onProgress, signal }) {
+    if (!images.some(image => image.boxes.length > 0)) throw new Error('Draw at least one box first.');
+
+    const features = [];
+    const targets = [];
+    try {
+        for (let i = 0; i < images.length; i++) {
+            if (signal?.aborted) throw new DOMException('Training cancelled', 'AbortError');
+            const pixels = await images[i].pixels();
+            const mirrored = tf.tidy(() => tf.image.flipLeftRight(pixels.expandDims(0)).squeeze([0]));
+            features.push(featureMap(net, pixels), featureMap(net, mirrored));
+            targets.push(encodeTargets(images[i].boxes, numClasses, false), encodeTargets(images[i].boxes, numClasses, true));
+            tf.dispose([pixels, mirrored]);
+            onProgress?.({ phase: 'features', done: i + 1, total: images.length });
+            await tf.nextFrame();
+        }
+    } catch (err) {
+        tf.dispose(features);
+        throw err;
+    }
+
+    // Feature maps leave the active backend as plain arrays; only the head is fitted on the CPU
+    const stacked = tf.concat(features, 0);
+    tf.dispose(features);
+    const [, , , depth] = stacked.shape;
+    const featureData = await stacked.data();
+    stacked.dispose();
+    const targetData = tf.util.flatten(targets.map(t => Array.from(t)));
+
+    const weights = await onCpuBackend(async () => {
+        const xs = tf.tensor4d(featureData, [targets.length, GRID, GRID, depth]);
+        const ys = tf.tensor4d(targetData, [targets.length, GRID, GRID, BOX_CHANNELS + numClasses]);
+        const cpuModel = buildHead(depth, numClasses, config.learningRate);
+        try {
+            await cpuModel.fit(xs, ys, {
+                epochs: config.epochs,
+                batchSize: config.batchSize,
+                shuffle: true,
+                callbacks: {
+                    onBatchEnd: () => {
+                        if (signal?.aborted) cpuModel.stopTraining = true;
+                    },
+                    onEpochEnd: (epoch, logs) => onProgress?.({ phase: 'training', epoch: epoch + 1, loss: logs.loss })
+                }
+            });
+            if (signal?.aborted) throw new DOMException('Training cancelled', 'AbortError');
+            return await Promise.all(cpuModel.getWeights().map(async w => ({ shape: w.shape, values: await w.data() })));
+        } finally {
+            tf.dispose([xs, ys]);
+            disposeModel(cpuModel);
+        }
+    });
+
+    // Same head rebuilt on the original backend with the fitted weights
+    const model = buildHead(depth, numClasses, config.learningRate);
+    const tensors = weights.map(({ shape, values }) => tf.tensor(values, shape));
+    model.setWeights(tensors);
+    tf.dispose(tensors);
+    return model;
+}
+
+// Grid output -> candidates in source pixels
+function decodeGrid(data, labels, width, height, minScore) {
+    const channels = BOX_CHANNELS + labels.length;
+    const candidates = [];
+    for (let cell = 0; cell < GRID * GRID; cell++) {
+        const offset = cell * channels;
+        const objectness = sigmoid(data[offset]);
+        if (objectness < minScore) continue;
+
+        // Softmax over the class logits
+        let max = -Infinity;
+        for (let c = 0; c < labels.length; c++) max = Math.max(max, data[offset + BOX_CHANNELS + c]);
+        let sum = 0;
+        let best = 0;
+        for (let c = 0; c < labels.length; c++) {
+            const e = Math.exp(data[offset + BOX_CHANNELS + c] - max);
+            sum += e;
+            if (data[offset + BOX_CHANNELS + c] > data[offset + BOX_CHANNELS + best]) best = c;
+        }
+        const score = objectness * Math.exp(data[offset + BOX_CHANNELS + best] - max) / sum;
+        if (score < minScore) continue;
+
+        const row = Math.floor(cell / GRID);
+        const col = cell % GRID;
+        const cx = (col + sigmoid(data[offset + 1])) / GRID;
+        const cy = (row + sigmoid(data[offset + 2])) / GRID;
+        const w = sigmoid(data[offset + 3]) ** 2;
+        const h = sigmoid(data[offset + 4]) ** 2;
+        candidates.push({
+            bbox: [(cx - w / 2) * width, (cy - h / 2) * height, w * width, h * height],
+            class: labels[best],
+            score
+        });
+    }
+    return candidates;
+}
+
+// Detector interface shared with ./customDetector (see ./detection).
+// `ownsNet`: dispose() also frees MobileNet (false when it is the Custom Training one).
+export function createBoxDetector(net, head, labels, ownsNet = true) {
+    async function detectCandidates(img, minScore) {
+        const isTensor = img instanceof tf.Tensor;
+        const height = isTensor ? img.shape[0] : (img.videoHeight || img.naturalHeight || img.height);
+        const width = isTensor ? img.shape[1] : (img.videoWidth || img.naturalWidth || img.width);
+        const output = tf.tidy(() => {
+            const pixels = isTensor ? img : tf.browser.fromPixels(img);
+            return head.predict(featureMap(net, pixels));
+        });
+        const data = await output.data();
+        output.dispose();
+        return decodeGrid(data, labels, width, height, minScore);
+    }
+
+    return {
+        kind: 'trained',
+        classNames: [...new Set(labels)],
+        detectCandidates,
+        async detect(img, maxNumBoxes = 20, minScore = 0.5) {
+            const candidates = await detectCandidates(img, minScore);
+            return candidates.sort((a, b) => b.score - a.score).slice(0, maxNumBoxes);
+        },
+        dispose() {
+            head.dispose();
+            if (ownsNet) net.model.dispose();
+        }
+    };
+}
+
+// On the main thread `net` is the MobileNet already loaded for Custom Training;
+// the worker has none and loads its own
+export async function loadBoxDetector(projectId, labels, net = null) {
+    const [features, head] = await Promise.all([net ?? loadFeatureExtractor(), tf.loadLayersModel(storageKey(projectId))]);
+    return createBoxDetector(features, head, labels, !net);
+}
+
+export async function saveBoxDetector(projectId, model) {
+    await model.save(storageKey(projectId));
+}
+
+export async function removeBoxDetector(projectId) {
+    try {
+        await tf.io.removeModel(storageKey(projectId));
+    } catch {
+        // No detector was trained for this project
+    }
+}
@@ -0,0 +1,120 @@
+import { getSourceSize } from './viewport';
+
+// Camera selection: device listing, getUserMedia constraints, orientation and
+// permission errors. Settings (persisted per view in localStorage):
+//   { deviceId, resolution, frameRate, mirrored, rotation }
+// An empty deviceId means "let the browser pick" using the view's facingMode.
+
+export const RESOLUTIONS = [
+    { id: '480p', label: '640×480', width: 640, height: 480 },
+    { id: '720p', label: '1280×720', width: 1280, height: 720 },
+    { id: '1080p', label: '1920×1080', width: 1920, height: 1080 },
+    { id: '4k', label: '3840×2160', width: 3840, height: 2160 }
+];
+
+export const FRAME_RATES = [15, 24, 30, 60];
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+export const DEFAULT_CAMERA_SETTINGS = { deviceId: '', resolution: '720p', frameRate: 30, mirrored: false, rotation: 0 };
+
+const SETTINGS_PREFIX = 'neuralvision.camera.';
+
+export function isCameraSupported() {
+    return Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+// Labels stay empty until the user has granted camera permission once
+export async function listCameras() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter(device => device.kind === 'videoinput' && device.deviceId)
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+const watchers = new Set();
+
+// Re-lists cameras for every watcher, e.g. once a stream starts and labels become available
+export function refreshCameras() {
+    if (watchers.size === 0) return;
+    listCameras()
+        .then(cameras => watchers.forEach(notify => notify(cameras)))
+        .catch(err => console.warn('Failed to list cameras:', err));
+}
+
+// Calls `onChange(cameras)` now and whenever devices are plugged in or out; returns an unsubscribe
+export function watchCameras(onChange) {
+    const mediaDevices = navigator.mediaDevices;
+    watchers.add(onChange);
+    if (watchers.size === 1) mediaDevices?.addEventListener?.('devicechange', refreshCameras);
+    refreshCameras();
+    return () => {
+        watchers.delete(onChange);
+        if (watchers.size === 0) mediaDevices?.removeEventListener?.('devicechange', refreshCameras);
+    };
+}
+
+// Ideal (not exact) size and rate so cameras that can't match still open at their closest mode
+export function buildVideoConstraints(settings, facingMode = 'user') {
+    const resolution = RESOLUTIONS.find(r => r.id === settings.resolution) ?? RESOLUTIONS[1];
+    return {
+        ...(settings.deviceId ? { deviceId: { exact: settings.deviceId } } : { facingMode }),
+        width: { ideal: resolution.width },
+        height: { ideal: resolution.height },
+        frameRate: { ideal: settings.frameRate }
+    };
+}
+
+// react-webcam reports either a DOMException or a plain string
+export function describeCameraError(err) {
+    switch (err?.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+            return { title: 'Camera access denied', detail: 'Allow camera access for this site in the browser settings, then retry.' };
+        case 'NotFoundError':
+        case 'OverconstrainedError':
+            return { title: 'Camera not found', detail: 'The selected camera is unavailable. Pick another device or reconnect it.' };
+        case 'NotReadableError':
+        case 'AbortError':
+            return { title: 'Camera is busy', detail: 'Another application or tab may be using it. Close it and retry.' };
+        default:
+            return { title: 'Camera unavailable', detail: typeof err === 'string' ? err : err?.message || 'The camera could not be started.' };
+    }
+}
+
+export function loadCameraSettings(view) {
+    try {
+        return { ...DEFAULT_CAMERA_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_PREFIX + view)) };
+    } catch {
+        return { ...DEFAULT_CAMERA_SETTINGS };
+    }
+}
+
+export function saveCameraSettings(view, settings) {
+    localStorage.setItem(SETTINGS_PREFIX + view, JSON.stringify(settings));
+}
+
+export function isOriented({ mirrored, rotation }) {
+    return mirrored || rotation % 360 !== 0;
+}
+
+// Draws the video mirrored/rotated into `canvas`, which then stands in for the
+// video everywhere (display, inference, overlays, snapshots)
+export function drawOrientedFrame(canvas, video, { mirrored, rotation }) {
+    const { width, height } = getSourceSize(video);
+    if (!width || !height) return false;
+    const quarterTurn = rotation % 180 !== 0;
+    const outWidth = quarterTurn ? height : width;
+    const outHeight = quarterTurn ? width : height;
+    if (canvas.width !== outWidth) canvas.width = outWidth;
+    if (canvas.height !== outHeight) canvas.height = outHeight;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.translate(outWidth / 2, outHeight / 2);
+    if (mirrored) ctx.scale(-1, 1);
+    ctx.rotate((rotation * Math.PI) / 180);
+    ctx.drawImage(video, -width / 2, -height / 2, width, height);
+    return true;
+}
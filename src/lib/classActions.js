@@ -0,0 +1,202 @@
+import { playAlertSound } from './alerts';
+
+// Actions bound to Custom Training classes, run when a class becomes the stable
+// prediction (see ./predictionFilter). Bindings are saved with the project:
+//   { [classId]: { cooldownSec, actions: [{ id, type, enabled, ...params }] } }
+// Types:
+//   key       - dispatch `key` (e.g. "ArrowRight", "ctrl+shift+k") as keydown/keyup on the
+//               focused element, bubbling to window. These are synthetic (untrusted) events:
+//               browsers run no default action for them (no scrolling, typing or shortcuts)
+//               and nothing outside this page sees them, so only scripts in the page that
+//               listen for keydown react. Use websocket to drive other apps.
+//   sound     - play the `sound` preset
+//   event     - dispatch a CustomEvent named `eventName` on window
+//   broadcast - post to the BroadcastChannel `channel` (other tabs of this origin)
+//   websocket - send to the WebSocket at `url` (e.g. a local bridge to other apps)
+// Every message carries PAYLOAD_TYPE, the class and its confidence.
+
+export const PAYLOAD_TYPE = 'neuralvision:prediction';
+
+export const ACTION_TYPES = [
+    { id: 'key', label: 'Key press', hint: 'Synthetic keydown/keyup for key listeners in this page; browsers ignore it for scrolling, typing and shortcuts' },
+    { id: 'sound', label: 'Sound', hint: 'Play a short tone' },
+    { id: 'event', label: 'Window event', hint: 'CustomEvent on window for scripts in this page' },
+    { id: 'broadcast', label: 'BroadcastChannel', hint: 'Message to other tabs of this app' },
+    { id: 'websocket', label: 'WebSocket', hint: 'JSON message to a (local) WebSocket server, e.g. a bridge to other apps' }
+];
+
+export const SOUND_PRESETS = [
+    { id: 'beep', label: 'Beep', frequency: 880, waveform: 'square', duration: 0.2 },
+    { id: 'chime', label: 'Chime', frequency: 1320, waveform: 'sine', duration: 0.5 },
+    { id: 'low', label: 'Low', frequency: 330, waveform: 'triangle', duration: 0.3 }
+];
+
+export const DEFAULT_COOLDOWN_SEC = 2;
+
+const SOCKET_CONNECT_TIMEOUT_MS = 5000;
+
+const KEY_ALIASES = { space: ' ', esc: 'Escape', enter: 'Enter', left: 'ArrowLeft', right: 'ArrowRight', up: 'ArrowUp', down: 'ArrowDown' };
+const MODIFIERS = { ctrl: 'ctrlKey', control: 'ctrlKey', shift: 'shiftKey', alt: 'altKey', meta: 'metaKey', cmd: 'metaKey' };
+
+export function createAction(type) {
+    const base = {
+        id: globalThis.crypto?.randomUUID?.() ?? `action-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        type,
+        enabled: true
+    };
+    if (type === 'key') return { ...base, key: 'ArrowRight' };
+    if (type === 'sound') return { ...base, sound: SOUND_PRESETS[0].id };
+    if (type === 'event') return { ...base, eventName: 'neuralvision:action' };
+    if (type === 'broadcast') return { ...base, channel: 'neuralvision' };
+    return { ...base, url: 'ws://localhost:8765' };
+}
+
+export function describeAction(action) {
+    switch (action.type) {
+        case 'key':
+            return `Press ${action.key}`;
+        case 'sound':
+            return `Play ${SOUND_PRESETS.find(s => s.id === action.sound)?.label ?? action.sound}`;
+        case 'event':
+            return `window "${action.eventName}"`;
+        case 'broadcast':
+            return `Channel "${action.channel}"`;
+        case 'websocket':
+            return `Send to ${action.url}`;
+        default:
+            return action.type;
+    }
+}
+
+// "ctrl+shift+k" -> KeyboardEvent init
+export function parseKeyCombo(combo) {
+    const init = { bubbles: true, cancelable: true };
+    const parts = String(combo).split('+').map(part => part.trim()).filter(Boolean);
+    const key = parts.pop() ?? '';
+    parts.forEach((part) => {
+        const modifier = MODIFIERS[part.toLowerCase()];
+        if (modifier) init[modifier] = true;
+    });
+    init.key = KEY_ALIASES[key.toLowerCase()] ?? key;
+    return init;
+}
+
+function pressKey(combo) {
+    const init = parseKeyCombo(combo);
+    if (!init.key) throw new Error('No key configured');
+    const target = document.activeElement ?? document.body;
+    target.dispatchEvent(new KeyboardEvent('keydown', init));
+    target.dispatchEvent(new KeyboardEvent('keyup', init));
+}
+
+// One runner per prediction stream; keeps the cooldowns and open channels/sockets
+export function createActionRunner() {
+    const lastFired = new Map(); // classId -> time
+    const channels = new Map(); // name -> BroadcastChannel
+    const sockets = new Map(); // url -> WebSocket
+
+    function channel(name) {
+        if (!channels.has(name)) channels.set(name, new BroadcastChannel(name));
+        return channels.get(name);
+    }
+
+    // Reuses the open socket; a new or reconnecting one sends once connected
+    function sendSocket(url, message) {
+        let socket = sockets.get(url);
+        if (!socket || socket.readyState >= WebSocket.CLOSING) {
+            socket = new WebSocket(url);
+            sockets.set(url, socket);
+        }
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(message);
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            const fail = (reason) => {
+                cleanup();
+                if (sockets.get(url) === socket) sockets.delete(url);
+                reject(new Error(`Could not connect to ${url} (${reason})`));
+            };
+            const onOpen = () => {
+                cleanup();
+                socket.send(message);
+                resolve();
+            };
+            const onError = () => fail('error');
+            const onClose = () => fail('closed');
+            const timer = setTimeout(() => {
+                fail('timed out');
+                socket.close();
+            }, SOCKET_CONNECT_TIMEOUT_MS);
+            function cleanup() {
+                clearTimeout(timer);
+                socket.removeEventListener('open', onOpen);
+                socket.removeEventListener('error', onError);
+                socket.removeEventListener('close', onClose);
+            }
+            socket.addEventListener('open', onOpen);
+            socket.addEventListener('error', onError);
+            socket.addEventListener('close', onClose);
+        });
+    }
+
+    async function execute(action, detail) {
+        const payload = { type: PAYLOAD_TYPE, ...detail, timestamp: new Date(detail.time).toISOString() };
+        switch (action.type) {
+            case 'key':
+                pressKey(action.key);
+                break;
+            case 'sound':
+                playAlertSound(SOUND_PRESETS.find(s => s.id === action.sound) ?? SOUND_PRESETS[0]);
+                break;
+            case 'event':
+                window.dispatchEvent(new CustomEvent(action.eventName, { detail: payload }));
+                break;
+            case 'broadcast':
+                channel(action.channel).postMessage(payload);
+                break;
+            case 'websocket':
+                await sendSocket(action.url, JSON.stringify(payload));
+                break;
+            default:
+                throw new Error(`Unknown action type ${action.type}`);
+        }
+    }
+
+    // Runs one action; resolves to an error message or null
+    async function run(action, detail) {
+        try {
+            await execute(action, detail);
+            return null;
+        } catch (err) {
+            console.warn(`Action "${describeAction(action)}" failed:`, err);
+            return err.message;
+        }
+    }
+
+    return {
+        run,
+
+        // detail: { label, name, confidence, time } of the stable prediction.
+        // Resolves to null while the class is cooling down (or has no enabled
+        // actions), otherwise to { time, errors: string[] }.
+        async trigger(binding, detail) {
+            const actions = binding?.actions.filter(action => action.enabled) ?? [];
+            if (actions.length === 0) return null;
+            const last = lastFired.get(detail.label);
+            if (last !== undefined && detail.time - last < binding.cooldownSec * 1000) return null;
+            lastFired.set(detail.label, detail.time);
+
+            const results = await Promise.all(actions.map(action => run(action, detail)));
+            return { time: detail.time, errors: results.filter(Boolean) };
+        },
+
+        dispose() {
+            channels.forEach(c => c.close());
+            sockets.forEach(s => s.close());
+            channels.clear();
+            sockets.clear();
+            lastFired.clear();
+        }
+    };
+}
@@ -0,0 +1,13 @@
+import { createContext, useContext } from 'react';
+
+// The Custom Training classifier (MobileNet + KNN dataset + active project)
+// lives at app level so Live Detection can use the classes taught in training.
+// Provided by <ClassifierProvider>; MobileNet only loads once a consumer calls
+// ensureLoaded(), which resolves to it (taught detectors share it on the main thread).
+export const ClassifierContext = createContext(null);
+
+export function useClassifier() {
+    const context = useContext(ClassifierContext);
+    if (!context) throw new Error('useClassifier must be used inside <ClassifierProvider>');
+    return context;
+}
@@ -0,0 +1,87 @@
+import { getSourceSize } from './viewport';
+import { drawDetections, drawRegions } from './drawing';
+
+// Burns the viewport overlay (boxes, labels, counting regions) into real frames,
+// at the source's native resolution, for PNG snapshots and WebM clips.
+
+const CLIP_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+export function renderAnnotatedFrame(canvas, source, predictions, regions = []) {
+    const { width, height } = getSourceSize(source);
+    if (!width || !height) return false;
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, width, height);
+    drawRegions(ctx, regions, width, height);
+    drawDetections(ctx, predictions);
+    return true;
+}
+
+export function captureAnnotatedPng(source, predictions, regions) {
+    const canvas = document.createElement('canvas');
+    if (!renderAnnotatedFrame(canvas, source, predictions, regions)) {
+        return Promise.reject(new Error('No frame to capture yet'));
+    }
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+export function isRecordingSupported() {
+    return typeof MediaRecorder !== 'undefined'
+        && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+        && CLIP_MIME_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+// Records composited frames. `getFrame()` is polled on every animation frame and
+// returns { source, predictions, regions } (or null to repeat the last frame).
+export function createClipRecorder(getFrame, { fps = 24 } = {}) {
+    const canvas = document.createElement('canvas');
+    const mimeType = CLIP_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    let recorder = null;
+    let chunks = [];
+    let handle = null;
+    let startedAt = 0;
+
+    const isRecording = () => recorder?.state === 'recording';
+
+    const draw = () => {
+        const frame = getFrame();
+        if (frame) renderAnnotatedFrame(canvas, frame.source, frame.predictions, frame.regions);
+        handle = requestAnimationFrame(draw);
+    };
+
+    return {
+        get recording() {
+            return isRecording();
+        },
+
+        get startedAt() {
+            return startedAt;
+        },
+
+        start() {
+            if (isRecording()) return;
+            // Size the canvas from the first frame before the stream starts
+            draw();
+            chunks = [];
+            recorder = new MediaRecorder(canvas.captureStream(fps), { mimeType });
+            recorder.ondataavailable = (e) => e.data.size > 0 && chunks.push(e.data);
+            recorder.start(1000);
+            startedAt = Date.now();
+        },
+
+        stop() {
+            cancelAnimationFrame(handle);
+            if (!recorder || recorder.state === 'inactive') return Promise.resolve(null);
+            const active = recorder;
+            return new Promise((resolve) => {
+                active.onstop = () => {
+                    active.stream.getTracks().forEach(track => track.stop());
+                    resolve(new Blob(chunks, { type: 'video/webm' }));
+                };
+                active.stop();
+            });
+        }
+    };
+}
@@ -0,0 +1,215 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Wraps an arbitrary TF.js object-detection GraphModel (TF Object Detection API
+// exports, YOLO conversions, ...) so it yields the same candidates as COCO-SSD:
+// [{ bbox: [x, y, w, h] in source pixels, class, score }].
+// Suppression is left to ./postprocess like for every other detector.
+
+export const DEFAULT_DECODER = {
+    format: 'ssd',               // 'ssd' (boxes/scores/classes tensors) | 'anchor-free' (YOLO-style single output)
+    boxFormat: 'yxyx',           // 'yxyx' | 'xyxy' | 'xywh' | 'cxcywh'
+    normalizedBoxes: true,       // Boxes in 0..1 instead of model-input pixels
+    boxesTensor: 'detection_boxes',
+    scoresTensor: 'detection_scores',
+    classesTensor: 'detection_classes',
+    outputTensor: '',            // anchor-free: output name (empty = first output)
+    hasObjectness: false,        // anchor-free: YOLOv5-style objectness column before class scores
+    inputMin: 0,                 // float inputs are scaled from 0..255 into [inputMin, inputMax]
+    inputMax: 1,
+    labelOffset: 0               // Added to raw class indices before the label-map lookup
+};
+
+// Starting points for common export pipelines
+export const DECODER_PRESETS = [
+    { id: 'tfod', label: 'TF Object Detection API', decoder: DEFAULT_DECODER },
+    {
+        id: 'yolov8',
+        label: 'YOLOv8 (tfjs export)',
+        decoder: { ...DEFAULT_DECODER, format: 'anchor-free', boxFormat: 'cxcywh', normalizedBoxes: false }
+    },
+    {
+        id: 'yolov5',
+        label: 'YOLOv5 (tfjs export)',
+        decoder: { ...DEFAULT_DECODER, format: 'anchor-free', boxFormat: 'cxcywh', hasObjectness: true }
+    }
+];
+
+// Label maps: TF OD API .pbtxt, JSON (array, {id: name} or [{id, name}]) or one label per line
+export function parseLabelMap(text, fileName = '') {
+    const labels = {};
+
+    if (fileName.endsWith('.pbtxt') || /item\s*\{/.test(text)) {
+        const itemPattern = /item\s*\{([^}]*)\}/g;
+        let match;
+        while ((match = itemPattern.exec(text))) {
+            const body = match[1];
+            const id = body.match(/\bid\s*:\s*(\d+)/)?.[1];
+            const name = body.match(/display_name\s*:\s*["']([^"']*)["']/)?.[1] ?? body.match(/\bname\s*:\s*["']([^"']*)["']/)?.[1];
+            if (id !== undefined && name !== undefined) labels[Number(id)] = name;
+        }
+    } else if (/^\s*[[{]/.test(text)) {
+        const parsed = JSON.parse(text);
+        if (Array.isArray(parsed)) {
+            parsed.forEach((entry, index) => {
+                if (typeof entry === 'string') labels[index] = entry;
+                else if (entry && entry.name !== undefined) labels[entry.id ?? index] = entry.display_name ?? entry.name;
+            });
+        } else {
+            Object.entries(parsed).forEach(([id, name]) => { labels[Number(id)] = String(name); });
+        }
+    } else {
+        text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach((name, index) => { labels[index] = name; });
+    }
+
+    if (Object.keys(labels).length === 0) {
+        throw new Error('No labels found in label map');
+    }
+    return labels;
+}
+
+// Converts one raw box to [x, y, w, h] in source pixels
+function toSourceBox(raw, decoder, scaleX, scaleY) {
+    let [a, b, c, d] = raw;
+    let x1, y1, x2, y2;
+    switch (decoder.boxFormat) {
+        case 'xyxy': [x1, y1, x2, y2] = [a, b, c, d]; break;
+        case 'xywh': [x1, y1, x2, y2] = [a, b, a + c, b + d]; break;
+        case 'cxcywh': [x1, y1, x2, y2] = [a - c / 2, b - d / 2, a + c / 2, b + d / 2]; break;
+        default: [y1, x1, y2, x2] = [a, b, c, d];
+    }
+    return [x1 * scaleX, y1 * scaleY, (x2 - x1) * scaleX, (y2 - y1) * scaleY];
+}
+
+function findOutput(outputs, names, name) {
+    const index = names.indexOf(name);
+    if (index === -1) throw new Error(`Model has no output tensor named "${name}" (outputs: ${names.join(', ')})`);
+    return outputs[index];
+}
+
+export function createCustomDetector(model, labels, decoderOverrides = {}) {
+    const decoder = { ...DEFAULT_DECODER, ...decoderOverrides };
+    const input = model.inputs[0];
+    const channelsFirst = input.shape?.[1] === 3;
+    const fixedHeight = (channelsFirst ? input.shape?.[2] : input.shape?.[1]) ?? -1;
+    const fixedWidth = (channelsFirst ? input.shape?.[3] : input.shape?.[2]) ?? -1;
+    const outputNames = model.outputs.map(o => o.name);
+    const classNames = [...new Set(Object.values(labels))];
+
+    const labelFor = index => labels[index + decoder.labelOffset] ?? `class ${index + decoder.labelOffset}`;
+
+    function preprocess(img) {
+        return tf.tidy(() => {
+            let pixels = img instanceof tf.Tensor ? img : tf.browser.fromPixels(img);
+            if (fixedHeight > 0 && fixedWidth > 0) {
+                pixels = tf.image.resizeBilinear(pixels, [fixedHeight, fixedWidth]);
+            }
+            if (input.dtype === 'int32') {
+                pixels = tf.cast(pixels, 'int32');
+            } else {
+                const range = decoder.inputMax - decoder.inputMin;
+                pixels = tf.add(tf.mul(tf.cast(pixels, 'float32'), range / 255), decoder.inputMin);
+            }
+            let batched = tf.expandDims(pixels);
+            if (channelsFirst) batched = tf.transpose(batched, [0, 3, 1, 2]);
+            return batched;
+        });
+    }
+
+    async function decodeSsd(outputs, sourceWidth, sourceHeight, inputWidth, inputHeight, minScore) {
+        const [boxes, scores, classes] = await Promise.all([
+            findOutput(outputs, outputNames, decoder.boxesTensor).data(),
+            findOutput(outputs, outputNames, decoder.scoresTensor).data(),
+            findOutput(outputs, outputNames, decoder.classesTensor).data()
+        ]);
+        const scaleX = decoder.normalizedBoxes ? sourceWidth : sourceWidth / inputWidth;
+        const scaleY = decoder.normalizedBoxes ? sourceHeight : sourceHeight / inputHeight;
+
+        const candidates = [];
+        for (let i = 0; i < scores.length; i++) {
+            if (scores[i] < minScore) continue;
+            candidates.push({
+                bbox: toSourceBox(boxes.subarray(i * 4, i * 4 + 4), decoder, scaleX, scaleY),
+                class: labelFor(Math.round(classes[i])),
+                score: scores[i]
+            });
+        }
+        return candidates;
+    }
+
+    async function decodeAnchorFree(outputs, sourceWidth, sourceHeight, inputWidth, inputHeight, minScore) {
+        const output = decoder.outputTensor ? findOutput(outputs, outputNames, decoder.outputTensor) : outputs[0];
+        // Accept both [1, N, 4 + C] and [1, 4 + C, N] layouts (the smaller axis holds the channels)
+        const [, dimA, dimB] = output.shape;
+        const transposed = dimA < dimB;
+        const rows = transposed ? tf.tidy(() => tf.transpose(output.squeeze([0]))) : output.squeeze([0]);
+        const data = await rows.data();
+        const [numRows, numCols] = rows.shape;
+        rows.dispose();
+
+        const classStart = decoder.hasObjectness ? 5 : 4;
+        const scaleX = decoder.normalizedBoxes ? sourceWidth : sourceWidth / inputWidth;
+        const scaleY = decoder.normalizedBoxes ? sourceHeight : sourceHeight / inputHeight;
+
+        const candidates = [];
+        for (let i = 0; i < numRows; i++) {
+            const row = data.subarray(i * numCols, (i + 1) * numCols);
+            const objectness = decoder.hasObjectness ? row[4] : 1;
+            let best = 0;
+            let bestIndex = -1;
+            for (let j = classStart; j < numCols; j++) {
+                if (row[j] > best) {
+                    best = row[j];
+                    bestIndex = j - classStart;
+                }
+            }
+            const score = best * objectness;
+            if (score < minScore || bestIndex < 0) continue;
+            candidates.push({
+                bbox: toSourceBox(row.subarray(0, 4), decoder, scaleX, scaleY),
+                class: labelFor(bestIndex),
+                score
+            });
+        }
+        return candidates;
+    }
+
+    async function detectCandidates(img, minScore) {
+        const batched = preprocess(img);
+        const [inputHeight, inputWidth] = channelsFirst ? batched.shape.slice(2, 4) : batched.shape.slice(1, 3);
+        const sourceHeight = img instanceof tf.Tensor ? img.shape[0] : (img.videoHeight || img.naturalHeight || img.height);
+        const sourceWidth = img instanceof tf.Tensor ? img.shape[1] : (img.videoWidth || img.naturalWidth || img.width);
+
+        let outputs = await model.executeAsync(batched);
+        batched.dispose();
+        outputs = Array.isArray(outputs) ? outputs : [outputs];
+
+        try {
+            const decode = decoder.format === 'anchor-free' ? decodeAnchorFree : decodeSsd;
+            return await decode(outputs, sourceWidth, sourceHeight, inputWidth, inputHeight, minScore);
+        } finally {
+            tf.dispose(outputs);
+        }
+    }
+
+    return {
+        kind: 'custom',
+        classNames,
+        detectCandidates,
+        // Same signature as COCO-SSD's detect(), minus suppression
+        async detect(img, maxNumBoxes = 20, minScore = 0.5) {
+            const candidates = await detectCandidates(img, minScore);
+            return candidates.sort((a, b) => b.score - a.score).slice(0, maxNumBoxes);
+        },
+        dispose() {
+            model.dispose();
+        }
+    };
+}
+
+// model.json + weight shards picked by the user
+export async function loadCustomGraphModel(files) {
+    const modelJson = files.find(file => file.name.endsWith('.json'));
+    if (!modelJson) throw new Error('Select the model.json file together with its weight shards');
+    const shards = files.filter(file => file !== modelJson);
+    return tf.loadGraphModel(tf.io.browserFiles([modelJson, ...shards]));
+}
@@ -0,0 +1,99 @@
+// Minimal promise wrapper around IndexedDB.
+// Every object store the app uses is declared here so upgrades stay in one place.
+
+const DB_NAME = 'neural-vision';
+const DB_VERSION = 3;
+
+const STORES = {
+    projects: { keyPath: 'id' },
+    datasets: { keyPath: 'id' },
+    events: { keyPath: 'id' }, // v2: rule-triggered detection events
+    annotations: { keyPath: 'id' }, // v3: box annotations for taught detectors
+};
+
+let dbPromise = null;
+
+export function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.entries(STORES).forEach(([name, options]) => {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, options);
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed (e.g. private mode quota errors)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+function wrap(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(storeName, mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(storeName, mode);
+    return wrap(fn(tx.objectStore(storeName)));
+}
+
+export function getRecord(storeName, key) {
+    return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+export function getAllRecords(storeName) {
+    return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+export function countRecords(storeName) {
+    return withStore(storeName, 'readonly', store => store.count());
+}
+
+export function putRecord(storeName, value) {
+    return withStore(storeName, 'readwrite', store => store.put(value));
+}
+
+export function deleteRecord(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+export function clearStore(storeName) {
+    return withStore(storeName, 'readwrite', store => store.clear());
+}
+
+// Deletes the `count` records with the lowest keys, walking keys only (values are never read)
+export async function deleteFirstRecords(storeName, count) {
+    if (count <= 0) return;
+    const db = await openDb();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    let remaining = count;
+    store.openKeyCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        store.delete(cursor.primaryKey);
+        if (--remaining > 0) cursor.continue();
+    };
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
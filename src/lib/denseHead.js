@@ -0,0 +1,166 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Trainable alternative to the KNN: a small softmax classifier fitted on the
+// stored MobileNet embeddings (the KNN's unit-length dataset rows). Unlike the
+// KNN its size and prediction cost don't grow with the number of samples.
+// A trained head is { model, labels, config, trainedAt, signature, accuracy };
+// `labels` maps output units to KNN labels (class ids) and `signature` is the
+// sampleSignature() of the classes it was trained on.
+
+export const HEADS = [
+    { id: 'knn', label: 'KNN', hint: 'Nearest examples vote, no training needed' },
+    { id: 'neural', label: 'Neural', hint: 'Dense softmax layer trained on the embeddings' }
+];
+
+export const DEFAULT_HEAD_CONFIG = { epochs: 30, learningRate: 0.001, batchSize: 16, hiddenUnits: 64 };
+
+const DROPOUT = 0.25;
+const VALIDATION_SPLIT = 0.2;
+const MIN_VALIDATION_SAMPLES = 20; // Smaller datasets use every sample for training
+
+const storageKey = (projectId) => `indexeddb://neuralvision-head-${projectId}`;
+
+function buildModel(inputSize, numClasses, { hiddenUnits, learningRate }) {
+    const model = tf.sequential();
+    if (hiddenUnits > 0) {
+        model.add(tf.layers.dense({ inputShape: [inputSize], units: hiddenUnits, activation: 'relu', kernelInitializer: 'heNormal' }));
+        model.add(tf.layers.dropout({ rate: DROPOUT }));
+    }
+    model.add(tf.layers.dense({
+        ...(hiddenUnits > 0 ? {} : { inputShape: [inputSize] }),
+        units: numClasses,
+        activation: 'softmax'
+    }));
+    model.compile({ optimizer: tf.train.adam(learningRate), loss: 'categoricalCrossentropy', metrics: ['accuracy'] });
+    return model;
+}
+
+// The optimizer was passed in as an instance, so model.dispose() leaves its slots behind
+export function disposeModel(model) {
+    model.optimizer?.dispose();
+    model.dispose();
+}
+
+// Fits a fresh model on `xs` ([N, D] unit-length rows) with class indices `ys`.
+// `onEpoch` receives { epoch, loss, accuracy, valLoss, valAccuracy }. Aborting
+// stops after the current batch and rejects with an AbortError.
+export async function fitDenseHead(xs, ys, numClasses, config, { validationSplit = 0, onEpoch, signal } = {}) {
+    const model = buildModel(xs.shape[1], numClasses, config);
+    const targets = tf.tidy(() => tf.oneHot(tf.tensor1d(ys, 'int32'), numClasses).toFloat());
+    try {
+        await model.fit(xs, targets, {
+            epochs: config.epochs,
+            batchSize: config.batchSize,
+            shuffle: true,
+            validationSplit,
+            callbacks: {
+                onBatchEnd: () => {
+                    if (signal?.aborted) model.stopTraining = true;
+                },
+                onEpochEnd: (epoch, logs) => {
+                    onEpoch?.({
+                        epoch: epoch + 1,
+                        loss: logs.loss,
+                        accuracy: logs.acc,
+                        valLoss: logs.val_loss,
+                        valAccuracy: logs.val_acc
+                    });
+                }
+            }
+        });
+    } catch (err) {
+        disposeModel(model);
+        throw err;
+    } finally {
+        targets.dispose();
+    }
+    if (signal?.aborted) {
+        disposeModel(model);
+        throw new DOMException('Training cancelled', 'AbortError');
+    }
+    return model;
+}
+
+// Trains on every KNN sample. Rows are shuffled up front so the validation
+// split (taken from the end by model.fit) covers every class.
+export async function trainDenseHead(classifier, config, { signature, onEpoch, signal } = {}) {
+    const dataset = classifier.getClassifierDataset();
+    const labels = Object.keys(dataset).filter(label => dataset[label].shape[0] > 0);
+    if (labels.length < 2) throw new Error('Add examples to at least two classes first.');
+
+    const ys = labels.flatMap((label, c) => new Array(dataset[label].shape[0]).fill(c));
+    const order = tf.util.createShuffledIndices(ys.length);
+    const xs = tf.tidy(() => tf.gather(tf.concat(labels.map(label => dataset[label]), 0), tf.tensor1d(Int32Array.from(order), 'int32')));
+    const shuffledYs = Array.from(order, i => ys[i]);
+    const validationSplit = ys.length >= MIN_VALIDATION_SAMPLES ? VALIDATION_SPLIT : 0;
+
+    let last = null;
+    try {
+        const model = await fitDenseHead(xs, shuffledYs, labels.length, config, {
+            validationSplit,
+            signal,
+            onEpoch: (stats) => {
+                last = stats;
+                onEpoch?.(stats);
+            }
+        });
+        return {
+            model,
+            labels,
+            config,
+            signature,
+            trainedAt: Date.now(),
+            accuracy: last?.valAccuracy ?? last?.accuracy ?? null
+        };
+    } finally {
+        xs.dispose();
+    }
+}
+
+// Same result shape as the KNN's predictClass()
+export async function predictDense({ model, labels }, embedding) {
+    const probabilities = tf.tidy(() => {
+        const x = embedding.reshape([1, -1]);
+        return model.predict(x.div(x.norm('euclidean', 1, true))).squeeze();
+    });
+    const values = await probabilities.data();
+    probabilities.dispose();
+
+    let best = 0;
+    const confidences = {};
+    labels.forEach((label, i) => {
+        confidences[label] = values[i];
+        if (values[i] > values[best]) best = i;
+    });
+    return { classIndex: best, label: labels[best], confidences };
+}
+
+// Classifies an embedding with whichever head is active (falls back to the KNN
+// until a neural head has been trained)
+export function classifyEmbedding({ classifier, k, head, neuralHead }, embedding) {
+    if (head === 'neural' && neuralHead) return predictDense(neuralHead, embedding);
+    return classifier.predictClass(embedding, k);
+}
+
+// Heads are persisted per project; the metadata lives in the project record
+export function describeDenseHead(head) {
+    const { model: _model, ...meta } = head;
+    return meta;
+}
+
+export async function saveDenseHead(projectId, head) {
+    await head.model.save(storageKey(projectId));
+}
+
+export async function loadDenseHead(projectId, meta) {
+    const model = await tf.loadLayersModel(storageKey(projectId));
+    return { ...meta, model };
+}
+
+export async function removeDenseHead(projectId) {
+    try {
+        await tf.io.removeModel(storageKey(projectId));
+    } catch {
+        // Nothing was saved for this project
+    }
+}
@@ -0,0 +1,57 @@
+import * as tf from '@tensorflow/tfjs';
+import { COCO_CLASSES } from './cocoClasses';
+
+// COCO-SSD's own detect() runs a class-agnostic NMS that reuses minScore as its
+// IoU threshold, so candidates are decoded straight from the graph model instead
+// and suppression is left to ./postprocess.
+
+const MAX_CANDIDATES = 200;
+
+export async function detectCandidates(detector, img, minScore) {
+    // Custom graph models decode their own outputs (see ./customDetector)
+    if (detector.detectCandidates) {
+        return detector.detectCandidates(img, minScore);
+    }
+
+    // Detectors without an exposed graph model only offer the library call
+    if (!detector.model?.executeAsync) {
+        return detector.detect(img, MAX_CANDIDATES, minScore);
+    }
+
+    const batched = tf.tidy(() => tf.expandDims(img instanceof tf.Tensor ? img : tf.browser.fromPixels(img)));
+    const [, height, width] = batched.shape;
+
+    const result = await detector.model.executeAsync(batched);
+    batched.dispose();
+    const [scoresTensor, boxesTensor] = result;
+    const [, numBoxes, numClasses] = scoresTensor.shape;
+    const scores = await scoresTensor.data();
+    const boxes = await boxesTensor.data();
+    tf.dispose(result);
+
+    const candidates = [];
+    for (let i = 0; i < numBoxes; i++) {
+        let best = 0;
+        let bestIndex = -1;
+        for (let j = 0; j < numClasses; j++) {
+            const score = scores[i * numClasses + j];
+            if (score > best) {
+                best = score;
+                bestIndex = j;
+            }
+        }
+
+        const className = COCO_CLASSES[bestIndex + 1];
+        if (best < minScore || !className) continue;
+
+        const minY = boxes[i * 4] * height;
+        const minX = boxes[i * 4 + 1] * width;
+        const maxY = boxes[i * 4 + 2] * height;
+        const maxX = boxes[i * 4 + 3] * width;
+        candidates.push({ bbox: [minX, minY, maxX - minX, maxY - minY], class: className, score: best });
+    }
+
+    return candidates
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+}
@@ -0,0 +1,86 @@
+import * as tf from '@tensorflow/tfjs';
+import * as cocoSsd from '@tensorflow-models/coco-ssd';
+import { COCO_CLASS_NAMES } from './cocoClasses';
+import { createCustomDetector, loadCustomGraphModel } from './customDetector';
+import { loadBoxDetector } from './boxDetector';
+
+// Detector catalogue and loading.
+// A detector "spec" is a plain object describing what to load:
+//   { kind: 'coco', base, source: 'cdn' | 'local' | 'url', modelUrl? }
+//   { kind: 'custom', name, files: File[], labels: { id: name }, decoder }
+//   { kind: 'trained', projectId, name, labels: string[], trainedAt }  (taught in Custom Training)
+// trainedAt tells a retrained detector apart from the one already loaded for the same project.
+
+export const COCO_BASES = [
+    { id: 'lite_mobilenet_v2', label: 'Lite MobileNet v2', hint: 'Fastest, lowest accuracy' },
+    { id: 'mobilenet_v2', label: 'MobileNet v2', hint: 'Balanced' },
+    { id: 'mobilenet_v1', label: 'MobileNet v1', hint: 'Most accurate, slowest' }
+];
+
+export const MODEL_SOURCES = [
+    { id: 'cdn', label: 'Google CDN' },
+    { id: 'local', label: 'Bundled with app' },
+    { id: 'url', label: 'Custom URL' }
+];
+
+// Bundled models live in public/models (see `npm run models:fetch`)
+export function localModelUrl(base) {
+    const prefix = base === 'lite_mobilenet_v2' ? `ssd${base}` : `ssd_${base}`;
+    return `${import.meta.env.BASE_URL}models/coco-ssd/${prefix}/model.json`;
+}
+
+// Air-gapped builds can default to the bundled weights with VITE_MODEL_SOURCE=local
+export const DEFAULT_DETECTOR_SPEC = {
+    kind: 'coco',
+    base: 'lite_mobilenet_v2',
+    source: import.meta.env.VITE_MODEL_SOURCE === 'local' ? 'local' : 'cdn',
+    modelUrl: ''
+};
+
+export function describeSpec(spec) {
+    if (spec.kind === 'custom') return `${spec.name} · Custom`;
+    if (spec.kind === 'trained') return `${spec.name} · Taught`;
+    const base = COCO_BASES.find(b => b.id === spec.base)?.label ?? spec.base;
+    const source = MODEL_SOURCES.find(s => s.id === spec.source)?.label ?? spec.source;
+    return `${base} · ${source}`;
+}
+
+function resolveModelUrl(spec) {
+    if (spec.source === 'local') return localModelUrl(spec.base);
+    if (spec.source === 'url') {
+        if (!spec.modelUrl) throw new Error('Enter a model.json URL to load from');
+        return spec.modelUrl;
+    }
+    return undefined; // coco-ssd's default CDN location
+}
+
+// Loads a detector and measures how long it took and how much memory it holds.
+// `net`: MobileNet to share with a taught detector instead of loading another one.
+export async function loadDetector(spec, { net } = {}) {
+    const memoryBefore = tf.memory();
+    const start = performance.now();
+
+    let detector;
+    if (spec.kind === 'custom') {
+        const graph = await loadCustomGraphModel(spec.files);
+        detector = createCustomDetector(graph, spec.labels, spec.decoder);
+    } else if (spec.kind === 'trained') {
+        detector = await loadBoxDetector(spec.projectId, spec.labels, net);
+    } else {
+        detector = await cocoSsd.load({ base: spec.base, modelUrl: resolveModelUrl(spec) });
+    }
+
+    const memoryAfter = tf.memory();
+    return {
+        detector,
+        classNames: detector.classNames ?? COCO_CLASS_NAMES,
+        stats: {
+            label: describeSpec(spec),
+            loadMs: Math.round(performance.now() - start),
+            numTensors: memoryAfter.numTensors - memoryBefore.numTensors,
+            numBytes: memoryAfter.numBytes - memoryBefore.numBytes,
+            backend: tf.getBackend(),
+            loadedAt: Date.now()
+        }
+    };
+}
@@ -0,0 +1,21 @@
+// Browser download / file reading helpers
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a tick to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function downloadJson(data, filename) {
+    downloadBlob(new Blob([JSON.stringify(data)], { type: 'application/json' }), filename);
+}
+
+export function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'untitled';
+}
@@ -0,0 +1,80 @@
+// Canvas rendering of detection boxes and counting regions, matching the look
+// of the HTML/SVG overlays.
+
+const BOX_COLOR = '#3b82f6';
+const LABEL_COLOR = '#2563eb';
+
+export const REGION_COLORS = {
+    line: '#f59e0b',
+    zone: '#22d3ee'
+};
+
+export function formatLabel(pred) {
+    const id = pred.trackId !== undefined ? `#${pred.trackId} ` : '';
+    const sub = pred.subLabel ? ` › ${pred.subLabel.name} ${Math.round(pred.subLabel.confidence * 100)}%` : '';
+    return `${id}${pred.class.toUpperCase()} | ${Math.round(pred.score * 100)}%${sub}`;
+}
+
+// Draws boxes given in source pixels; `scale` maps source pixels to canvas pixels
+export function drawDetections(ctx, predictions, { scale = 1, offsetX = 0, offsetY = 0 } = {}) {
+    const fontSize = Math.max(11, Math.round(12 * Math.max(1, ctx.canvas.width / 1280)));
+    ctx.save();
+    ctx.lineWidth = Math.max(2, fontSize / 6);
+    ctx.font = `bold ${fontSize}px ui-sans-serif, system-ui, sans-serif`;
+    ctx.textBaseline = 'top';
+
+    predictions.forEach((pred) => {
+        const [x, y, w, h] = pred.bbox;
+        const left = x * scale + offsetX;
+        const top = y * scale + offsetY;
+        const width = w * scale;
+        const height = h * scale;
+
+        ctx.strokeStyle = pred.color || BOX_COLOR;
+        ctx.fillStyle = 'rgba(59, 130, 246, 0.1)';
+        ctx.fillRect(left, top, width, height);
+        ctx.strokeRect(left, top, width, height);
+
+        // Label above the box, or inside it when there is no room
+        const label = formatLabel(pred);
+        const labelWidth = ctx.measureText(label).width + 8;
+        const labelHeight = fontSize + 6;
+        const labelTop = top - labelHeight - 2 >= 0 ? top - labelHeight - 2 : top + 2;
+        ctx.fillStyle = pred.color || LABEL_COLOR;
+        ctx.fillRect(left, labelTop, labelWidth, labelHeight);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(label, left + 4, labelTop + 3);
+    });
+
+    ctx.restore();
+}
+
+// Regions use normalized points; width/height are the canvas size they cover
+export function drawRegions(ctx, regions, width, height) {
+    ctx.save();
+    ctx.lineWidth = Math.max(2, width / 480);
+    ctx.font = `bold ${Math.max(11, Math.round(width / 110))}px ui-sans-serif, system-ui, sans-serif`;
+
+    regions.forEach((region) => {
+        const color = REGION_COLORS[region.type];
+        const points = region.points.map(([x, y]) => [x * width, y * height]);
+        if (points.length < 2) return;
+
+        ctx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        if (region.type === 'zone') {
+            ctx.closePath();
+            ctx.globalAlpha = 0.12;
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+        ctx.strokeStyle = color;
+        ctx.stroke();
+
+        ctx.fillStyle = color;
+        ctx.fillText(region.name, points[0][0] + 6, points[0][1] - 6);
+    });
+
+    ctx.restore();
+}
@@ -0,0 +1,197 @@
+import * as tf from '@tensorflow/tfjs';
+import { fitDenseHead, disposeModel } from './denseHead';
+
+// Offline evaluation of the Custom Training KNN on its own examples. Samples
+// are split per class (hold-out or k-fold), every test row is matched against
+// the training rows exactly like knn-classifier's predictClass (cosine
+// similarity, top-k vote, first class wins ties) and the results are scored
+// for every candidate k at once from a single top-k lookup. The neural head is
+// scored on the very same splits so both heads can be compared.
+
+export const DEFAULT_K = 3; // knn-classifier's own default for predictClass
+export const K_CANDIDATES = [1, 3, 5, 7, 9, 11, 15, 21];
+export const DEFAULT_EVALUATION = { method: 'holdout', holdout: 0.2, folds: 5 };
+
+const SPLIT_SEED = 42; // Same split on every run, so k values stay comparable
+
+// mulberry32
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Stratified splits as [{ train: rowIndex[], test: rowIndex[] }]. Classes with a
+// single example are only ever used for training.
+function buildSplits(counts, { method, holdout, folds }) {
+    const random = seededRandom(SPLIT_SEED);
+    const splitCount = method === 'kfold' ? folds : 1;
+    const splits = Array.from({ length: splitCount }, () => ({ train: [], test: [] }));
+
+    let offset = 0;
+    counts.forEach((count) => {
+        const rows = shuffle(Array.from({ length: count }, (_, i) => offset + i), random);
+        offset += count;
+        rows.forEach((row, i) => {
+            splits.forEach((split, fold) => {
+                let isTest;
+                if (count < 2) isTest = false;
+                else if (method === 'kfold') isTest = i % folds === fold;
+                else isTest = i < Math.min(count - 1, Math.max(1, Math.round(count * holdout)));
+                (isTest ? split.test : split.train).push(row);
+            });
+        });
+    });
+    return splits.filter(split => split.test.length > 0);
+}
+
+// Majority vote over the nearest neighbours' class indices
+function vote(neighbours, k, numClasses) {
+    const votes = new Array(numClasses).fill(0);
+    for (let i = 0; i < k; i++) votes[neighbours[i]]++;
+    let best = 0;
+    for (let c = 1; c < numClasses; c++) {
+        if (votes[c] > votes[best]) best = c;
+    }
+    return best;
+}
+
+function score(labels, actual, predicted) {
+    const n = labels.length;
+    const confusion = Array.from({ length: n }, () => new Array(n).fill(0));
+    let correct = 0;
+    actual.forEach((a, i) => {
+        confusion[a][predicted[i]]++;
+        if (a === predicted[i]) correct++;
+    });
+    const perClass = labels.map((label, c) => {
+        const support = confusion[c].reduce((sum, v) => sum + v, 0);
+        const predictedCount = confusion.reduce((sum, row) => sum + row[c], 0);
+        return {
+            label,
+            support,
+            precision: predictedCount > 0 ? confusion[c][c] / predictedCount : null,
+            recall: support > 0 ? confusion[c][c] / support : null
+        };
+    });
+    return { accuracy: actual.length > 0 ? correct / actual.length : 0, confusion, perClass };
+}
+
+function prepare(classifier, config) {
+    const dataset = classifier.getClassifierDataset();
+    const labels = Object.keys(dataset);
+    const counts = labels.map(label => dataset[label].shape[0]);
+    const splits = buildSplits(counts, config);
+    if (labels.length < 2 || splits.length === 0) {
+        throw new Error('Add at least two classes with two or more examples each to evaluate.');
+    }
+    const rowClass = Int32Array.from(counts.flatMap((count, c) => new Array(count).fill(c)));
+    return { dataset, labels, splits, rowClass };
+}
+
+// Resolves to { labels, samples, splits, sweep: [{ k, accuracy }], reports: { [k]: { accuracy, confusion, perClass } } }.
+// `confusion[actual][predicted]` is indexed like `labels` (the KNN's class labels).
+export async function evaluateClassifier(classifier, config = DEFAULT_EVALUATION, { onProgress, signal } = {}) {
+    const { dataset, labels, splits, rowClass } = prepare(classifier, config);
+    const minTrain = Math.min(...splits.map(split => split.train.length));
+    const ks = K_CANDIDATES.filter(k => k <= minTrain);
+    const maxK = ks.at(-1);
+
+    // Rows are stored unit-length, so a dot product is the cosine similarity
+    const rows = tf.concat(labels.map(label => dataset[label]), 0);
+    const actual = [];
+    const predicted = ks.map(() => []);
+    try {
+        for (let s = 0; s < splits.length; s++) {
+            if (signal?.aborted) throw new DOMException('Evaluation cancelled', 'AbortError');
+            const { train, test } = splits[s];
+            const indices = tf.tidy(() => {
+                const similarities = tf.matMul(
+                    tf.gather(rows, tf.tensor1d(test, 'int32')),
+                    tf.gather(rows, tf.tensor1d(train, 'int32')),
+                    false, true
+                );
+                return tf.topk(similarities, maxK).indices;
+            });
+            const nearest = await indices.data();
+            indices.dispose();
+
+            test.forEach((row, t) => {
+                const neighbours = Array.from(nearest.subarray(t * maxK, (t + 1) * maxK), i => rowClass[train[i]]);
+                actual.push(rowClass[row]);
+                ks.forEach((k, ki) => predicted[ki].push(vote(neighbours, k, labels.length)));
+            });
+            onProgress?.({ done: s + 1, total: splits.length });
+            await tf.nextFrame();
+        }
+    } finally {
+        rows.dispose();
+    }
+
+    const reports = {};
+    ks.forEach((k, ki) => {
+        reports[k] = score(labels, actual, predicted[ki]);
+    });
+    return {
+        labels,
+        samples: actual.length,
+        splits: splits.length,
+        sweep: ks.map(k => ({ k, accuracy: reports[k].accuracy })),
+        reports
+    };
+}
+
+// Smallest k with the best accuracy
+export function bestK(sweep) {
+    return sweep.reduce((best, point) => (point.accuracy > best.accuracy ? point : best), sweep[0])?.k ?? DEFAULT_K;
+}
+
+// Trains a fresh neural head per split and scores it on the held-out rows.
+// Resolves to { labels, samples, splits, report }.
+export async function evaluateDenseHead(classifier, config, headConfig, { onProgress, signal } = {}) {
+    const { dataset, labels, splits, rowClass } = prepare(classifier, config);
+
+    const rows = tf.concat(labels.map(label => dataset[label]), 0);
+    const actual = [];
+    const predicted = [];
+    try {
+        for (let s = 0; s < splits.length; s++) {
+            const { train, test } = splits[s];
+            const xs = tf.tidy(() => tf.gather(rows, tf.tensor1d(train, 'int32')));
+            let model;
+            try {
+                model = await fitDenseHead(xs, train.map(row => rowClass[row]), labels.length, headConfig, { signal });
+            } finally {
+                xs.dispose();
+            }
+            const winners = tf.tidy(() => model.predict(tf.gather(rows, tf.tensor1d(test, 'int32'))).argMax(1));
+            const result = await winners.data();
+            winners.dispose();
+            disposeModel(model);
+
+            test.forEach((row, t) => {
+                actual.push(rowClass[row]);
+                predicted.push(result[t]);
+            });
+            onProgress?.({ done: s + 1, total: splits.length });
+        }
+    } finally {
+        rows.dispose();
+    }
+
+    return { labels, samples: actual.length, splits: splits.length, report: score(labels, actual, predicted) };
+}
@@ -0,0 +1,78 @@
+import { getRecord, getAllRecords, countRecords, putRecord, deleteRecord, deleteFirstRecords, clearStore } from './db';
+import { getSourceSize } from './viewport';
+import { drawDetections } from './drawing';
+
+// Persistent log of rule firings:
+//   { id, time, ruleId, ruleName, message, classes: string[], snapshot: Blob | null, clip?: Blob }
+// Only the newest MAX_EVENTS are kept.
+
+export const MAX_EVENTS = 500;
+const SNAPSHOT_MAX_SIZE = 320;
+const SNAPSHOT_PADDING = 0.15;
+
+function createEventId(time) {
+    // Time-prefixed so keys sort chronologically
+    return `${String(time).padStart(15, '0')}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export async function listEvents() {
+    const events = await getAllRecords('events');
+    return events.sort((a, b) => b.time - a.time);
+}
+
+export async function addEvent({ time = Date.now(), ...event }) {
+    const record = { id: createEventId(time), time, ...event };
+    await putRecord('events', record);
+
+    // Ids sort by time, so the lowest keys are the oldest events
+    const excess = await countRecords('events') - MAX_EVENTS;
+    await deleteFirstRecords('events', excess);
+    return record;
+}
+
+// Auto-recorded WebM clip covering the event
+export async function attachClip(id, clip) {
+    const event = await getRecord('events', id);
+    if (event) await putRecord('events', { ...event, clip });
+}
+
+export function deleteEvent(id) {
+    return deleteRecord('events', id);
+}
+
+export function clearEvents() {
+    return clearStore('events');
+}
+
+// JPEG crop around the triggering boxes (whole frame when there are none).
+// Drawing happens synchronously so the current video frame is captured.
+export function captureSnapshot(source, detections = []) {
+    const { width, height } = getSourceSize(source);
+    if (!width || !height) return Promise.resolve(null);
+
+    let [left, top, right, bottom] = [0, 0, width, height];
+    if (detections.length > 0) {
+        left = Math.min(...detections.map(d => d.bbox[0]));
+        top = Math.min(...detections.map(d => d.bbox[1]));
+        right = Math.max(...detections.map(d => d.bbox[0] + d.bbox[2]));
+        bottom = Math.max(...detections.map(d => d.bbox[1] + d.bbox[3]));
+        const padX = (right - left) * SNAPSHOT_PADDING;
+        const padY = (bottom - top) * SNAPSHOT_PADDING;
+        left = Math.max(0, left - padX);
+        top = Math.max(0, top - padY);
+        right = Math.min(width, right + padX);
+        bottom = Math.min(height, bottom + padY);
+    }
+
+    const cropWidth = right - left;
+    const cropHeight = bottom - top;
+    const scale = Math.min(1, SNAPSHOT_MAX_SIZE / Math.max(cropWidth, cropHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(cropWidth * scale));
+    canvas.height = Math.max(1, Math.round(cropHeight * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, left, top, cropWidth, cropHeight, 0, 0, canvas.width, canvas.height);
+    drawDetections(ctx, detections, { scale, offsetX: -left * scale, offsetY: -top * scale });
+
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+}
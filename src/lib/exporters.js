@@ -0,0 +1,146 @@
+import { COCO_CLASSES } from './cocoClasses';
+
+// Detection result exporters. All of them take a list of annotated images:
+//   [{ fileName, width, height, frame?, timestamp?, predictions: [{ bbox, class, score, trackId? }] }]
+// Boxes are [x, y, width, height] in source pixel coordinates.
+
+const COCO_IDS = Object.fromEntries(Object.entries(COCO_CLASSES).map(([id, name]) => [name, Number(id)]));
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Classes outside the COCO vocabulary (custom models) get ids after the COCO range
+function buildCategories(images) {
+    const names = [...new Set(images.flatMap(image => image.predictions.map(p => p.class)))];
+    let nextId = Math.max(...Object.values(COCO_IDS)) + 1;
+    return names
+        .map(name => ({ id: COCO_IDS[name] ?? nextId++, name, supercategory: 'object' }))
+        .sort((a, b) => a.id - b.id);
+}
+
+export function toCocoJson(images, { description = 'NeuralVision detections' } = {}) {
+    const categories = buildCategories(images);
+    const categoryIds = Object.fromEntries(categories.map(c => [c.name, c.id]));
+    const annotations = [];
+
+    const cocoImages = images.map((image, index) => {
+        const imageId = index + 1;
+        image.predictions.forEach((pred) => {
+            const [x, y, w, h] = pred.bbox.map(v => round(v));
+            annotations.push({
+                id: annotations.length + 1,
+                image_id: imageId,
+                category_id: categoryIds[pred.class],
+                bbox: [x, y, w, h],
+                area: round(w * h),
+                iscrowd: 0,
+                score: round(pred.score, 4),
+                ...(pred.trackId !== undefined && { track_id: pred.trackId })
+            });
+        });
+
+        return {
+            id: imageId,
+            file_name: image.fileName,
+            width: image.width,
+            height: image.height,
+            ...(image.frame !== undefined && { frame_index: image.frame }),
+            ...(image.timestamp !== undefined && { timestamp: round(image.timestamp, 3) })
+        };
+    });
+
+    return {
+        info: { description, date_created: new Date().toISOString() },
+        images: cocoImages,
+        annotations,
+        categories
+    };
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(images) {
+    const header = ['frame', 'timestamp', 'class', 'score', 'x', 'y', 'w', 'h', 'track_id', 'file'];
+    const rows = images.flatMap((image, index) =>
+        image.predictions.map(pred => [
+            image.frame ?? index,
+            image.timestamp !== undefined ? round(image.timestamp, 3) : '',
+            pred.class,
+            round(pred.score, 4),
+            ...pred.bbox.map(v => round(v)),
+            pred.trackId ?? '',
+            image.fileName
+        ])
+    );
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function xmlEscape(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+export function toVocXml(image) {
+    const objects = image.predictions.map((pred) => {
+        const [x, y, w, h] = pred.bbox;
+        const xmin = Math.max(0, Math.round(x));
+        const ymin = Math.max(0, Math.round(y));
+        const xmax = Math.min(image.width, Math.round(x + w));
+        const ymax = Math.min(image.height, Math.round(y + h));
+        return `    <object>
+        <name>${xmlEscape(pred.class)}</name>
+        <pose>Unspecified</pose>
+        <truncated>0</truncated>
+        <difficult>0</difficult>
+        <confidence>${round(pred.score, 4)}</confidence>
+        <bndbox>
+            <xmin>${xmin}</xmin>
+            <ymin>${ymin}</ymin>
+            <xmax>${xmax}</xmax>
+            <ymax>${ymax}</ymax>
+        </bndbox>
+    </object>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<annotation>
+    <folder>neuralvision</folder>
+    <filename>${xmlEscape(image.fileName)}</filename>
+    <source>
+        <database>NeuralVision</database>
+    </source>
+    <size>
+        <width>${image.width}</width>
+        <height>${image.height}</height>
+        <depth>3</depth>
+    </size>
+    <segmented>0</segmented>
+${objects.join('\n')}
+</annotation>
+`;
+}
+
+export function baseName(fileName) {
+    return fileName.replace(/\.[^.]+$/, '');
+}
+
+// Video analysis runs -> one annotated "image" per sampled frame
+export function framesToImages(result, sourceName) {
+    const base = baseName(sourceName);
+    return result.frames.map(frame => ({
+        fileName: `${base}_frame${String(frame.index).padStart(6, '0')}.jpg`,
+        width: result.width,
+        height: result.height,
+        frame: frame.index,
+        timestamp: frame.time,
+        predictions: frame.predictions
+    }));
+}
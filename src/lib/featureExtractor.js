@@ -0,0 +1,26 @@
+import * as tf from '@tensorflow/tfjs';
+import * as mobilenet from '@tensorflow-models/mobilenet';
+
+// The MobileNet variant every custom classifier embedding is computed with.
+// Datasets are only interchangeable between identical extractors.
+export const MOBILENET_CONFIG = { version: 1, alpha: 1.0 };
+export const EMBEDDING_LAYER = 'module_apply_default/MobilenetV1/Logits/global_pool';
+export const INPUT_SIZE = 224;
+
+export function loadFeatureExtractor() {
+    return mobilenet.load(MOBILENET_CONFIG);
+}
+
+export function getEmbeddingSize(net) {
+    return tf.tidy(() => net.infer(tf.zeros([INPUT_SIZE, INPUT_SIZE, 3]), true).shape.at(-1));
+}
+
+export function describeFeatureExtractor(net) {
+    return {
+        name: 'mobilenet',
+        version: MOBILENET_CONFIG.version,
+        alpha: MOBILENET_CONFIG.alpha,
+        embeddingLayer: EMBEDDING_LAYER,
+        embeddingSize: getEmbeddingSize(net)
+    };
+}
@@ -0,0 +1,130 @@
+import * as tf from '@tensorflow/tfjs';
+import { profiler } from './profiler';
+
+// Main-thread side of ../workers/inference.worker.js.
+// Each remote model owns its own worker, so disposing the model terminates it.
+// Workers run on the same TF.js backend as the main thread.
+// Remote models expose `remote: true` and `busy`: live loops check `busy` and
+// drop the frame instead of queueing it behind the one still in flight.
+
+export function isWorkerInferenceSupported() {
+    return typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && typeof createImageBitmap === 'function';
+}
+
+function createWorkerClient() {
+    const worker = new Worker(new URL('../workers/inference.worker.js', import.meta.url), { type: 'module' });
+    const pending = new Map();
+    let nextId = 0;
+
+    const rejectAll = (error) => {
+        pending.forEach(({ reject }) => reject(error));
+        pending.clear();
+    };
+
+    worker.onmessage = ({ data }) => {
+        if (data.memory) profiler.recordRemoteMemory(data.memory);
+        const request = pending.get(data.id);
+        if (!request) return;
+        pending.delete(data.id);
+        if (data.ok) request.resolve(data.result);
+        else request.reject(new Error(data.error));
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        rejectAll(new Error(event.message || 'Inference worker failed to start'));
+    };
+
+    const client = {
+        call(type, payload = {}, transfer = []) {
+            const id = nextId++;
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject });
+                worker.postMessage({ id, type, ...payload }, transfer);
+            });
+        },
+        terminate() {
+            worker.terminate();
+            rejectAll(new DOMException('Inference worker terminated', 'AbortError'));
+        }
+    };
+    client.ready = client.call('set-backend', { backend: tf.getBackend() });
+    return client;
+}
+
+// Counts calls in flight so callers can apply backpressure
+function createInFlightCounter() {
+    let count = 0;
+    return {
+        get busy() { return count > 0; },
+        async run(task) {
+            count++;
+            try {
+                return await task();
+            } finally {
+                count--;
+            }
+        }
+    };
+}
+
+// Same result shape as loadDetector() in ./detectors
+export async function loadWorkerDetector(spec) {
+    const client = createWorkerClient();
+    try {
+        await client.ready;
+        const { classNames, stats } = await client.call('load-detector', { spec });
+        const inFlight = createInFlightCounter();
+
+        const detectCandidates = (img, minScore) => inFlight.run(async () => {
+            const bitmap = await createImageBitmap(img);
+            const { candidates } = await client.call('detect', { bitmap, minScore }, [bitmap]);
+            return candidates;
+        });
+
+        const detector = {
+            remote: true,
+            classNames,
+            get busy() { return inFlight.busy; },
+            detectCandidates,
+            async detect(img, maxNumBoxes = 20, minScore = 0.5) {
+                const candidates = await detectCandidates(img, minScore);
+                return candidates.sort((a, b) => b.score - a.score).slice(0, maxNumBoxes);
+            },
+            dispose() {
+                client.terminate();
+            }
+        };
+        return { detector, classNames, stats };
+    } catch (err) {
+        client.terminate();
+        throw err;
+    }
+}
+
+// MobileNet embeddings computed in a worker; returns tensors on the main thread
+export async function loadWorkerFeatureExtractor() {
+    const client = createWorkerClient();
+    try {
+        await client.ready;
+        await client.call('load-extractor');
+    } catch (err) {
+        client.terminate();
+        throw err;
+    }
+    const inFlight = createInFlightCounter();
+
+    return {
+        remote: true,
+        get busy() { return inFlight.busy; },
+        embed: img => inFlight.run(async () => {
+            const bitmap = await createImageBitmap(img);
+            const { embedding, shape } = await client.call('embed', { bitmap }, [bitmap]);
+            return tf.tensor(embedding, shape);
+        }),
+        dispose() {
+            client.terminate();
+        }
+    };
+}
@@ -0,0 +1,138 @@
+import * as tf from '@tensorflow/tfjs';
+import { serializeDataset, restoreDataset } from './projectStore';
+
+// Portable single-file bundle for a trained KNN classifier.
+// Tensors are stored as base64-encoded float32 buffers, one per class id.
+
+export const BUNDLE_FORMAT = 'neuralvision-classifier';
+export const BUNDLE_SCHEMA_VERSION = 1;
+export const BUNDLE_EXTENSION = '.nvmodel.json';
+
+const EXTRACTOR_FIELDS = ['name', 'version', 'alpha', 'embeddingLayer', 'embeddingSize'];
+
+function encodeFloat32(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = '';
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary);
+}
+
+function decodeFloat32(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Float32Array(bytes.buffer);
+}
+
+export function createBundle({ name, classes, classifier, featureExtractor }) {
+    const dataset = {};
+    Object.entries(serializeDataset(classifier)).forEach(([label, { shape, data }]) => {
+        dataset[label] = { shape, data: encodeFloat32(data) };
+    });
+
+    return {
+        format: BUNDLE_FORMAT,
+        schemaVersion: BUNDLE_SCHEMA_VERSION,
+        name,
+        createdAt: new Date().toISOString(),
+        featureExtractor,
+        classes: classes.map(({ id, name, color }) => ({ id, name, color })),
+        dataset
+    };
+}
+
+export async function readBundleFile(file) {
+    let bundle;
+    try {
+        bundle = JSON.parse(await file.text());
+    } catch {
+        throw new Error('File is not valid JSON');
+    }
+    return bundle;
+}
+
+// Throws a descriptive error if the bundle cannot be used with the loaded extractor.
+// Returns the decoded dataset ({ [label]: { shape, data: Float32Array } }).
+export function validateBundle(bundle, featureExtractor) {
+    if (bundle?.format !== BUNDLE_FORMAT) {
+        throw new Error('Not a NeuralVision classifier bundle');
+    }
+    if (bundle.schemaVersion !== BUNDLE_SCHEMA_VERSION) {
+        throw new Error(`Unsupported bundle schema version ${bundle.schemaVersion} (expected ${BUNDLE_SCHEMA_VERSION})`);
+    }
+
+    const mismatched = EXTRACTOR_FIELDS.filter(field => bundle.featureExtractor?.[field] !== featureExtractor[field]);
+    if (mismatched.length > 0) {
+        const details = mismatched
+            .map(field => `${field}: ${bundle.featureExtractor?.[field]} ≠ ${featureExtractor[field]}`)
+            .join(', ');
+        throw new Error(`Bundle was trained with a different feature extractor (${details})`);
+    }
+
+    if (!Array.isArray(bundle.classes) || bundle.classes.some(c => typeof c.id !== 'number' || typeof c.name !== 'string')) {
+        throw new Error('Bundle class metadata is malformed');
+    }
+
+    const classIds = new Set(bundle.classes.map(c => String(c.id)));
+    const dataset = {};
+    Object.entries(bundle.dataset || {}).forEach(([label, entry]) => {
+        if (!classIds.has(label)) {
+            throw new Error(`Bundle has samples for unknown class id ${label}`);
+        }
+        const [rows, width] = entry.shape || [];
+        const data = decodeFloat32(entry.data);
+        if (width !== featureExtractor.embeddingSize || data.length !== rows * width) {
+            throw new Error(`Samples for class id ${label} have an invalid shape`);
+        }
+        dataset[label] = { shape: [rows, width], data };
+    });
+
+    return dataset;
+}
+
+// Loads a validated bundle into the classifier and returns the resulting classes.
+// 'replace' discards the current classifier, 'merge' appends samples to classes with
+// the same name and adds the rest as new classes.
+export function applyBundle(classifier, currentClasses, bundle, dataset, mode) {
+    if (mode === 'replace') {
+        const restored = restoreDataset(classifier, dataset);
+        return bundle.classes.map(c => ({
+            ...c,
+            count: restored[c.id]?.shape[0] ?? 0
+        }));
+    }
+
+    const classes = currentClasses.map(c => ({ ...c }));
+    const next = { ...classifier.getClassifierDataset() };
+    let nextId = Math.max(-1, ...classes.map(c => c.id)) + 1;
+
+    bundle.classes.forEach((incoming) => {
+        const key = incoming.name.trim().toLowerCase();
+        let target = classes.find(c => c.name.trim().toLowerCase() === key);
+        if (!target) {
+            target = { id: nextId++, name: incoming.name, color: incoming.color || 'bg-gray-500', count: 0 };
+            classes.push(target);
+        }
+
+        const entry = dataset[incoming.id];
+        if (!entry) return;
+
+        const rows = tf.tensor2d(entry.data, entry.shape);
+        if (next[target.id]) {
+            const merged = tf.concat([next[target.id], rows], 0);
+            next[target.id].dispose();
+            rows.dispose();
+            next[target.id] = merged;
+        } else {
+            next[target.id] = rows;
+        }
+    });
+
+    if (Object.keys(next).length > 0) {
+        classifier.setClassifierDataset(next);
+    }
+    return classes.map(c => ({ ...c, count: next[c.id]?.shape[0] ?? 0 }));
+}
@@ -0,0 +1,91 @@
+import * as tf from '@tensorflow/tfjs';
+import { getSourceSize } from './viewport';
+import { INPUT_SIZE } from './featureExtractor';
+import { ANY_CLASS } from './rules';
+import { classifyEmbedding } from './denseHead';
+
+// Two-stage pipeline: detector boxes of `className` are cropped, embedded with
+// the Custom Training MobileNet and classified by its active head. Detections get
+//   subLabel: { name, confidence }
+// when the KNN is at least `minConfidence` sure. Tracked objects are
+// re-classified every `refreshMs` and keep their label in between, so the cost
+// stays around one embedding per object per refresh.
+
+export const DEFAULT_PIPELINE = { enabled: false, className: 'person', minConfidence: 0.6 };
+
+const MAX_CROPS = 8; // Per frame, largest boxes first
+const CROP_PADDING = 0.1; // Context around the box, as a fraction of its size
+
+function cropBox([x, y, w, h], width, height) {
+    const padX = w * CROP_PADDING;
+    const padY = h * CROP_PADDING;
+    return [
+        Math.max(0, (y - padY) / height),
+        Math.max(0, (x - padX) / width),
+        Math.min(1, (y + h + padY) / height),
+        Math.min(1, (x + w + padX) / width)
+    ];
+}
+
+export function createDetectionClassifier({ refreshMs = 500 } = {}) {
+    let cache = new Map(); // trackId -> { subLabel, time }
+
+    // `classes` is the Custom Training class list (KNN labels are class ids); `k`,
+    // `head` and `neuralHead` pick how embeddings are classified
+    async function classify({ net, classifier, classes, ...heads }, config, source, detections) {
+        const { width, height } = getSourceSize(source);
+        if (!width || !height || classifier.getNumClasses() === 0) return detections;
+
+        const now = performance.now();
+        const matches = det => config.className === ANY_CLASS || det.class === config.className;
+        const due = detections
+            .filter(det => matches(det) && (det.trackId === undefined || !(now - cache.get(det.trackId)?.time < refreshMs)))
+            .sort((a, b) => b.bbox[2] * b.bbox[3] - a.bbox[2] * a.bbox[3])
+            .slice(0, MAX_CROPS);
+
+        const fresh = new Map(); // detection -> subLabel | null
+        if (due.length > 0) {
+            const embeddings = tf.tidy(() => {
+                const frame = tf.browser.fromPixels(source).toFloat().expandDims(0);
+                const boxes = due.map(det => cropBox(det.bbox, width, height));
+                const crops = tf.image.cropAndResize(frame, boxes, due.map(() => 0), [INPUT_SIZE, INPUT_SIZE]);
+                return net.infer(crops, true);
+            });
+            try {
+                for (let i = 0; i < due.length; i++) {
+                    const embedding = embeddings.slice([i, 0], [1, -1]);
+                    const { label, confidences } = await classifyEmbedding({ classifier, ...heads }, embedding);
+                    embedding.dispose();
+                    const confidence = confidences[label] ?? 0;
+                    const name = classes.find(c => String(c.id) === String(label))?.name ?? String(label);
+                    fresh.set(due[i], confidence >= config.minConfidence ? { name, confidence } : null);
+                }
+            } finally {
+                embeddings.dispose();
+            }
+        }
+
+        const next = new Map();
+        const labelled = detections.map((det) => {
+            if (!matches(det)) return det;
+            let subLabel;
+            if (fresh.has(det)) {
+                subLabel = fresh.get(det);
+                if (det.trackId !== undefined) next.set(det.trackId, { subLabel, time: now });
+            } else if (det.trackId !== undefined && cache.has(det.trackId)) {
+                subLabel = cache.get(det.trackId).subLabel;
+                next.set(det.trackId, cache.get(det.trackId));
+            }
+            return subLabel ? { ...det, subLabel } : det;
+        });
+        cache = next; // Drops tracks that are gone
+        return labelled;
+    }
+
+    return {
+        classify,
+        reset() {
+            cache = new Map();
+        }
+    };
+}
@@ -0,0 +1,77 @@
+// Detection post-processing: per-class score thresholds, class-aware
+// non-max suppression (hard or linear soft-NMS) and the max-objects cap.
+// Boxes use the COCO-SSD format: [x, y, width, height].
+
+export function iou(a, b) {
+    const x1 = Math.max(a[0], b[0]);
+    const y1 = Math.max(a[1], b[1]);
+    const x2 = Math.min(a[0] + a[2], b[0] + b[2]);
+    const y2 = Math.min(a[1] + a[3], b[1] + b[3]);
+    const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+    const union = a[2] * a[3] + b[2] * b[3] - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+function groupByClass(detections) {
+    const groups = new Map();
+    detections.forEach((det) => {
+        if (!groups.has(det.class)) groups.set(det.class, []);
+        groups.get(det.class).push(det);
+    });
+    return [...groups.values()];
+}
+
+// Greedy NMS, run independently for every class
+export function nonMaxSuppression(detections, iouThreshold) {
+    return groupByClass(detections).flatMap((group) => {
+        const sorted = [...group].sort((a, b) => b.score - a.score);
+        const kept = [];
+        sorted.forEach((det) => {
+            if (kept.every(k => iou(k.bbox, det.bbox) <= iouThreshold)) kept.push(det);
+        });
+        return kept;
+    });
+}
+
+// Linear soft-NMS: overlapping boxes above the IoU threshold are decayed by (1 - IoU)
+// instead of being removed, then dropped once they fall below their class threshold.
+export function softNonMaxSuppression(detections, iouThreshold, thresholdFor) {
+    return groupByClass(detections).flatMap((group) => {
+        let remaining = group.map(det => ({ ...det }));
+        const kept = [];
+        while (remaining.length > 0) {
+            remaining.sort((a, b) => b.score - a.score);
+            const best = remaining.shift();
+            kept.push(best);
+            remaining = remaining
+                .map((det) => {
+                    const overlap = iou(best.bbox, det.bbox);
+                    return overlap > iouThreshold ? { ...det, score: det.score * (1 - overlap) } : det;
+                })
+                .filter(det => det.score >= thresholdFor(det.class));
+        }
+        return kept;
+    });
+}
+
+export function scoreThresholdFor(settings, className) {
+    return settings.classThresholds?.[className] ?? settings.minConfidence;
+}
+
+// Lowest score any class may pass with; used to query the model for candidates
+export function minimumScore(settings) {
+    return Math.min(settings.minConfidence, ...Object.values(settings.classThresholds || {}));
+}
+
+export function postprocessDetections(candidates, settings) {
+    const thresholdFor = className => scoreThresholdFor(settings, className);
+    const passing = candidates.filter(det => det.score >= thresholdFor(det.class));
+
+    const suppressed = settings.softNms
+        ? softNonMaxSuppression(passing, settings.iouThreshold, thresholdFor)
+        : nonMaxSuppression(passing, settings.iouThreshold);
+
+    return suppressed
+        .sort((a, b) => b.score - a.score)
+        .slice(0, settings.maxObjects);
+}
@@ -0,0 +1,191 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Post-processing of live Custom Training predictions:
+//   rejection - open-set gate: the frame is reported as UNKNOWN_LABEL when the
+//               nearest stored example is too dissimilar ('similarity') or the
+//               winning class's confidence is too low ('confidence')
+//   smoothing - moving average of the per-class confidences over `window`
+//               frames; 'hysteresis' additionally keeps the current winner
+//               until another class beats it by HYSTERESIS_MARGIN
+//   stable    - a class that stays on top for `stableFrames` frames in a row
+//               fires STABLE_PREDICTION_EVENT on window, once per run
+
+export const UNKNOWN_LABEL = 'unknown';
+export const STABLE_PREDICTION_EVENT = 'neuralvision:stable-prediction';
+
+export const REJECTION_METRICS = [
+    { id: 'similarity', label: 'Nearest match', hint: 'Cosine similarity to the closest stored example' },
+    { id: 'confidence', label: 'Confidence', hint: 'Vote share (KNN) or probability (neural) of the winning class' }
+];
+
+export const SMOOTHING_MODES = [
+    { id: 'off', label: 'Off', hint: 'Raw per-frame confidences' },
+    { id: 'average', label: 'Average', hint: 'Moving average over the window' },
+    { id: 'hysteresis', label: 'Hysteresis', hint: 'Moving average; the winner only changes when clearly beaten' }
+];
+
+export const DEFAULT_PREDICTION_FILTER = {
+    rejection: false,
+    metric: 'similarity',
+    thresholds: { similarity: 0.6, confidence: 0.6 },
+    calibration: null, // { acceptRate, samples, thresholds, signature } of the last calibration
+    smoothing: 'average',
+    window: 5,
+    stableFrames: 10
+};
+
+export const DEFAULT_ACCEPT_RATE = 0.95; // Share of the stored examples a calibrated threshold lets through
+const HYSTERESIS_MARGIN = 0.15;
+const CALIBRATION_CHUNK = 256; // Rows compared against the whole dataset per step
+
+// Cosine similarity between an embedding and its closest stored example
+export async function nearestSimilarity(classifier, embedding) {
+    const nearest = tf.tidy(() => classifier.similarities(embedding).max());
+    const [value] = await nearest.data();
+    nearest.dispose();
+    return value;
+}
+
+// The value below which `share` of `values` fall
+function quantile(values, share) {
+    const sorted = Float32Array.from(values).sort();
+    return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+}
+
+// Leave-one-out statistics of every stored example: its nearest other example's
+// similarity and the winning share of the k-nearest vote. With a trained neural
+// head its top probability replaces the vote share. Thresholds are set so that
+// `acceptRate` of the examples would still be accepted.
+// Resolves to { acceptRate, samples, thresholds: { similarity, confidence } }.
+export async function calibrateRejection({ classifier, k, head, neuralHead }, acceptRate = DEFAULT_ACCEPT_RATE) {
+    const dataset = classifier.getClassifierDataset();
+    const labels = Object.keys(dataset).filter(label => dataset[label].shape[0] > 0);
+    const rowClass = labels.flatMap((label, c) => new Array(dataset[label].shape[0]).fill(c));
+    const total = rowClass.length;
+    if (total < 3) throw new Error('Add a few more examples before calibrating.');
+
+    const kVal = Math.min(k, total - 1);
+    const nearest = [];
+    let confidences = [];
+    const rows = tf.concat(labels.map(label => dataset[label]), 0);
+    try {
+        for (let start = 0; start < total; start += CALIBRATION_CHUNK) {
+            const end = Math.min(total, start + CALIBRATION_CHUNK);
+            const { values, indices } = tf.tidy(() => {
+                // Rows are unit-length; push each row's match with itself out of the top k
+                const similarities = tf.matMul(rows.slice(start, end - start), rows, false, true)
+                    .sub(tf.oneHot(tf.range(start, end, 1, 'int32'), total).mul(3));
+                return tf.topk(similarities, kVal);
+            });
+            const [topValues, topIndices] = await Promise.all([values.data(), indices.data()]);
+            tf.dispose([values, indices]);
+
+            for (let r = 0; r < end - start; r++) {
+                nearest.push(topValues[r * kVal]);
+                const votes = new Array(labels.length).fill(0);
+                for (let i = 0; i < kVal; i++) votes[rowClass[topIndices[r * kVal + i]]]++;
+                confidences.push(Math.max(...votes) / kVal);
+            }
+            await tf.nextFrame();
+        }
+
+        if (head === 'neural' && neuralHead) {
+            const best = tf.tidy(() => neuralHead.model.predict(rows).max(1));
+            confidences = Array.from(await best.data());
+            best.dispose();
+        }
+    } finally {
+        rows.dispose();
+    }
+
+    return {
+        acceptRate,
+        samples: total,
+        thresholds: {
+            similarity: quantile(nearest, 1 - acceptRate),
+            confidence: quantile(confidences, 1 - acceptRate)
+        }
+    };
+}
+
+// Stateful per-stream filter; feed it one prediction per frame
+export function createPredictionFilter(initial = {}) {
+    let config = { ...DEFAULT_PREDICTION_FILTER, ...initial };
+    let history = []; // Last `window` confidence maps
+    let similarities = []; // ...and nearest-example similarities
+    let current = null; // Winner kept by hysteresis
+    let run = { label: null, frames: 0, fired: false };
+
+    function reset() {
+        history = [];
+        similarities = [];
+        current = null;
+        run = { label: null, frames: 0, fired: false };
+    }
+
+    function average() {
+        const sums = {};
+        history.forEach((confidences) => {
+            Object.entries(confidences).forEach(([label, value]) => {
+                sums[label] = (sums[label] ?? 0) + value;
+            });
+        });
+        Object.keys(sums).forEach((label) => {
+            sums[label] /= history.length;
+        });
+        return sums;
+    }
+
+    function pickWinner(confidences) {
+        const ranked = Object.keys(confidences).sort((a, b) => confidences[b] - confidences[a]);
+        const top = ranked[0] ?? null;
+        if (config.smoothing !== 'hysteresis' || current === null || !(current in confidences)) return top;
+        return confidences[top] - confidences[current] > HYSTERESIS_MARGIN ? top : current;
+    }
+
+    return {
+        configure(next) {
+            const { smoothing, window } = config;
+            config = { ...config, ...next };
+            if (config.smoothing !== smoothing || config.window !== window) reset();
+        },
+
+        reset,
+
+        // prediction: { label, confidences } from classifyEmbedding(); similarity:
+        // nearestSimilarity() of the same frame (only needed for that metric).
+        // Returns { label, confidence, confidences, unknown, similarity, stable },
+        // `stable` being the label that just became stable (null otherwise).
+        process(prediction, similarity = null) {
+            const size = config.smoothing === 'off' ? 1 : config.window;
+            history = [...history, prediction.confidences].slice(-size);
+            if (similarity !== null) similarities = [...similarities, similarity].slice(-size);
+            const smoothedSimilarity = similarities.length > 0
+                ? similarities.reduce((sum, value) => sum + value, 0) / similarities.length
+                : null;
+
+            const confidences = average();
+            const winner = pickWinner(confidences);
+            current = winner;
+            const confidence = confidences[winner] ?? 0;
+
+            const score = config.metric === 'similarity' ? smoothedSimilarity : confidence;
+            const unknown = config.rejection && score !== null && score < config.thresholds[config.metric];
+            const label = unknown ? UNKNOWN_LABEL : winner;
+
+            run = run.label === label ? { ...run, frames: run.frames + 1 } : { label, frames: 1, fired: false };
+            let stable = null;
+            if (!unknown && !run.fired && run.frames >= config.stableFrames) {
+                run.fired = true;
+                stable = label;
+            }
+            return { label, confidence, confidences, unknown, similarity: smoothedSimilarity, stable };
+        }
+    };
+}
+
+// detail: { label, name, confidence, time }; listen with
+//   window.addEventListener(STABLE_PREDICTION_EVENT, e => console.log(e.detail.name))
+export function announceStablePrediction(detail) {
+    window.dispatchEvent(new CustomEvent(STABLE_PREDICTION_EVENT, { detail }));
+}
@@ -0,0 +1,86 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Inference latency and tensor memory bookkeeping for the Performance panel.
+// Components call record() around each inference; the panel polls sampleMemory()
+// and getSnapshot(). Worker replies report their own tf.memory() via recordRemoteMemory().
+
+const LATENCY_WINDOW = 300;  // Most recent inferences kept per stream
+const MEMORY_WINDOW = 120;   // Memory samples kept (one per poll)
+const LEAK_WINDOW = 10;      // Consecutive samples that must not shrink
+const LEAK_MIN_GROWTH = 10;  // ...and grow by at least this many tensors
+
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+// A leak shows up as numTensors never dropping while the app is idle-looping
+export function detectLeak(samples, key = 'numTensors') {
+    if (samples.length < LEAK_WINDOW) return null;
+    const recent = samples.slice(-LEAK_WINDOW);
+    for (let i = 1; i < recent.length; i++) {
+        if (recent[i][key] < recent[i - 1][key]) return null;
+    }
+    const growth = recent.at(-1)[key] - recent[0][key];
+    return growth >= LEAK_MIN_GROWTH ? { growth, seconds: Math.round((recent.at(-1).time - recent[0].time) / 1000) } : null;
+}
+
+export function createProfiler() {
+    const latencies = {};   // { [stream]: number[] }
+    const memory = [];      // [{ time, numTensors, numBytes, remoteTensors?, remoteBytes? }]
+    let remote = null;
+
+    return {
+        record(stream, ms) {
+            const samples = latencies[stream] ??= [];
+            samples.push(ms);
+            if (samples.length > LATENCY_WINDOW) samples.shift();
+        },
+
+        recordRemoteMemory({ numTensors, numBytes }) {
+            remote = { numTensors, numBytes };
+        },
+
+        sampleMemory() {
+            const { numTensors, numBytes } = tf.memory();
+            memory.push({
+                time: Date.now(),
+                numTensors,
+                numBytes,
+                remoteTensors: remote?.numTensors,
+                remoteBytes: remote?.numBytes
+            });
+            if (memory.length > MEMORY_WINDOW) memory.shift();
+        },
+
+        getSnapshot() {
+            const streams = Object.entries(latencies).map(([name, samples]) => {
+                const sorted = [...samples].sort((a, b) => a - b);
+                return {
+                    name,
+                    count: samples.length,
+                    p50: percentile(sorted, 50),
+                    p90: percentile(sorted, 90),
+                    p99: percentile(sorted, 99),
+                    max: sorted.at(-1)
+                };
+            });
+            return {
+                streams,
+                memory: [...memory],
+                leak: detectLeak(memory),
+                remoteLeak: remote ? detectLeak(memory.filter(m => m.remoteTensors !== undefined), 'remoteTensors') : null
+            };
+        },
+
+        reset() {
+            Object.keys(latencies).forEach(key => delete latencies[key]);
+            memory.length = 0;
+            remote = null;
+        }
+    };
+}
+
+// Shared by every tab so one panel can show them all
+export const profiler = createProfiler();
@@ -0,0 +1,105 @@
+import * as tf from '@tensorflow/tfjs';
+import { getRecord, getAllRecords, putRecord, deleteRecord } from './db';
+import { removeDenseHead } from './denseHead';
+import { removeAnnotations } from './annotations';
+import { removeBoxDetector } from './boxDetector';
+
+// Custom Training projects are split in two stores: lightweight metadata
+// (listed in the UI) and the KNN dataset itself plus its example thumbnails
+// (only read when opened).
+
+const ACTIVE_PROJECT_KEY = 'neuralvision.activeProject';
+
+export const DEFAULT_CLASSES = [
+    { id: 0, name: 'Class A (e.g. Thumbs Up)', count: 0, color: 'bg-emerald-500' },
+    { id: 1, name: 'Class B (e.g. Open Palm)', count: 0, color: 'bg-indigo-500' },
+    { id: 2, name: 'Background (Nothing)', count: 0, color: 'bg-gray-500' }
+];
+
+function createId() {
+    return globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Tensors -> plain typed arrays (structured-clone friendly)
+export function serializeDataset(classifier) {
+    const dataset = classifier.getClassifierDataset();
+    const serialized = {};
+    Object.entries(dataset).forEach(([label, tensor]) => {
+        serialized[label] = { shape: tensor.shape, data: tensor.dataSync().slice() };
+    });
+    return serialized;
+}
+
+export function deserializeDataset(serialized) {
+    const dataset = {};
+    Object.entries(serialized || {}).forEach(([label, { shape, data }]) => {
+        dataset[label] = tf.tensor2d(data, shape);
+    });
+    return dataset;
+}
+
+// Replaces everything the classifier knows with the given serialized dataset
+export function restoreDataset(classifier, serialized) {
+    classifier.clearAllClasses();
+    const dataset = deserializeDataset(serialized);
+    if (Object.keys(dataset).length > 0) {
+        classifier.setClassifierDataset(dataset);
+    }
+    return dataset;
+}
+
+export async function listProjects() {
+    const projects = await getAllRecords('projects');
+    return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function createProject(name, classes = DEFAULT_CLASSES) {
+    const now = Date.now();
+    const project = { id: createId(), name, classes, createdAt: now, updatedAt: now };
+    await putRecord('projects', project);
+    await putRecord('datasets', { id: project.id, dataset: {}, thumbnails: {} });
+    return project;
+}
+
+export async function loadProject(id) {
+    const project = await getRecord('projects', id);
+    if (!project) return null;
+    const record = await getRecord('datasets', id);
+    return { ...project, dataset: record?.dataset || {}, thumbnails: record?.thumbnails || {} };
+}
+
+// The dataset is read before the first await, so the classifier may be disposed right after the call
+export async function saveProject(project, classifier, thumbnails = {}) {
+    const updated = { ...project, updatedAt: Date.now() };
+    const dataset = serializeDataset(classifier);
+    await putRecord('projects', updated);
+    await putRecord('datasets', { id: project.id, dataset, thumbnails });
+    return updated;
+}
+
+export async function renameProject(id, name) {
+    const project = await getRecord('projects', id);
+    if (!project) return null;
+    const updated = { ...project, name, updatedAt: Date.now() };
+    await putRecord('projects', updated);
+    return updated;
+}
+
+export async function deleteProject(id) {
+    await deleteRecord('projects', id);
+    await deleteRecord('datasets', id);
+    await removeDenseHead(id);
+    await removeAnnotations(id);
+    await removeBoxDetector(id);
+    if (getActiveProjectId() === id) {
+        localStorage.removeItem(ACTIVE_PROJECT_KEY);
+    }
+}
+
+export function getActiveProjectId() {
+    return localStorage.getItem(ACTIVE_PROJECT_KEY);
+}
+
+export function setActiveProjectId(id) {
+    localStorage.setItem(ACTIVE_PROJECT_KEY, id);
+}
@@ -0,0 +1,129 @@
+// Alert rules evaluated against the live predictions stream.
+//   { id, name, enabled, type, ...params, actions: { sound, notify, webhook }, cooldownSec }
+// Types:
+//   presence  - `className` with score >= `minScore` continuously present for `durationSec`
+//   count     - more than `threshold` detections of `className`
+//   zone-exit - a tracked `className` (or any class) left zone `regionId`
+// presence and count fire once per episode and re-arm when the condition clears;
+// every rule additionally waits `cooldownSec` between firings.
+
+const RULES_KEY = 'neuralvision.rules';
+const WEBHOOK_KEY = 'neuralvision.webhookUrl';
+
+export const RULE_TYPES = [
+    { id: 'presence', label: 'Present for N seconds' },
+    { id: 'count', label: 'More than K objects' },
+    { id: 'zone-exit', label: 'Object left zone' }
+];
+
+export const ANY_CLASS = '*';
+
+export function createRule(type) {
+    const base = {
+        id: globalThis.crypto?.randomUUID?.() ?? `rule-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        enabled: true,
+        type,
+        className: 'person',
+        cooldownSec: 10,
+        actions: { sound: true, notify: false, webhook: false }
+    };
+    if (type === 'presence') return { ...base, minScore: 0.6, durationSec: 5 };
+    if (type === 'count') return { ...base, threshold: 3 };
+    return { ...base, className: ANY_CLASS, regionId: '' };
+}
+
+export function describeRule(rule, regions = []) {
+    const subject = rule.className === ANY_CLASS ? 'Any object' : rule.className;
+    switch (rule.type) {
+        case 'presence':
+            return `${subject} ≥ ${Math.round(rule.minScore * 100)}% for ${rule.durationSec}s`;
+        case 'count':
+            return `More than ${rule.threshold} × ${subject}`;
+        case 'zone-exit': {
+            const zone = regions.find(r => r.id === rule.regionId)?.name ?? 'zone';
+            return `${subject} left ${zone}`;
+        }
+        default:
+            return rule.type;
+    }
+}
+
+export function loadRules() {
+    try {
+        return JSON.parse(localStorage.getItem(RULES_KEY)) ?? [];
+    } catch {
+        return [];
+    }
+}
+
+export function saveRules(rules) {
+    localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+}
+
+export function loadWebhookUrl() {
+    return localStorage.getItem(WEBHOOK_KEY) ?? '';
+}
+
+export function saveWebhookUrl(url) {
+    localStorage.setItem(WEBHOOK_KEY, url);
+}
+
+const matchesClass = (rule, className) => rule.className === ANY_CLASS || rule.className === className;
+
+// Keeps per-rule timers between frames. evaluate() returns the rules that fired:
+//   [{ rule, message, detections }]  (detections = the boxes that triggered it)
+export function createRuleEngine() {
+    let state = new Map(); // ruleId -> { since, armed, lastFired }
+
+    function stateFor(rule) {
+        if (!state.has(rule.id)) state.set(rule.id, { since: null, armed: true, lastFired: -Infinity });
+        return state.get(rule.id);
+    }
+
+    function evaluate(rules, predictions, regionEvents, now, regions = []) {
+        const firings = [];
+
+        rules.forEach((rule) => {
+            if (!rule.enabled) return;
+            const ruleState = stateFor(rule);
+            const coolingDown = now - ruleState.lastFired < rule.cooldownSec * 1000;
+            let detections = null;
+
+            if (rule.type === 'presence') {
+                const matches = predictions.filter(p => matchesClass(rule, p.class) && p.score >= rule.minScore);
+                if (matches.length === 0) {
+                    ruleState.since = null;
+                    ruleState.armed = true;
+                } else {
+                    ruleState.since ??= now;
+                    if (ruleState.armed && now - ruleState.since >= rule.durationSec * 1000) detections = matches;
+                }
+            } else if (rule.type === 'count') {
+                const matches = predictions.filter(p => matchesClass(rule, p.class));
+                if (matches.length <= rule.threshold) ruleState.armed = true;
+                else if (ruleState.armed) detections = matches;
+            } else if (rule.type === 'zone-exit') {
+                const exits = regionEvents.filter(e => e.type === 'leave' && e.regionId === rule.regionId && matchesClass(rule, e.class));
+                if (exits.length > 0) {
+                    const trackIds = new Set(exits.map(e => e.trackId));
+                    detections = predictions.filter(p => trackIds.has(p.trackId));
+                }
+            }
+
+            if (detections && !coolingDown) {
+                ruleState.armed = rule.type === 'zone-exit';
+                ruleState.lastFired = now;
+                firings.push({ rule, message: describeRule(rule, regions), detections });
+            }
+        });
+
+        return firings;
+    }
+
+    return {
+        evaluate,
+        reset() {
+            state = new Map();
+        }
+    };
+}
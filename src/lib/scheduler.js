@@ -0,0 +1,170 @@
+import { getSourceSize } from './viewport';
+
+// Frame pacing shared by the live inference loops.
+//   fixed     - run at most `targetFps` times per second
+//   adaptive  - when smoothed latency exceeds the frame budget, first shrink the
+//               input resolution, then stretch the interval (skip frames); recover
+//               once latency drops well below budget again
+//   on-change - skip inference while a small grayscale thumbnail of the frame
+//               differs from the last inferred one by less than `motionThreshold`
+
+export const SCHEDULE_MODES = [
+    { id: 'fixed', label: 'Fixed', hint: 'Run at the target frame rate' },
+    { id: 'adaptive', label: 'Adaptive', hint: 'Lower resolution, then skip frames when inference falls behind' },
+    { id: 'on-change', label: 'On change', hint: 'Skip inference while the scene is static' }
+];
+
+export const FPS_OPTIONS = [5, 10, 15, 24, 30, 60];
+
+export const DEFAULT_SCHEDULE = { mode: 'fixed', targetFps: 24, motionThreshold: 0.03 };
+
+const SCALE_STEPS = [1, 0.75, 0.5];
+const ADJUST_COOLDOWN_MS = 1000;
+const LATENCY_SMOOTHING = 0.2;   // EMA weight of the newest sample
+const MAX_INTERVAL_MS = 1000;
+const MOTION_WIDTH = 32;
+const MOTION_HEIGHT = 24;
+
+function toGrayscale(data) {
+    const gray = new Uint8ClampedArray(data.length / 4);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+    }
+    return gray;
+}
+
+export function createInferenceScheduler(initial = {}) {
+    let config = { ...DEFAULT_SCHEDULE, ...initial };
+    let lastRun = 0;
+    let latency = 0;
+    let scaleIndex = 0;
+    let interval = 1000 / config.targetFps;
+    let lastAdjust = 0;
+    let motion = 0;
+    let skipped = 0;
+    let reference = null;
+    let motionCanvas = null;
+    let scaleCanvas = null;
+
+    const budget = () => 1000 / config.targetFps;
+
+    function adapt(now) {
+        if (config.mode !== 'adaptive' || now - lastAdjust < ADJUST_COOLDOWN_MS) return;
+        const frameBudget = budget();
+        const minScale = scaleIndex === SCALE_STEPS.length - 1;
+        if (latency > frameBudget && !minScale) {
+            scaleIndex++;
+        } else if (latency > interval) {
+            // Even the smallest input can't keep up: pace frames to the latency
+            interval = Math.min(latency * 1.25, MAX_INTERVAL_MS);
+        } else if (interval > frameBudget && latency < interval * 0.6) {
+            interval = Math.max(frameBudget, latency * 1.25);
+        } else if (scaleIndex > 0 && latency < frameBudget * 0.5) {
+            scaleIndex--;
+        } else {
+            return;
+        }
+        lastAdjust = now;
+    }
+
+    return {
+        configure(next) {
+            config = { ...config, ...next };
+            scaleIndex = 0;
+            interval = budget();
+            reference = null;
+        },
+
+        // Claims the current animation frame if the interval has elapsed
+        claim(now) {
+            const due = now - lastRun >= (config.mode === 'adaptive' ? interval : budget());
+            if (due) lastRun = now;
+            return due;
+        },
+
+        // Always true outside on-change mode; the reference frame only advances on change
+        hasChanged(source) {
+            if (config.mode !== 'on-change') return true;
+            motionCanvas ??= Object.assign(document.createElement('canvas'), { width: MOTION_WIDTH, height: MOTION_HEIGHT });
+            const ctx = motionCanvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(source, 0, 0, MOTION_WIDTH, MOTION_HEIGHT);
+            const gray = toGrayscale(ctx.getImageData(0, 0, MOTION_WIDTH, MOTION_HEIGHT).data);
+
+            if (reference) {
+                let diff = 0;
+                for (let i = 0; i < gray.length; i++) diff += Math.abs(gray[i] - reference[i]);
+                motion = diff / (gray.length * 255);
+            } else {
+                motion = 1;
+            }
+
+            if (motion < config.motionThreshold) {
+                skipped++;
+                return false;
+            }
+            reference = gray;
+            return true;
+        },
+
+        // Downscaled copy of the frame while adaptive mode has reduced resolution
+        prepare(source) {
+            const scale = config.mode === 'adaptive' ? SCALE_STEPS[scaleIndex] : 1;
+            if (scale === 1) return { input: source, scale };
+
+            const { width, height } = getSourceSize(source);
+            scaleCanvas ??= document.createElement('canvas');
+            scaleCanvas.width = Math.round(width * scale);
+            scaleCanvas.height = Math.round(height * scale);
+            scaleCanvas.getContext('2d').drawImage(source, 0, 0, scaleCanvas.width, scaleCanvas.height);
+            return { input: scaleCanvas, scale };
+        },
+
+        record(ms) {
+            latency = latency === 0 ? ms : latency + LATENCY_SMOOTHING * (ms - latency);
+            adapt(performance.now());
+        },
+
+        getStatus() {
+            return {
+                mode: config.mode,
+                targetFps: config.targetFps,
+                scale: config.mode === 'adaptive' ? SCALE_STEPS[scaleIndex] : 1,
+                intervalFps: Math.round(1000 / (config.mode === 'adaptive' ? interval : budget())),
+                latency: Math.round(latency),
+                motion,
+                skipped
+            };
+        }
+    };
+}
+
+// Maps boxes detected on a downscaled frame back to source pixels
+export function rescaleDetections(detections, scale) {
+    if (scale === 1) return detections;
+    return detections.map(det => ({ ...det, bbox: det.bbox.map(v => v / scale) }));
+}
+
+// Calls `step` on animation frames the scheduler claims; returns a stop function.
+// A step may be async: the next frame is only requested once it settles.
+export function runScheduledLoop(scheduler, step) {
+    let stopped = false;
+    let handle = null;
+
+    const tick = async (now) => {
+        if (stopped) return;
+        if (scheduler.claim(now)) {
+            try {
+                await step();
+            } catch (err) {
+                console.error('Scheduled step failed:', err);
+            }
+        }
+        if (!stopped) handle = requestAnimationFrame(tick);
+    };
+
+    handle = requestAnimationFrame(tick);
+    return () => {
+        stopped = true;
+        cancelAnimationFrame(handle);
+    };
+}
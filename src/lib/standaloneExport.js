@@ -0,0 +1,115 @@
+import * as tf from '@tensorflow/tfjs';
+import { EMBEDDING_LAYER, INPUT_SIZE } from './featureExtractor';
+import { createZip } from './zip';
+import {
+    STANDALONE_FORMAT,
+    STANDALONE_VERSION,
+    LABELS_FILE,
+    EXTRACTOR_DIR,
+    HEAD_DIR
+} from '../runtime/createClassifier';
+
+// Standalone export: the MobileNet feature extractor and the active head as
+// plain TF.js models plus labels.json, zipped for ../runtime/createClassifier.js.
+// A KNN head becomes a bias-free dense layer whose weights are the stored
+// (unit-length) examples, so its outputs are the cosine similarities the
+// runtime votes on.
+
+const MODEL_JSON_FIELDS = [
+    'modelTopology', 'format', 'generatedBy', 'convertedBy', 'signature',
+    'userDefinedMetadata', 'modelInitializer', 'initializerSignature', 'trainingConfig'
+];
+
+async function captureArtifacts(model) {
+    let captured = null;
+    await model.save(tf.io.withSaveHandler(async (artifacts) => {
+        captured = artifacts;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    return captured;
+}
+
+// model.json + a single weights.bin shard
+function artifactFiles(dir, artifacts) {
+    const modelJson = { weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }] };
+    MODEL_JSON_FIELDS.forEach((field) => {
+        if (artifacts[field] !== undefined) modelJson[field] = artifacts[field];
+    });
+    const weights = Array.isArray(artifacts.weightData)
+        ? tf.io.concatenateArrayBuffers(artifacts.weightData)
+        : artifacts.weightData;
+    return [
+        { name: `${dir}/model.json`, data: JSON.stringify(modelJson) },
+        { name: `${dir}/weights.bin`, data: weights }
+    ];
+}
+
+async function knnHeadFiles(classifier, k) {
+    const dataset = classifier.getClassifierDataset();
+    const labels = Object.keys(dataset).filter(label => dataset[label].shape[0] > 0);
+    const neighbours = labels.flatMap((label, i) => new Array(dataset[label].shape[0]).fill(i));
+
+    const kernel = tf.tidy(() => tf.concat(labels.map(label => dataset[label]), 0).transpose());
+    const model = tf.sequential({
+        layers: [tf.layers.dense({ inputShape: [kernel.shape[0]], units: kernel.shape[1], useBias: false, weights: [kernel] })]
+    });
+    try {
+        const files = artifactFiles(HEAD_DIR, await captureArtifacts(model));
+        return { labels, head: { type: 'knn', k, neighbours }, files };
+    } finally {
+        model.dispose();
+        kernel.dispose();
+    }
+}
+
+async function neuralHeadFiles(neuralHead) {
+    const files = artifactFiles(HEAD_DIR, await captureArtifacts(neuralHead.model));
+    return { labels: neuralHead.labels, head: { type: 'neural' }, files };
+}
+
+function readme(name, slug) {
+    return `# ${name}
+
+Exported from NeuralVision. Serve this folder next to your page together with
+\`neuralvision-classifier.js\` (\`npm run build:runtime\` in the NeuralVision repo):
+
+\`\`\`html
+<script type="module">
+    import { createClassifier } from './neuralvision-classifier.js';
+    const classifier = createClassifier('./${slug}/');
+    const { label, confidence } = await classifier.classify(document.querySelector('img'));
+</script>
+\`\`\`
+`;
+}
+
+// Resolves to the zip Blob. Uses the neural head when it is active and trained,
+// the KNN (with its tuned k) otherwise.
+export async function createStandaloneExport({ name, slug, net, classifier, classes, featureExtractor, head, neuralHead, k }) {
+    const exported = head === 'neural' && neuralHead
+        ? await neuralHeadFiles(neuralHead)
+        : await knnHeadFiles(classifier, k);
+    if (exported.labels.length === 0) throw new Error('Add examples before exporting.');
+
+    const extractorFiles = artifactFiles(EXTRACTOR_DIR, await captureArtifacts(net.model));
+    const metadata = {
+        format: STANDALONE_FORMAT,
+        version: STANDALONE_VERSION,
+        name,
+        createdAt: new Date().toISOString(),
+        featureExtractor: { ...featureExtractor, inputSize: INPUT_SIZE, inputRange: [-1, 1], embeddingNode: EMBEDDING_LAYER },
+        head: exported.head,
+        labels: exported.labels.map((label) => {
+            const cls = classes.find(c => String(c.id) === label);
+            return { id: Number(label), name: cls?.name ?? `Class ${label}`, color: cls?.color };
+        })
+    };
+
+    const files = [
+        { name: LABELS_FILE, data: JSON.stringify(metadata, null, 2) },
+        { name: 'README.md', data: readme(name, slug) },
+        ...extractorFiles,
+        ...exported.files
+    ].map(file => ({ ...file, name: `${slug}/${file.name}` }));
+    return createZip(files);
+}
@@ -0,0 +1,165 @@
+import { iou } from './postprocess';
+
+// SORT-like multi-object tracker.
+// Each track runs a constant-velocity Kalman filter per box dimension
+// (center x/y, width, height); detections are matched to predicted boxes by
+// IoU, with a centroid-distance fallback for fast movers, and unmatched
+// tracks coast through short occlusions before being dropped.
+
+const DEFAULT_OPTIONS = {
+    iouThreshold: 0.3,     // Min IoU to associate a detection with a track
+    maxDistance: 0.75,     // Centroid fallback, as a fraction of the track's box diagonal
+    maxAge: 15,            // Frames a track survives without detections
+    maxCoast: 5,           // Frames an unmatched track is still reported (occlusion)
+    minHits: 2,            // Detections needed before a track is reported
+    processNoise: 1,
+    measurementNoise: 4
+};
+
+// 1D constant-velocity Kalman filter: state [position, velocity]
+function createKalman1D(position, processNoise, measurementNoise) {
+    let p = position;
+    let v = 0;
+    let P00 = measurementNoise, P01 = 0, P11 = 100;
+
+    return {
+        predict() {
+            p += v;
+            P00 += 2 * P01 + P11 + processNoise;
+            P01 += P11;
+            P11 += processNoise;
+            return p;
+        },
+        update(z) {
+            const S = P00 + measurementNoise;
+            const K0 = P00 / S;
+            const K1 = P01 / S;
+            const residual = z - p;
+            p += K0 * residual;
+            v += K1 * residual;
+            P11 -= K1 * P01;
+            P01 *= 1 - K0;
+            P00 *= 1 - K0;
+            return p;
+        },
+        get position() { return p; },
+        get velocity() { return v; }
+    };
+}
+
+function toCenter([x, y, w, h]) {
+    return [x + w / 2, y + h / 2, w, h];
+}
+
+function fromCenter([cx, cy, w, h]) {
+    const width = Math.max(1, w);
+    const height = Math.max(1, h);
+    return [cx - width / 2, cy - height / 2, width, height];
+}
+
+function createTrack(id, detection, options) {
+    const filters = toCenter(detection.bbox)
+        .map(value => createKalman1D(value, options.processNoise, options.measurementNoise));
+
+    return {
+        id,
+        class: detection.class,
+        score: detection.score,
+        hits: 1,
+        timeSinceUpdate: 0,
+        filters,
+        get bbox() { return fromCenter(filters.map(f => f.position)); },
+        get velocity() { return [filters[0].velocity, filters[1].velocity]; },
+        predict() { filters.forEach(f => f.predict()); },
+        update(det) {
+            toCenter(det.bbox).forEach((value, i) => filters[i].update(value));
+            this.score = det.score;
+            this.hits++;
+            this.timeSinceUpdate = 0;
+        }
+    };
+}
+
+function centroidDistance(a, b) {
+    const [ax, ay] = toCenter(a);
+    const [bx, by] = toCenter(b);
+    return Math.hypot(ax - bx, ay - by);
+}
+
+export function createTracker(overrides = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    let tracks = [];
+    let nextId = 1;
+    let frameCount = 0;
+
+    // Greedy association: best IoU first, then nearest centroid for the leftovers
+    function associate(detections) {
+        const pairs = [];
+        tracks.forEach((track, t) => {
+            detections.forEach((det, d) => {
+                if (det.class !== track.class) return;
+                const overlap = iou(track.bbox, det.bbox);
+                if (overlap >= options.iouThreshold) {
+                    pairs.push({ t, d, cost: 1 - overlap });
+                    return;
+                }
+                const [, , w, h] = track.bbox;
+                const distance = centroidDistance(track.bbox, det.bbox) / Math.hypot(w, h);
+                if (distance <= options.maxDistance) {
+                    pairs.push({ t, d, cost: 1 + distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.cost - b.cost);
+
+        const matchedTracks = new Set();
+        const matchedDetections = new Set();
+        const matches = [];
+        pairs.forEach(({ t, d }) => {
+            if (matchedTracks.has(t) || matchedDetections.has(d)) return;
+            matchedTracks.add(t);
+            matchedDetections.add(d);
+            matches.push([t, d]);
+        });
+        return { matches, matchedTracks, matchedDetections };
+    }
+
+    function update(detections) {
+        frameCount++;
+        tracks.forEach(track => track.predict());
+
+        const { matches, matchedTracks, matchedDetections } = associate(detections);
+
+        matches.forEach(([t, d]) => tracks[t].update(detections[d]));
+        tracks.forEach((track, t) => {
+            if (!matchedTracks.has(t)) track.timeSinceUpdate++;
+        });
+        detections.forEach((det, d) => {
+            if (!matchedDetections.has(d)) tracks.push(createTrack(nextId++, det, options));
+        });
+
+        tracks = tracks.filter(track => track.timeSinceUpdate <= options.maxAge);
+
+        return tracks
+            .filter(track =>
+                (track.hits >= options.minHits || frameCount <= options.minHits) &&
+                track.timeSinceUpdate <= options.maxCoast
+            )
+            .map(track => ({
+                bbox: track.bbox,
+                class: track.class,
+                score: track.score,
+                trackId: track.id,
+                velocity: track.velocity,
+                occluded: track.timeSinceUpdate > 0
+            }));
+    }
+
+    function reset() {
+        tracks = [];
+        nextId = 1;
+        frameCount = 0;
+    }
+
+    return { update, reset };
+}
@@ -0,0 +1,208 @@
+import * as tf from '@tensorflow/tfjs';
+import { INPUT_SIZE } from './featureExtractor';
+
+// Collecting Custom Training examples: image files embedded in batches with
+// optional augmentation, press-and-hold burst capture, and per-example thumbnails.
+// Thumbnails are small JPEG data URLs kept per class in the same order as the
+// KNN dataset rows ({ [classId]: (string | null)[] }); examples without one
+// (imported bundles, older projects) hold null.
+
+export const AUGMENTATIONS = [
+    { id: 'flip', label: 'Flip', hint: 'Mirrored copy' },
+    { id: 'crop', label: 'Crop', hint: 'Random 80% crop' },
+    { id: 'brightness', label: 'Brightness', hint: 'Darker or brighter copy' }
+];
+
+export const BURST_RATES = [2, 5, 10]; // Samples per second while holding Train
+export const BURST_COUNTDOWNS = [0, 3, 5]; // Seconds before a burst starts recording
+export const DEFAULT_BURST = { rate: 5, countdown: 3 };
+
+const HOLD_DELAY_MS = 300; // Shorter presses take a single sample
+const THUMBNAIL_SIZE = 56;
+const EMBED_BATCH = 8; // Files decoded and embedded together (x augmentations)
+
+const thumbnailCanvas = () => Object.assign(document.createElement('canvas'), { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE });
+
+// Center-cropped square thumbnail of a video/canvas/image element
+export function createExampleThumbnail(source, width, height) {
+    const side = Math.min(width, height);
+    const canvas = thumbnailCanvas();
+    canvas.getContext('2d').drawImage(
+        source, (width - side) / 2, (height - side) / 2, side, side, 0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE
+    );
+    return canvas.toDataURL('image/jpeg', 0.7);
+}
+
+// Thumbnail of a [size, size, 3] float tensor in 0..255
+async function tensorThumbnail(image) {
+    const pixels = tf.tidy(() => tf.image.resizeBilinear(image, [THUMBNAIL_SIZE, THUMBNAIL_SIZE]).div(255).clipByValue(0, 1));
+    const canvas = thumbnailCanvas();
+    await tf.browser.toPixels(pixels, canvas);
+    pixels.dispose();
+    return canvas.toDataURL('image/jpeg', 0.7);
+}
+
+// Changes whenever a class gains, loses or drops examples (marks results computed on older samples)
+export function sampleSignature(classes) {
+    return classes.map(c => `${c.id}:${c.count}`).join(',');
+}
+
+// Pads/truncates every class's thumbnail list to its example count
+export function alignThumbnails(thumbnails, classes) {
+    const aligned = {};
+    classes.forEach(({ id, count }) => {
+        const list = (thumbnails?.[id] ?? []).slice(0, count);
+        aligned[id] = list.concat(Array(count - list.length).fill(null));
+    });
+    return aligned;
+}
+
+// [1, INPUT_SIZE, INPUT_SIZE, 3] float inputs for one decoded image plus its augmented copies
+function buildVariants(bitmap, augment) {
+    return tf.tidy(() => {
+        const image = tf.image.resizeBilinear(tf.browser.fromPixels(bitmap).toFloat(), [INPUT_SIZE, INPUT_SIZE]).expandDims(0);
+        const variants = [image];
+        if (augment.flip) variants.push(tf.image.flipLeftRight(image));
+        if (augment.crop) {
+            const size = 0.8;
+            const top = Math.random() * (1 - size);
+            const left = Math.random() * (1 - size);
+            variants.push(tf.image.cropAndResize(image, [[top, left, top + size, left + size]], [0], [INPUT_SIZE, INPUT_SIZE]));
+        }
+        if (augment.brightness) {
+            const factor = Math.random() < 0.5 ? 0.6 + Math.random() * 0.25 : 1.15 + Math.random() * 0.25;
+            variants.push(image.mul(factor).clipByValue(0, 255));
+        }
+        return tf.concat(variants, 0);
+    });
+}
+
+// Embeds image files into `classId` in batches of EMBED_BATCH files. Decoded
+// bitmaps are closed and every intermediate tensor disposed per batch.
+// Resolves to the thumbnails of the added examples, in dataset order.
+export async function addImageExamples({ net, classifier, classId, files, augment = {}, signal, onProgress }) {
+    const thumbnails = [];
+    let failed = 0;
+
+    for (let start = 0; start < files.length; start += EMBED_BATCH) {
+        if (signal?.aborted) throw new DOMException('Import cancelled', 'AbortError');
+
+        const chunk = files.slice(start, start + EMBED_BATCH);
+        const inputs = [];
+        for (const file of chunk) {
+            let bitmap = null;
+            try {
+                bitmap = await createImageBitmap(file);
+                inputs.push(buildVariants(bitmap, augment));
+            } catch (err) {
+                console.warn(`Skipping ${file.name}:`, err);
+                failed++;
+            } finally {
+                bitmap?.close();
+            }
+        }
+
+        if (inputs.length > 0) {
+            const batch = tf.concat(inputs, 0);
+            inputs.forEach(t => t.dispose());
+            const embeddings = net.infer(batch, true);
+            try {
+                const images = tf.unstack(batch);
+                const rows = tf.split(embeddings, embeddings.shape[0], 0);
+                for (let i = 0; i < rows.length; i++) {
+                    // addExample keeps its own normalized copy of the row
+                    classifier.addExample(rows[i], classId);
+                    thumbnails.push(await tensorThumbnail(images[i]));
+                }
+                images.forEach(t => t.dispose());
+                rows.forEach(t => t.dispose());
+            } finally {
+                batch.dispose();
+                embeddings.dispose();
+            }
+        }
+
+        onProgress?.({ done: Math.min(start + EMBED_BATCH, files.length), total: files.length, failed });
+    }
+
+    return { thumbnails, failed };
+}
+
+// Drops one dataset row of a class; returns the class's remaining example count
+export function removeExample(classifier, classId, index) {
+    const dataset = classifier.getClassifierDataset();
+    const rows = dataset[classId];
+    if (!rows || index < 0 || index >= rows.shape[0]) return rows?.shape[0] ?? 0;
+    if (rows.shape[0] === 1) {
+        classifier.clearClass(classId);
+        return 0;
+    }
+
+    const kept = tf.tidy(() => {
+        const parts = [];
+        if (index > 0) parts.push(rows.slice([0, 0], [index, -1]));
+        if (index < rows.shape[0] - 1) parts.push(rows.slice([index + 1, 0], [-1, -1]));
+        return tf.concat(parts, 0);
+    });
+    rows.dispose();
+    classifier.setClassifierDataset({ ...dataset, [classId]: kept });
+    return kept.shape[0];
+}
+
+// Press-and-hold capture. A press held past HOLD_DELAY_MS starts the countdown,
+// then `capture()` runs `rate` times per second until release. `onChange`
+// receives { target, phase: 'countdown' | 'recording', remaining, captured } or null.
+export function createBurstCapture(onChange) {
+    let timers = {};
+    let status = null;
+
+    const update = (next) => {
+        status = next;
+        onChange(next && next.phase !== 'holding' ? { ...next } : null);
+    };
+
+    const clear = () => {
+        clearTimeout(timers.hold);
+        clearInterval(timers.countdown);
+        clearInterval(timers.capture);
+        timers = {};
+    };
+
+    const record = (rate, capture) => {
+        update({ ...status, phase: 'recording', remaining: 0 });
+        timers.capture = setInterval(() => {
+            capture();
+            update({ ...status, captured: status.captured + 1 });
+        }, 1000 / rate);
+    };
+
+    return {
+        press({ rate, countdown }, capture, target) {
+            clear();
+            update({ target, phase: 'holding', remaining: countdown, captured: 0 });
+            timers.hold = setTimeout(() => {
+                if (countdown <= 0) {
+                    record(rate, capture);
+                    return;
+                }
+                update({ ...status, phase: 'countdown' });
+                timers.countdown = setInterval(() => {
+                    if (status.remaining > 1) {
+                        update({ ...status, remaining: status.remaining - 1 });
+                        return;
+                    }
+                    clearInterval(timers.countdown);
+                    record(rate, capture);
+                }, 1000);
+            }, HOLD_DELAY_MS);
+        },
+
+        // True when the press was too short to start a burst (take a single sample)
+        release() {
+            const tap = status?.phase === 'holding';
+            clear();
+            update(null);
+            return tap;
+        }
+    };
+}
@@ -0,0 +1,118 @@
+import { detectCandidates } from './detection';
+import { postprocessDetections, minimumScore } from './postprocess';
+import { createTracker } from './tracker';
+
+// Offline, frame-accurate analysis of an uploaded video.
+// A detached <video> element is seeked to every sample time so no frame is
+// dropped regardless of how slow inference is on this machine.
+
+function waitForEvent(target, eventName) {
+    return new Promise((resolve, reject) => {
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = () => {
+            cleanup();
+            reject(target.error || new Error(`Video failed while waiting for ${eventName}`));
+        };
+        const cleanup = () => {
+            target.removeEventListener(eventName, onEvent);
+            target.removeEventListener('error', onError);
+        };
+        target.addEventListener(eventName, onEvent);
+        target.addEventListener('error', onError);
+    });
+}
+
+async function loadVideo(url) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    video.playsInline = true;
+    const loaded = waitForEvent(video, 'loadeddata');
+    video.src = url;
+    await loaded;
+    return video;
+}
+
+async function seek(video, time) {
+    const seeked = waitForEvent(video, 'seeked');
+    video.currentTime = time;
+    await seeked;
+}
+
+export async function analyseVideo({ detector, url, sampleRate, settings, signal, onProgress }) {
+    const video = await loadVideo(url);
+    const tracker = createTracker();
+
+    try {
+        const { duration, videoWidth: width, videoHeight: height } = video;
+        const step = 1 / sampleRate;
+        const total = Math.max(1, Math.floor(duration * sampleRate));
+        const frames = [];
+
+        for (let index = 0; index < total; index++) {
+            if (signal?.aborted) {
+                throw new DOMException('Video analysis cancelled', 'AbortError');
+            }
+
+            const time = Math.min(index * step, duration);
+            await seek(video, time);
+
+            const candidates = await detectCandidates(detector, video, minimumScore(settings));
+            const detections = postprocessDetections(candidates, settings);
+            const predictions = settings.tracking ? tracker.update(detections) : detections;
+
+            frames.push({ index, time, predictions });
+            onProgress?.(index + 1, total);
+        }
+
+        return { url, duration, sampleRate, width, height, frames };
+    } finally {
+        video.removeAttribute('src');
+        video.load();
+    }
+}
+
+// Groups consecutive sampled frames in which a class is present into segments:
+// { [className]: [{ start, end, peakCount, peakScore }] }
+export function buildTimeline({ frames, sampleRate, duration }) {
+    const step = 1 / sampleRate;
+    const timeline = {};
+    const open = {};
+
+    frames.forEach((frame) => {
+        const present = {};
+        frame.predictions.forEach((pred) => {
+            present[pred.class] ??= { count: 0, score: 0 };
+            present[pred.class].count++;
+            present[pred.class].score = Math.max(present[pred.class].score, pred.score);
+        });
+
+        Object.entries(present).forEach(([className, { count, score }]) => {
+            const segment = open[className];
+            // Extend the open segment, bridging a single missed sample
+            if (segment && segment.end >= frame.time - step * 1.01) {
+                segment.end = Math.min(frame.time + step, duration);
+                segment.peakCount = Math.max(segment.peakCount, count);
+                segment.peakScore = Math.max(segment.peakScore, score);
+                return;
+            }
+            const created = { start: frame.time, end: Math.min(frame.time + step, duration), peakCount: count, peakScore: score };
+            timeline[className] ??= [];
+            timeline[className].push(created);
+            open[className] = created;
+        });
+    });
+
+    return timeline;
+}
+
+export function findFrameAt(frames, time) {
+    let nearest = null;
+    frames.forEach((frame) => {
+        if (!nearest || Math.abs(frame.time - time) < Math.abs(nearest.time - time)) nearest = frame;
+    });
+    return nearest;
+}
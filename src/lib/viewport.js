@@ -0,0 +1,47 @@
+// Maps between source pixel coordinates (video/image) and the container the
+// media is displayed in, for both `object-cover` and `object-contain` layouts.
+
+export function getSourceSize(element) {
+    return {
+        width: element?.videoWidth || element?.naturalWidth || element?.width || 0,
+        height: element?.videoHeight || element?.naturalHeight || element?.height || 0
+    };
+}
+
+export function getDisplayTransform(element, fit = 'cover') {
+    const container = element?.parentElement;
+    const { width: sourceWidth, height: sourceHeight } = getSourceSize(element);
+    if (!sourceWidth || !sourceHeight || !container) return null;
+
+    const { clientWidth: containerWidth, clientHeight: containerHeight } = container;
+    const pick = fit === 'contain' ? Math.min : Math.max;
+    const scale = pick(containerWidth / sourceWidth, containerHeight / sourceHeight);
+
+    return {
+        scale,
+        sourceWidth,
+        sourceHeight,
+        containerWidth,
+        containerHeight,
+        // Offsets (centering)
+        offsetX: (containerWidth - sourceWidth * scale) / 2,
+        offsetY: (containerHeight - sourceHeight * scale) / 2
+    };
+}
+
+// Normalized (0..1 of the source) -> container pixels
+export function normalizedToDisplay(transform, [x, y]) {
+    return [
+        x * transform.sourceWidth * transform.scale + transform.offsetX,
+        y * transform.sourceHeight * transform.scale + transform.offsetY
+    ];
+}
+
+// Container pixels -> normalized (0..1 of the source), clamped to the frame
+export function displayToNormalized(transform, [x, y]) {
+    const clamp = v => Math.min(1, Math.max(0, v));
+    return [
+        clamp((x - transform.offsetX) / transform.scale / transform.sourceWidth),
+        clamp((y - transform.offsetY) / transform.scale / transform.sourceHeight)
+    ];
+}
@@ -0,0 +1,107 @@
+import * as tf from '@tensorflow/tfjs';
+
+// Framework-free runtime for classifiers exported with "Standalone" in Custom
+// Training. An export is a folder with
+//   labels.json               class labels, head type and preprocessing
+//   extractor/model.json      MobileNet feature extractor (GraphModel)
+//   head/model.json           trained head (LayersModel)
+// Usage, with the folder served next to the page:
+//   import { createClassifier } from './neuralvision-classifier.js';
+//   const classifier = createClassifier('./my-classifier/');
+//   const { label, confidence } = await classifier.classify(document.querySelector('video'));
+// Build with `npm run build:runtime` (TF.js is bundled in).
+
+export const STANDALONE_FORMAT = 'neuralvision-standalone';
+export const STANDALONE_VERSION = 1;
+export const LABELS_FILE = 'labels.json';
+export const EXTRACTOR_DIR = 'extractor';
+export const HEAD_DIR = 'head';
+
+// Folder URL of an export, given the folder itself or its labels.json
+function resolveBase(url) {
+    const href = String(url);
+    if (href.endsWith('.json')) return href.slice(0, href.lastIndexOf('/') + 1);
+    return href.endsWith('/') ? href : `${href}/`;
+}
+
+async function loadMetadata(base) {
+    const response = await fetch(`${base}${LABELS_FILE}`);
+    if (!response.ok) throw new Error(`Failed to load ${base}${LABELS_FILE} (${response.status})`);
+    const metadata = await response.json();
+    if (metadata.format !== STANDALONE_FORMAT) throw new Error('Not a NeuralVision standalone classifier');
+    if (metadata.version !== STANDALONE_VERSION) {
+        throw new Error(`Unsupported export version ${metadata.version} (expected ${STANDALONE_VERSION})`);
+    }
+    return metadata;
+}
+
+// KNN heads output one cosine similarity per stored example; the k most similar
+// vote for their class (first class wins ties, like knn-classifier)
+function knnConfidences(similarities, { k, neighbours }, numLabels) {
+    const kVal = Math.min(k, similarities.length);
+    const nearest = Array.from(similarities.keys())
+        .sort((a, b) => similarities[b] - similarities[a])
+        .slice(0, kVal);
+    const votes = new Array(numLabels).fill(0);
+    nearest.forEach((row) => {
+        votes[neighbours[row]] += 1 / kVal;
+    });
+    return votes;
+}
+
+// Starts loading right away; classify() waits for it. Resolves `ready` to the
+// label list once both models are in memory.
+export function createClassifier(url) {
+    const base = resolveBase(url);
+    let models = null;
+
+    const ready = (async () => {
+        const metadata = await loadMetadata(base);
+        const [extractor, head] = await Promise.all([
+            tf.loadGraphModel(`${base}${EXTRACTOR_DIR}/model.json`),
+            tf.loadLayersModel(`${base}${HEAD_DIR}/model.json`)
+        ]);
+        models = { metadata, extractor, head };
+        return metadata.labels;
+    })();
+
+    // input: image, video, canvas, ImageBitmap, ImageData or a [h, w, 3] tensor.
+    // Resolves to { id, label, confidence, scores: [{ id, label, confidence }] } (best first).
+    async function classify(input) {
+        await ready;
+        if (!models) throw new Error('Classifier was disposed');
+        const { metadata, extractor, head } = models;
+        const { inputSize, inputRange: [min, max], embeddingNode } = metadata.featureExtractor;
+
+        const output = tf.tidy(() => {
+            const pixels = input instanceof tf.Tensor ? input : tf.browser.fromPixels(input);
+            const normalized = pixels.toFloat().mul((max - min) / 255).add(min);
+            const resized = tf.image.resizeBilinear(normalized, [inputSize, inputSize], true).reshape([1, inputSize, inputSize, 3]);
+            const embedding = extractor.execute(resized, embeddingNode).reshape([1, -1]);
+            return head.predict(embedding.div(embedding.norm('euclidean', 1, true))).reshape([-1]);
+        });
+        const values = await output.data();
+        output.dispose();
+
+        const confidences = metadata.head.type === 'knn'
+            ? knnConfidences(values, metadata.head, metadata.labels.length)
+            : Array.from(values);
+        const scores = metadata.labels
+            .map(({ id, name }, i) => ({ id, label: name, confidence: confidences[i] }))
+            .sort((a, b) => b.confidence - a.confidence);
+        return { ...scores[0], scores };
+    }
+
+    return {
+        ready,
+        classify,
+        get labels() {
+            return models?.metadata.labels ?? [];
+        },
+        dispose() {
+            models?.extractor.dispose();
+            models?.head.dispose();
+            models = null;
+        }
+    };
+}
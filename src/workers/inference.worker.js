@@ -0,0 +1,75 @@
+import * as tf from '@tensorflow/tfjs';
+import { setBackend } from '../lib/backends';
+import { loadDetector } from '../lib/detectors';
+import { detectCandidates } from '../lib/detection';
+import { loadFeatureExtractor } from '../lib/featureExtractor';
+
+// Off-main-thread inference. Every request carries an `id` echoed in the reply
+// (together with the worker's tf.memory() counts for the profiler):
+//   { type: 'set-backend', backend }     -> { backend }
+//   { type: 'load-detector', spec }      -> { classNames, stats }
+//   { type: 'detect', bitmap, minScore } -> { candidates }
+//   { type: 'load-extractor' }           -> {}
+//   { type: 'embed', bitmap }            -> { embedding: Float32Array, shape }
+// Frames arrive as transferred ImageBitmaps and are closed here once read.
+
+let detector = null;
+let extractor = null;
+
+const handlers = {
+    async 'set-backend'({ backend }) {
+        return { backend: await setBackend(backend) };
+    },
+
+    async 'load-detector'({ spec }) {
+        const loaded = await loadDetector(spec);
+        detector?.dispose();
+        detector = loaded.detector;
+        return { classNames: loaded.classNames, stats: loaded.stats };
+    },
+
+    async detect({ bitmap, minScore }) {
+        try {
+            if (!detector) throw new Error('No detector loaded in worker');
+            return { candidates: await detectCandidates(detector, bitmap, minScore) };
+        } finally {
+            bitmap.close();
+        }
+    },
+
+    async 'load-extractor'() {
+        extractor ??= await loadFeatureExtractor();
+        return {};
+    },
+
+    async embed({ bitmap }) {
+        try {
+            if (!extractor) throw new Error('No feature extractor loaded in worker');
+            const activation = tf.tidy(() => extractor.infer(tf.browser.fromPixels(bitmap), true));
+            const embedding = await activation.data();
+            activation.dispose();
+            return { embedding, shape: activation.shape };
+        } finally {
+            bitmap.close();
+        }
+    }
+};
+
+const ready = tf.ready();
+
+function memoryCounts() {
+    const { numTensors, numBytes } = tf.memory();
+    return { numTensors, numBytes };
+}
+
+self.onmessage = async ({ data }) => {
+    const { id, type, ...payload } = data;
+    try {
+        await ready;
+        const result = await handlers[type](payload);
+        const transfer = result.embedding ? [result.embedding.buffer] : [];
+        self.postMessage({ id, ok: true, result, memory: memoryCounts() }, transfer);
+    } catch (err) {
+        self.postMessage({ id, ok: false, error: err.message, memory: memoryCounts() });
+    }
+};
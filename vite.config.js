@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The inference worker lazy-loads TF.js backends, which needs code splitting
+  worker: {
+    format: 'es',
+  },
 })
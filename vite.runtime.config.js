@@ -0,0 +1,16 @@
+import { defineConfig } from 'vite'
+
+// Framework-free classifier runtime for standalone exports (src/runtime).
+// TF.js is bundled in so pages only need this one file:
+//   npm run build:runtime  ->  dist-runtime/neuralvision-classifier.js
+export default defineConfig({
+  publicDir: false,
+  build: {
+    outDir: 'dist-runtime',
+    lib: {
+      entry: 'src/runtime/createClassifier.js',
+      formats: ['es'],
+      fileName: () => 'neuralvision-classifier.js',
+    },
+  },
+})